@@ -1,7 +1,12 @@
 // ===================================================================
 // WebTag 6DoF Locator - Main Application Controller
-// Integrates: BlueFilter, BlobDetector, GeometryMatcher,
-//             PnPSolver, LEDTracker, FeedbackManager
+// The page UI on top of LightTagLocator, whose DetectionPipeline runs in
+// pipeline-worker.js where supported (BlueFilter or CpuBlueFilter,
+//             PeakDetector, BlobDetector, GeometryMatcher, PnPSolver,
+//             and per tag a TagTrack with PoseKalmanFilter, LEDTracker,
+//             OpticalIdDecoder; SiteMap + SiteLocalizer; Constellation;
+//             MotionSensorFusion), plus CameraCalibrator,
+//             IntrinsicsProfileStore, FeedbackManager
 // No OpenCV dependency.
 // ===================================================================
 
@@ -11,9 +16,6 @@
   // --- State ---
 
   const state = {
-    running: false,
-    stream: null,
-    animFrameId: null,
     maskMode: 'off', // 'off' | 'overlay' | 'only'
 
     // FPS tracking
@@ -21,22 +23,33 @@
     lastFpsTime: 0,
     fps: 0,
 
-    // Detection state
-    detectionState: 'idle', // idle | scanning | candidate | locked | tracking
+    // Latest locator frame summary (see DetectionPipeline.frameSummary())
+    lastFrame: null,
 
-    // Offscreen canvas for full-res pixel access (used in sub-pixel refinement)
-    offscreen: null,
-    offCtx: null,
+    // Reused mask image for the mask views
+    maskCanvas: null,
+    maskCtx: null,
+    maskImage: null,
 
     // Settings
     sensitivity: 'medium',
     adaptiveThreshold: true,
     audioEnabled: true,
+    motionEnabled: true,
+
+    // Camera calibration
+    calibTarget: 'checkerboard', // 'checkerboard' | 'lighttag'
+    calibration: null,           // last successful CameraCalibrator result
+    cameraDesc: null,            // { model, cameraLabel, width, height } of the running camera
+    lastTracked: null,           // tracked LED points of the latest frame (LightTag views)
+    lastSite: null               // SiteLocalizer result of the latest frame
   };
 
   // --- Modules ---
 
-  let blueFilter, peakDetector, blobDetector, geometryMatcher, pnpSolver, tracker, feedback;
+  let locator, feedback;
+  let calibrator = null; // created on first capture, dropped when its settings change
+  let profileStore;
 
   // --- DOM Elements ---
 
@@ -58,6 +71,7 @@
   const cfgBrightness = $('cfg-brightness');
   const cfgAdaptive = $('cfg-adaptive');
   const cfgAudio = $('cfg-audio');
+  const cfgMotion = $('cfg-motion');
   const valThreshold = $('val-threshold');
   const valBrightness = $('val-brightness');
 
@@ -73,114 +87,82 @@
   const cfgFy = $('cfg-fy');
   const cfgCx = $('cfg-cx');
   const cfgCy = $('cfg-cy');
+  // Brown-Conrady distortion coefficients, keyed by PnPSolver.distortion term
+  const cfgDistortion = {
+    k1: $('cfg-k1'),
+    k2: $('cfg-k2'),
+    p1: $('cfg-p1'),
+    p2: $('cfg-p2'),
+    k3: $('cfg-k3')
+  };
+
+  const cfgCalibCols = $('cfg-calib-cols');
+  const cfgCalibRows = $('cfg-calib-rows');
+  const cfgCalibSquare = $('cfg-calib-square');
+  const calibBoard = $('calib-board');
+  const btnCalibCapture = $('btn-calib-capture');
+  const btnCalibSolve = $('btn-calib-solve');
+  const btnCalibClear = $('btn-calib-clear');
+  const calibStatus = $('calib-status');
+  const btnProfileExport = $('btn-profile-export');
+  const btnProfileImport = $('btn-profile-import');
+  const profileFile = $('profile-file');
+  const profileStatus = $('profile-status');
+  const btnMotionRecord = $('btn-motion-record');
+  const motionStatus = $('motion-status');
+  const btnSiteImport = $('btn-site-import');
+  const btnSiteClear = $('btn-site-clear');
+  const siteFile = $('site-file');
+  const siteStatus = $('site-status');
+  const btnConstellationImport = $('btn-constellation-import');
+  const btnConstellationClear = $('btn-constellation-clear');
+  const constellationFile = $('constellation-file');
+  const constellationStatus = $('constellation-status');
 
   // --- Initialize modules ---
 
   function initModules() {
-    blueFilter = new BlueFilter(glCanvas);
-    blueFilter.init();
-
-    peakDetector = new PeakDetector({
-      nmsRadius: 3,
-      minPeakScore: 80,
-      minPointiness: 1.5,
-      minIsotropy: 0.3,
-      maxCandidates: 15
+    // Normalized coordinates are overlay coordinates (object-fit: cover)
+    // The pipeline runs in a worker where supported; this thread only renders
+    locator = new LightTagLocator(video, {
+      worker: true,
+      canvas: glCanvas,
+      matcher: { sensitivity: state.sensitivity },
+      toPixel: normalizedToPixel,
+      fromPixel: pixelToNormalized
     });
 
-    blobDetector = new BlobDetector({
-      minArea: 4,
-      maxArea: 300,
-      maxAspectRatio: 2.5
-    });
-
-    geometryMatcher = new GeometryMatcher({
-      sensitivity: state.sensitivity
-    });
-
-    pnpSolver = new PnPSolver();
+    feedback = new FeedbackManager();
+    profileStore = new IntrinsicsProfileStore();
+    loadSiteMap();
+    loadConstellation();
 
-    tracker = new LEDTracker({
-      processNoise: 0.005,
-      measurementNoise: 0.5,
-      maxLostFrames: 3
+    locator.on('stateChange', ({ state: detectionState, data }) => {
+      feedback.setState(detectionState, data);
+      if (detectionState === 'idle') state.lastFrame = null;
     });
-
-    feedback = new FeedbackManager();
+    locator.on('candidates', ({ count, center }) => feedback.setCandidates(count, center));
+    locator.on('frame', drawFrame);
   }
 
   // --- Camera ---
 
   async function startCamera() {
     try {
-      // Request rear camera at high resolution
-      const constraints = {
-        video: {
-          facingMode: 'environment',
-          width: { ideal: 1920 },
-          height: { ideal: 1080 }
-        },
-        audio: false
-      };
-
-      let stream;
-      try {
-        stream = await navigator.mediaDevices.getUserMedia(constraints);
-      } catch (e) {
-        // Fallback to basic constraints
-        stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
-      }
-
-      state.stream = stream;
-      video.srcObject = stream;
-      await video.play();
-
-      // Wait for video dimensions to be available
-      await new Promise(resolve => {
-        if (video.videoWidth > 0) return resolve();
-        video.addEventListener('loadedmetadata', resolve, { once: true });
-      });
-
-      let vw = video.videoWidth;
-      let vh = video.videoHeight;
-      console.log(`Camera initial: ${vw}x${vh}`);
-
-      // Try to upgrade resolution via applyConstraints
-      const track = state.stream.getVideoTracks()[0];
-      if (track) {
-        try {
-          const caps = track.getCapabilities ? track.getCapabilities() : {};
-          const maxW = caps.width ? caps.width.max : 1920;
-          const maxH = caps.height ? caps.height.max : 1080;
-          const targetW = Math.min(maxW, 1920);
-          const targetH = Math.min(maxH, 1080);
-          await track.applyConstraints({
-            width: { ideal: targetW },
-            height: { ideal: targetH }
-          });
-          // Wait for resolution to update
-          await new Promise(r => setTimeout(r, 300));
-          vw = video.videoWidth;
-          vh = video.videoHeight;
-          console.log(`Camera upgraded: ${vw}x${vh} (max: ${maxW}x${maxH})`);
-        } catch (e) {
-          console.warn('applyConstraints failed:', e);
-        }
-      }
+      await locator.open();
 
+      const vw = locator.width;
+      const vh = locator.height;
+      console.log(`Camera: ${vw}x${vh}`);
       state.resolution = `${vw}x${vh}`;
 
-      // Setup offscreen canvas for full-res pixel access
-      state.offscreen = document.createElement('canvas');
-      state.offscreen.width = vw;
-      state.offscreen.height = vh;
-      state.offCtx = state.offscreen.getContext('2d', { willReadFrequently: true });
-
       // Setup overlay canvas dimensions
       resizeOverlay();
 
-      // Estimate camera intrinsics
-      pnpSolver.estimateIntrinsics(vw, vh);
+      // Saved profile for this camera (fills the intrinsics fields)
+      const track = locator.stream ? locator.stream.getVideoTracks()[0] : null;
+      state.cameraDesc = await IntrinsicsProfileStore.describeTrack(track, vw, vh);
+      loadIntrinsicsProfile();
 
       // Apply custom intrinsics if set
       applyCustomIntrinsics();
@@ -195,13 +177,16 @@
       // Initialize audio on user gesture
       feedback.initAudio();
 
+      // Gyroscope (iOS asks for permission, which also needs the user gesture)
+      if (state.motionEnabled) {
+        await startMotionFusion();
+      } else {
+        stopMotionFusion();
+      }
+
       // Start processing
-      state.running = true;
-      state.detectionState = 'scanning';
-      feedback.setState('scanning');
       state.lastFpsTime = performance.now();
-
-      requestNextFrame();
+      await locator.start();
 
     } catch (err) {
       console.error('Camera error:', err);
@@ -210,22 +195,10 @@
   }
 
   function stopCamera() {
-    state.running = false;
-
-    if (state.animFrameId) {
-      cancelAnimationFrame(state.animFrameId);
-      state.animFrameId = null;
-    }
-
-    if (state.stream) {
-      state.stream.getTracks().forEach(t => t.stop());
-      state.stream = null;
-    }
-
-    video.srcObject = null;
-    tracker.reset();
-    state.detectionState = 'idle';
-    feedback.setState('idle');
+    if (locator.motionFusion.log) stopMotionRecording();
+    locator.stop();
+    state.cameraDesc = null;
+    motionStatus.textContent = '陀螺儀未啟用';
 
     // Show start screen
     startScreen.classList.remove('hidden');
@@ -255,22 +228,14 @@
     overlayCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
   }
 
-  // --- Main Processing Loop ---
-
-  function requestNextFrame() {
-    if (!state.running) return;
-
-    if (video.requestVideoFrameCallback) {
-      video.requestVideoFrameCallback(processFrame);
-    } else {
-      state.animFrameId = requestAnimationFrame(processFrame);
-    }
-  }
-
-  function processFrame(now) {
-    if (!state.running) return;
+  // --- Frame rendering ---
 
+  /**
+   * Draw one processed frame (locator 'frame' event).
+   */
+  function drawFrame(frame) {
     // FPS tracking
+    const now = performance.now();
     state.frameCount++;
     if (now - state.lastFpsTime >= 1000) {
       state.fps = state.frameCount;
@@ -278,52 +243,21 @@
       state.lastFpsTime = now;
     }
 
-    // Step 1: Run WebGL blue filter
-    let filterResult = null;
-    try {
-      filterResult = blueFilter.process(video, 4);
-    } catch (e) {
-      if (state.frameCount === 1) console.error('BlueFilter error:', e);
-    }
-
-    if (filterResult) {
-      // 記錄 downscale 值供自適應 NMS 使用
-      state.lastDownscale = filterResult.downscale;
-
-      // Step 2a: 峰值檢測（主要策略 — 能從連通藍色區域中提取 LED 局部峰值）
-      const peaks = peakDetector.detect(
-        filterResult.mask,
-        filterResult.brightnessValues,
-        filterResult.blueDiffValues,
-        filterResult.width,
-        filterResult.height,
-        filterResult.downscale,
-        filterResult.bluePixels
-      );
-
-      // Step 2b: Blob 檢測（回退策略 — 適用於 LED 獨立分離的情況）
-      const blobs = blobDetector.detect(
-        filterResult.mask,
-        filterResult.width,
-        filterResult.height,
-        filterResult.blueDiffValues,
-        filterResult.downscale,
-        filterResult.brightnessValues
-      );
-
-      // Step 2c: 合併兩種策略的候選
-      const candidates = mergeCandidates(peaks, blobs);
-
-      // Step 3: Run detection pipeline based on state
-      processDetection(candidates, filterResult);
+    if (frame.error && state.frameCount === 1) console.error('BlueFilter error:', frame.error);
+
+    state.lastFrame = frame;
+    state.lastTracked = frame.tracked;
+    state.lastSite = frame.site;
 
+    const filter = frame.filter;
+    if (filter) {
       // Debug logging (every 2 seconds)
       if (state.frameCount === 1) {
-        const maskSum = filterResult.mask.reduce((s, v) => s + (v > 0 ? 1 : 0), 0);
-        console.log(`[debug] filter: ${filterResult.width}x${filterResult.height}, mask白點: ${maskSum}, peaks: ${peaks.length}, blobs: ${blobs.length}, 候選: ${candidates.length}, 閾值: ${blueFilter.threshold.toFixed(3)}`);
+        console.log(`[debug] filter: ${filter.width}x${filter.height}, peaks: ${frame.peakCount}, blobs: ${frame.blobCount}, 候選: ${frame.candidateCount}, 閾值: ${frame.threshold.toFixed(3)}` +
+          (locator.droppedFrames ? `, 丟棄幀: ${locator.droppedFrames}` : ''));
         // 峰值診斷資訊
-        if (peaks.length > 0) {
-          const topPeak = peaks[0];
+        const topPeak = frame.topPeak;
+        if (topPeak) {
           console.log(`[peak] top: score=${topPeak.peakScore.toFixed(1)}, pointiness=${topPeak.pointiness.toFixed(2)}, isotropy=${topPeak.isotropy.toFixed(2)}, pos=(${topPeak.x.toFixed(3)},${topPeak.y.toFixed(3)})`);
         }
       }
@@ -331,230 +265,20 @@
       console.warn('[debug] blueFilter.process returned null, video.readyState:', video.readyState);
     }
 
-    // Step 4: Draw visual feedback (clears canvas first)
+    // Draw visual feedback (clears canvas first)
     const displayW = window.innerWidth;
     const displayH = window.innerHeight;
+    const mask = filter && filter.mask ? filter : null;
 
-    if (state.maskMode === 'only' && filterResult) {
+    if (state.maskMode === 'only' && mask) {
       // "Only blue" mode: show blue mask on black background, skip normal feedback
-      drawMaskFullscreen(filterResult);
+      drawMaskFullscreen(mask);
     } else {
       feedback.draw(overlayCtx, displayW, displayH, getDrawData());
 
       // Draw mask overlay AFTER feedback (so it's not cleared)
-      if (state.maskMode === 'overlay' && filterResult) {
-        drawMaskOverlay(filterResult);
-      }
-    }
-
-    requestNextFrame();
-  }
-
-  /**
-   * 合併峰值檢測和 blob 檢測的候選。
-   * 以峰值為主，補充距離所有峰值 > 2% 的 blob。
-   */
-  function mergeCandidates(peaks, blobs) {
-    // 以峰值為主
-    const merged = [...peaks];
-
-    // 補充不與任何峰值重疊的 blob
-    const minSeparation = 0.02; // 2% 圖像尺寸
-    for (const blob of blobs) {
-      let tooClose = false;
-      for (const peak of merged) {
-        const dx = blob.x - peak.x;
-        const dy = blob.y - peak.y;
-        if (Math.sqrt(dx * dx + dy * dy) < minSeparation) {
-          tooClose = true;
-          break;
-        }
-      }
-      if (!tooClose) {
-        merged.push(blob);
-      }
-    }
-
-    // 按複合分數排序，取 top 20
-    // 注意：峰值候選用 realBrightness/brightness，blob 候選用 maxRealBrightness/maxBrightness
-    merged.sort((a, b) => {
-      const realBrightA = a.maxRealBrightness || a.realBrightness || 0;
-      const blueDiffA = a.maxBrightness || a.brightness || 0;
-      const sa = realBrightA * 0.5 + blueDiffA * 0.5;
-
-      const realBrightB = b.maxRealBrightness || b.realBrightness || 0;
-      const blueDiffB = b.maxBrightness || b.brightness || 0;
-      const sb = realBrightB * 0.5 + blueDiffB * 0.5;
-      return sb - sa;
-    });
-
-    return merged.slice(0, 20);
-  }
-
-  function processDetection(blobs, filterResult) {
-    const candidateCount = blobs.length;
-    state.lastCandidateCount = candidateCount;
-
-    if (state.detectionState === 'tracking' && tracker.isTracking) {
-      // In tracking mode: try to match detected blobs to tracked positions
-      const predictions = tracker.getPredictions();
-      const matched = matchBlobsToPredictions(blobs, predictions);
-
-      if (matched.length === 5) {
-        // Sub-pixel refinement
-        const refined = refinePositions(matched);
-        const trackResult = tracker.update(refined);
-
-        if (trackResult.isTracking) {
-          solvePose(trackResult.tracked, trackResult.stability);
-          return;
-        }
-      }
-
-      // Tracking failed - fall back to full detection
-      const lostResult = tracker.update([]);
-      if (!lostResult.isTracking) {
-        state.detectionState = 'scanning';
-        feedback.setState('scanning');
-      }
-      return;
-    }
-
-    // Full detection mode
-    if (candidateCount < 5) {
-      state.detectionState = 'scanning';
-      feedback.setState('scanning', { candidateCount });
-      return;
-    }
-
-    // Quick check for promising clusters
-    const quick = geometryMatcher.quickCheck(blobs);
-    if (quick.promising) {
-      feedback.setState('candidate', {
-        candidateCenter: quick.clusterCenter,
-        candidateCount
-      });
-    }
-
-    // Full geometry matching
-    const imageAspect = video.videoWidth / video.videoHeight;
-    const match = geometryMatcher.match(blobs, imageAspect);
-
-    if (match && match.success) {
-      // Sub-pixel refinement
-      const refined = refinePositions(match.points);
-
-      // Initialize tracker with matched points
-      tracker.reset();
-      const trackResult = tracker.update(refined);
-
-      state.detectionState = 'locked';
-      feedback.setState('locked', { candidateCount });
-
-      // Solve pose
-      solvePose(trackResult.tracked, trackResult.stability);
-
-      // Transition to tracking mode
-      state.detectionState = 'tracking';
-      feedback.setState('tracking', { candidateCount });
-    } else {
-      if (quick.promising) {
-        state.detectionState = 'candidate';
-      } else {
-        state.detectionState = 'scanning';
-        feedback.setState('scanning', { candidateCount });
-      }
-    }
-  }
-
-  function matchBlobsToPredictions(blobs, predictions) {
-    // For each predicted LED position, find the closest blob
-    const matched = [];
-    const used = new Set();
-
-    for (const pred of predictions) {
-      let bestDist = Infinity;
-      let bestIdx = -1;
-
-      for (let i = 0; i < blobs.length; i++) {
-        if (used.has(i)) continue;
-        const dx = blobs[i].x - pred.x;
-        const dy = blobs[i].y - pred.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        // Search window: within 5% of image dimension
-        if (dist < 0.05 && dist < bestDist) {
-          bestDist = dist;
-          bestIdx = i;
-        }
-      }
-
-      if (bestIdx >= 0) {
-        used.add(bestIdx);
-        matched.push({ ...blobs[bestIdx], id: pred.id });
-      }
-    }
-
-    return matched;
-  }
-
-  function refinePositions(points) {
-    if (!state.offCtx || !state.offscreen) return points;
-
-    // Draw current video frame to offscreen canvas
-    state.offCtx.drawImage(video, 0, 0, state.offscreen.width, state.offscreen.height);
-
-    return blobDetector.refinePositions(
-      points,
-      state.offCtx,
-      state.offscreen.width,
-      state.offscreen.height,
-      16
-    );
-  }
-
-  // --- Pose Computation ---
-
-  let lastPose = null;
-  let poseStability = 0;
-
-  function solvePose(trackedPoints, stability) {
-    if (trackedPoints.length < 5) return;
-
-    // Convert normalized coordinates to pixel coordinates
-    const vw = video.videoWidth;
-    const vh = video.videoHeight;
-
-    const objectPoints = [];
-    const imagePoints = [];
-
-    for (const p of trackedPoints) {
-      const led = LED_GEOMETRY.points3D.find(l => l.id === p.id);
-      if (!led) continue;
-      objectPoints.push({ x: led.x, y: led.y, z: led.z });
-
-      // Convert from normalized (0-1) to pixel coordinates
-      // Need to account for object-fit: cover cropping
-      const pixelCoords = normalizedToPixel(p.x, p.y, vw, vh);
-      imagePoints.push(pixelCoords);
-    }
-
-    if (objectPoints.length < 5) return;
-
-    const result = pnpSolver.solve(objectPoints, imagePoints);
-
-    if (result.success && result.reprojError < 30) {
-      lastPose = result;
-      poseStability = poseStability * 0.8 + stability * 0.2;
-
-      // 自適應峰值檢測器：根據距離調整 NMS 半徑
-      if (peakDetector && result.distance > 0) {
-        const distanceMM = result.distance * 1000;
-        const ledDiameterMM = 5;
-        // 計算 LED 在降採樣圖中的預期像素直徑（使用實際 downscale 值）
-        const ds = state.lastDownscale || 4;
-        const expectedPixels = (ledDiameterMM / distanceMM) * pnpSolver.fx / ds;
-        peakDetector.setExpectedLEDSize(expectedPixels);
+      if (state.maskMode === 'overlay' && mask) {
+        drawMaskOverlay(mask);
       }
     }
   }
@@ -592,28 +316,59 @@
     return { x: srcX, y: srcY };
   }
 
+  /**
+   * Inverse of normalizedToPixel(): video pixel coordinates to normalized overlay coordinates.
+   */
+  function pixelToNormalized(px, py, vw, vh) {
+    const displayW = window.innerWidth;
+    const displayH = window.innerHeight;
+
+    const videoAspect = vw / vh;
+    const displayAspect = displayW / displayH;
+
+    if (videoAspect > displayAspect) {
+      const scale = displayH / vh;
+      const visibleWidth = displayW / scale;
+      const offsetX = (vw - visibleWidth) / 2;
+      return { x: (px - offsetX) / visibleWidth, y: py / vh };
+    }
+
+    const scale = displayW / vw;
+    const visibleHeight = displayH / scale;
+    const offsetY = (vh - visibleHeight) / 2;
+    return { x: px / vw, y: (py - offsetY) / visibleHeight };
+  }
+
   // --- Draw helpers ---
 
   function getDrawData() {
+    const frame = state.lastFrame;
     const data = {
       fps: state.fps,
-      candidateCount: state.lastCandidateCount || 0,
+      candidateCount: frame ? frame.candidateCount : 0,
       resolution: state.resolution || null,
-      threshold: blueFilter ? blueFilter.threshold : 0
+      threshold: frame ? frame.threshold : 0,
+      constellation: locator.constellation
     };
 
-    if (lastPose && (state.detectionState === 'locked' || state.detectionState === 'tracking')) {
+    // HUD numbers follow the primary (longest tracked) tag; every tag is drawn
+    const primary = frame ? frame.tags.find(t => t.primary) : null;
+    const lastPose = primary ? primary.pose : null;
+    if (lastPose && (locator.state === 'locked' || locator.state === 'tracking')) {
       data.distance = lastPose.distance;
       data.euler = lastPose.euler;
+      data.uncertainty = lastPose.uncertainty;
+      data.degraded = lastPose.degraded;
       data.position = lastPose.tvec;
-      data.stability = poseStability;
+      data.stability = primary.stability;
       data.pose = lastPose;
+      data.tagId = primary.tagId;
 
-      // Get tracked points for drawing
-      const predictions = tracker.getPredictions();
-      if (predictions.length > 0) {
-        data.points = predictions;
-      }
+      // Predicted LED points of every tag for drawing
+      data.tags = frame.tags.filter(tag => tag.points.length > 0);
+      if (primary.points.length > 0) data.points = primary.points;
+
+      if (state.lastSite && state.lastSite.success) data.site = state.lastSite;
     }
 
     return data;
@@ -652,16 +407,25 @@
     return { drawX, drawY, drawW, drawH };
   }
 
-  function drawMaskOverlay(filterResult) {
-    if (!filterResult) return;
-    const { mask, blueDiffValues, width, height } = filterResult;
+  /**
+   * Mask-sized canvas and ImageData, reused across frames.
+   */
+  function getMaskImage(width, height) {
+    if (!state.maskCanvas) {
+      state.maskCanvas = document.createElement('canvas');
+      state.maskCtx = state.maskCanvas.getContext('2d');
+    }
+    if (!state.maskImage || state.maskImage.width !== width || state.maskImage.height !== height) {
+      state.maskCanvas.width = width;
+      state.maskCanvas.height = height;
+      state.maskImage = state.maskCtx.createImageData(width, height);
+    }
+    return state.maskImage;
+  }
 
-    // Create a small canvas to hold the mask
-    const tmpCanvas = document.createElement('canvas');
-    tmpCanvas.width = width;
-    tmpCanvas.height = height;
-    const tmpCtx = tmpCanvas.getContext('2d');
-    const imgData = tmpCtx.createImageData(width, height);
+  function drawMaskOverlay(filter) {
+    const { mask, blueDiffValues, width, height } = filter;
+    const imgData = getMaskImage(width, height);
 
     for (let i = 0; i < width * height; i++) {
       const val = mask[i];
@@ -672,19 +436,18 @@
       imgData.data[i * 4 + 3] = val > 0 ? Math.min(200, strength + 80) : 0; // A
     }
 
-    tmpCtx.putImageData(imgData, 0, 0);
+    state.maskCtx.putImageData(imgData, 0, 0);
 
     // Draw with object-fit:cover alignment
     const rect = getMaskDisplayRect(width, height);
     overlayCtx.save();
     overlayCtx.globalAlpha = 0.6;
-    overlayCtx.drawImage(tmpCanvas, rect.drawX, rect.drawY, rect.drawW, rect.drawH);
+    overlayCtx.drawImage(state.maskCanvas, rect.drawX, rect.drawY, rect.drawW, rect.drawH);
     overlayCtx.restore();
   }
 
-  function drawMaskFullscreen(filterResult) {
-    if (!filterResult) return;
-    const { mask, blueDiffValues, width, height } = filterResult;
+  function drawMaskFullscreen(filter) {
+    const { mask, blueDiffValues, width, height } = filter;
     const displayW = window.innerWidth;
     const displayH = window.innerHeight;
 
@@ -693,12 +456,8 @@
     overlayCtx.fillStyle = 'rgba(0, 0, 0, 0.85)';
     overlayCtx.fillRect(0, 0, displayW, displayH);
 
-    // Create mask image
-    const tmpCanvas = document.createElement('canvas');
-    tmpCanvas.width = width;
-    tmpCanvas.height = height;
-    const tmpCtx = tmpCanvas.getContext('2d');
-    const imgData = tmpCtx.createImageData(width, height);
+    // Mask image
+    const imgData = getMaskImage(width, height);
 
     for (let i = 0; i < width * height; i++) {
       const val = mask[i];
@@ -714,11 +473,11 @@
       }
     }
 
-    tmpCtx.putImageData(imgData, 0, 0);
+    state.maskCtx.putImageData(imgData, 0, 0);
 
     // Draw with object-fit:cover alignment
     const rect = getMaskDisplayRect(width, height);
-    overlayCtx.drawImage(tmpCanvas, rect.drawX, rect.drawY, rect.drawW, rect.drawH);
+    overlayCtx.drawImage(state.maskCanvas, rect.drawX, rect.drawY, rect.drawW, rect.drawH);
 
     // Still draw HUD info on top
     feedback.draw(overlayCtx, displayW, displayH, getDrawData(), true);
@@ -732,11 +491,338 @@
     const cx = parseFloat(cfgCx.value);
     const cy = parseFloat(cfgCy.value);
 
+    const distortion = {};
+    for (const [term, input] of Object.entries(cfgDistortion)) {
+      distortion[term] = parseFloat(input.value) || 0;
+    }
+
     if (fx > 0 && fy > 0 && cx > 0 && cy > 0) {
-      pnpSolver.setIntrinsics(fx, fy, cx, cy);
+      locator.configure({ intrinsics: { fx, fy, cx, cy, distortion } });
+    }
+  }
+
+  // --- Intrinsics profiles ---
+
+  function fillIntrinsicsFields(k) {
+    cfgFx.value = k.fx.toFixed(1);
+    cfgFy.value = k.fy.toFixed(1);
+    cfgCx.value = k.cx.toFixed(1);
+    cfgCy.value = k.cy.toFixed(1);
+    for (const [term, input] of Object.entries(cfgDistortion)) {
+      const v = k.distortion ? k.distortion[term] : 0;
+      input.value = v ? v.toFixed(6) : '';
     }
   }
 
+  function describeCamera(desc) {
+    return `${desc.model} / ${desc.cameraLabel} / ${desc.width}x${desc.height}`;
+  }
+
+  /**
+   * Fill the intrinsics fields from the running camera's saved profile.
+   */
+  function loadIntrinsicsProfile() {
+    const desc = state.cameraDesc;
+    if (!desc) return;
+
+    const profile = profileStore.get(desc);
+    if (profile) {
+      fillIntrinsicsFields(profile);
+      profileStatus.textContent = `已載入: ${describeCamera(desc)}` +
+        (profile.rms !== null ? ` (RMS ${profile.rms.toFixed(2)} px)` : '');
+    } else {
+      profileStatus.textContent = `無設定檔: ${describeCamera(desc)} (使用估計值)`;
+    }
+  }
+
+  /**
+   * Save the intrinsics fields as the running camera's profile
+   * (clearing the fields deletes it).
+   */
+  function saveIntrinsicsProfile(source, rms) {
+    const desc = state.cameraDesc;
+    if (!desc) return;
+
+    const fx = parseFloat(cfgFx.value);
+    const fy = parseFloat(cfgFy.value);
+    const cx = parseFloat(cfgCx.value);
+    const cy = parseFloat(cfgCy.value);
+    if (!(fx > 0 && fy > 0 && cx > 0 && cy > 0)) {
+      profileStore.remove(desc);
+      profileStatus.textContent = `無設定檔: ${describeCamera(desc)} (使用估計值)`;
+      return;
+    }
+
+    const distortion = {};
+    for (const [term, input] of Object.entries(cfgDistortion)) {
+      distortion[term] = parseFloat(input.value) || 0;
+    }
+    profileStore.save(desc, { fx, fy, cx, cy, distortion, rms }, source);
+    profileStatus.textContent = `已儲存: ${describeCamera(desc)}`;
+  }
+
+  function exportProfiles() {
+    const blob = new Blob([profileStore.exportJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'lighttag-intrinsics.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function importProfiles(file) {
+    try {
+      const count = profileStore.importJSON(await file.text());
+      profileStatus.textContent = `已匯入 ${count} 個設定檔`;
+      if (locator.running && profileStore.get(state.cameraDesc)) {
+        loadIntrinsicsProfile();
+        applyCustomIntrinsics();
+      }
+    } catch (e) {
+      profileStatus.textContent = `匯入失敗: ${e.message}`;
+    }
+  }
+
+  // --- Site map ---
+
+  const SITE_MAP_KEY = 'lighttag.siteMap';
+
+  /**
+   * Restore the last imported site map.
+   */
+  function loadSiteMap() {
+    let text = null;
+    try {
+      text = localStorage.getItem(SITE_MAP_KEY);
+    } catch (e) {
+      // Storage blocked: no persisted map
+    }
+    if (!text) return;
+    try {
+      setSiteMap(SiteMap.fromJSON(text));
+    } catch (e) {
+      console.warn('Stored site map ignored:', e.message);
+    }
+  }
+
+  function setSiteMap(siteMap) {
+    locator.configure({ siteMap });
+    state.lastSite = null;
+    siteStatus.textContent = siteMap
+      ? `${siteMap.name || '場地'}: ${siteMap.size} 個標籤`
+      : '未載入';
+  }
+
+  async function importSiteMap(file) {
+    try {
+      const text = await file.text();
+      setSiteMap(SiteMap.fromJSON(text));
+      try {
+        localStorage.setItem(SITE_MAP_KEY, text);
+      } catch (e) {
+        // Keep it for this session only
+      }
+    } catch (e) {
+      siteStatus.textContent = `匯入失敗: ${e.message}`;
+    }
+  }
+
+  function clearSiteMap() {
+    setSiteMap(null);
+    try {
+      localStorage.removeItem(SITE_MAP_KEY);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  // --- LED constellation ---
+
+  const CONSTELLATION_KEY = 'lighttag.constellation';
+
+  /**
+   * Restore the last imported LED constellation.
+   */
+  function loadConstellation() {
+    let text = null;
+    try {
+      text = localStorage.getItem(CONSTELLATION_KEY);
+    } catch (e) {
+      // Storage blocked: default constellation
+    }
+    if (!text) return;
+    try {
+      setConstellation(Constellation.fromJSON(text));
+    } catch (e) {
+      console.warn('Stored constellation ignored:', e.message);
+    }
+  }
+
+  /**
+   * Switch the pipeline to a constellation (null: the built-in LightTag) and
+   * move the hue sliders to its LED colour.
+   */
+  function setConstellation(constellation) {
+    const c = constellation || LED_GEOMETRY;
+    locator.configure({ constellation: c });
+
+    cfgHue.value = c.color.hue;
+    valHue.textContent = c.color.hue + '°';
+    if (c.color.hueRange !== null) {
+      cfgHueRange.value = c.color.hueRange;
+      valHueRange.textContent = '±' + c.color.hueRange + '°';
+    }
+
+    constellationStatus.textContent = constellation
+      ? `${c.name || '自訂'}: ${c.size} 顆 LED`
+      : `預設 (${c.name})`;
+  }
+
+  async function importConstellation(file) {
+    try {
+      const text = await file.text();
+      setConstellation(Constellation.fromJSON(text));
+      try {
+        localStorage.setItem(CONSTELLATION_KEY, text);
+      } catch (e) {
+        // Keep it for this session only
+      }
+    } catch (e) {
+      constellationStatus.textContent = `匯入失敗: ${e.message}`;
+    }
+  }
+
+  function clearConstellation() {
+    setConstellation(null);
+    try {
+      localStorage.removeItem(CONSTELLATION_KEY);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  // --- Motion sensors ---
+
+  /**
+   * Turn on gyroscope-assisted tracking. Falls back to vision-only tracking
+   * when the device has no sensors or permission is denied.
+   */
+  async function startMotionFusion() {
+    locator.motionFusion.setScreenAngle(currentScreenAngle(), performance.now());
+    if (!await locator.setMotionEnabled(true)) {
+      motionStatus.textContent = '無法使用陀螺儀 (不支援或未授權)';
+      return;
+    }
+    motionStatus.textContent = '陀螺儀已啟用';
+  }
+
+  function stopMotionFusion() {
+    if (locator.motionFusion.log) stopMotionRecording();
+    locator.setMotionEnabled(false);
+    motionStatus.textContent = '陀螺儀未啟用';
+  }
+
+  function currentScreenAngle() {
+    if (screen.orientation && typeof screen.orientation.angle === 'number') return screen.orientation.angle;
+    return typeof window.orientation === 'number' ? window.orientation : 0;
+  }
+
+  function toggleMotionRecording() {
+    if (locator.motionFusion.log) {
+      stopMotionRecording();
+    } else if (locator.motionActive) {
+      locator.motionFusion.startRecording();
+      btnMotionRecord.textContent = '停止並下載';
+      motionStatus.textContent = '錄製中…';
+    }
+  }
+
+  function stopMotionRecording() {
+    const blob = new Blob([locator.motionFusion.stopRecording()], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'lighttag-imu.ndjson';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    btnMotionRecord.textContent = '開始錄製';
+    motionStatus.textContent = '已下載紀錄';
+  }
+
+  // --- Camera calibration ---
+
+  function getCalibrator() {
+    if (!calibrator) {
+      calibrator = new CameraCalibrator({
+        target: state.calibTarget,
+        cols: parseInt(cfgCalibCols.value, 10) || 9,
+        rows: parseInt(cfgCalibRows.value, 10) || 6,
+        squareSize: parseFloat(cfgCalibSquare.value) || 25
+      });
+    }
+    return calibrator;
+  }
+
+  function clearCalibration() {
+    calibrator = null;
+    calibStatus.textContent = '0 個視角';
+  }
+
+  /**
+   * Add the current frame as a calibration view: the detected checkerboard,
+   * or the 5 tracked LEDs in LightTag mode.
+   */
+  function captureCalibrationView() {
+    if (!locator.running) return;
+    const cal = getCalibrator();
+    const vw = video.videoWidth;
+    const vh = video.videoHeight;
+
+    let res;
+    if (cal.target === 'checkerboard') {
+      const ctx = locator.getPixelContext();
+      if (!ctx) return;
+      res = cal.addCheckerboardFrame(ctx.getImageData(0, 0, vw, vh));
+    } else {
+      const tracked = state.lastTracked;
+      if (!tracked || tracked.length !== 5) {
+        res = { added: false, reason: 'LightTag not tracked', count: cal.views.length };
+      } else {
+        const points = [...tracked]
+          .sort((a, b) => a.id - b.id)
+          .map(p => normalizedToPixel(p.x, p.y, vw, vh));
+        res = cal.addView(points, vw, vh);
+      }
+    }
+
+    calibStatus.textContent = res.added
+      ? `${res.count} 個視角 (需要 ${cal.minViews})`
+      : `${res.count} 個視角 — 未加入: ${res.reason}`;
+  }
+
+  function solveCalibration() {
+    const cal = getCalibrator();
+    const result = cal.calibrate();
+    if (!result.success) {
+      calibStatus.textContent = `校正失敗: ${result.error}`;
+      return;
+    }
+
+    state.calibration = result;
+    fillIntrinsicsFields(result);
+    applyCustomIntrinsics();
+    saveIntrinsicsProfile('calibration', result.rms);
+
+    const d = result.distortion;
+    calibStatus.textContent = `完成: ${result.views} 視角, RMS ${result.rms.toFixed(2)} px, ` +
+      `k1 ${d.k1.toFixed(4)} k2 ${d.k2.toFixed(4)} p1 ${d.p1.toFixed(4)} p2 ${d.p2.toFixed(4)} k3 ${d.k3.toFixed(4)}`;
+  }
+
   function setupEventListeners() {
     // Start button
     btnStart.addEventListener('click', () => {
@@ -750,11 +836,7 @@
 
     // Reset tracking
     btnReset.addEventListener('click', () => {
-      tracker.reset();
-      lastPose = null;
-      poseStability = 0;
-      state.detectionState = 'scanning';
-      feedback.setState('scanning');
+      locator.reset();
     });
 
     // Settings drawer toggle
@@ -772,7 +854,7 @@
         document.querySelectorAll('[data-sensitivity]').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         state.sensitivity = btn.dataset.sensitivity;
-        geometryMatcher.setSensitivity(state.sensitivity);
+        locator.configure({ matcher: { sensitivity: state.sensitivity } });
       });
     });
 
@@ -780,24 +862,21 @@
     cfgThreshold.addEventListener('input', () => {
       const val = parseFloat(cfgThreshold.value);
       valThreshold.textContent = val.toFixed(2);
-      if (blueFilter) {
-        blueFilter.setThreshold(val);
-        blueFilter.adaptiveEnabled = false;
-        cfgAdaptive.checked = false;
-      }
+      locator.configure({ filter: { threshold: val, adaptive: false } });
+      cfgAdaptive.checked = false;
     });
 
     // Brightness slider
     cfgBrightness.addEventListener('input', () => {
       const val = parseFloat(cfgBrightness.value);
       valBrightness.textContent = val.toFixed(2);
-      if (blueFilter) blueFilter.setBrightnessFloor(val);
+      locator.configure({ filter: { brightnessFloor: val } });
     });
 
     // Adaptive threshold toggle
     cfgAdaptive.addEventListener('change', () => {
       state.adaptiveThreshold = cfgAdaptive.checked;
-      if (blueFilter) blueFilter.adaptiveEnabled = cfgAdaptive.checked;
+      locator.configure({ filter: { adaptive: cfgAdaptive.checked } });
     });
 
     // Audio toggle
@@ -806,12 +885,24 @@
       if (feedback) feedback.audioEnabled = cfgAudio.checked;
     });
 
+    // Gyroscope-assisted tracking toggle
+    cfgMotion.addEventListener('change', () => {
+      state.motionEnabled = cfgMotion.checked;
+      if (!locator.running) return;
+      if (state.motionEnabled) {
+        startMotionFusion();
+      } else {
+        stopMotionFusion();
+      }
+    });
+
     // Mask view mode buttons
     document.querySelectorAll('[data-mask]').forEach(btn => {
       btn.addEventListener('click', () => {
         document.querySelectorAll('[data-mask]').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         state.maskMode = btn.dataset.mask;
+        locator.configure({ mask: state.maskMode !== 'off' });
         // Toggle video visibility for "only" mode
         video.style.opacity = (state.maskMode === 'only') ? '0' : '1';
       });
@@ -821,38 +912,84 @@
     cfgHue.addEventListener('input', () => {
       const deg = parseFloat(cfgHue.value);
       valHue.textContent = deg + '°';
-      if (blueFilter) blueFilter.setHueCenter(deg / 360);
+      locator.configure({ filter: { hue: deg } });
     });
 
     // HSV Hue Range
     cfgHueRange.addEventListener('input', () => {
       const deg = parseFloat(cfgHueRange.value);
       valHueRange.textContent = '±' + deg + '°';
-      if (blueFilter) blueFilter.setHueRange(deg / 360);
+      locator.configure({ filter: { hueRange: deg } });
     });
 
     // HSV Saturation Min
     cfgSat.addEventListener('input', () => {
       const val = parseFloat(cfgSat.value);
       valSat.textContent = val.toFixed(2);
-      if (blueFilter) blueFilter.setSatMin(val);
+      locator.configure({ filter: { satMin: val } });
     });
 
     // Camera intrinsics
-    [cfgFx, cfgFy, cfgCx, cfgCy].forEach(input => {
-      input.addEventListener('change', applyCustomIntrinsics);
+    [cfgFx, cfgFy, cfgCx, cfgCy, ...Object.values(cfgDistortion)].forEach(input => {
+      input.addEventListener('change', () => {
+        applyCustomIntrinsics();
+        saveIntrinsicsProfile('manual');
+      });
+    });
+
+    // Intrinsics profiles
+    btnProfileExport.addEventListener('click', exportProfiles);
+    btnProfileImport.addEventListener('click', () => profileFile.click());
+    btnMotionRecord.addEventListener('click', toggleMotionRecording);
+
+    // LED constellation
+    btnConstellationImport.addEventListener('click', () => constellationFile.click());
+    btnConstellationClear.addEventListener('click', clearConstellation);
+    constellationFile.addEventListener('change', () => {
+      if (constellationFile.files.length > 0) importConstellation(constellationFile.files[0]);
+      constellationFile.value = '';
+    });
+
+    // Site map
+    btnSiteImport.addEventListener('click', () => siteFile.click());
+    btnSiteClear.addEventListener('click', clearSiteMap);
+    siteFile.addEventListener('change', () => {
+      if (siteFile.files.length > 0) importSiteMap(siteFile.files[0]);
+      siteFile.value = '';
+    });
+    profileFile.addEventListener('change', () => {
+      if (profileFile.files.length > 0) importProfiles(profileFile.files[0]);
+      profileFile.value = '';
+    });
+
+    // Camera calibration
+    document.querySelectorAll('[data-calib-target]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('[data-calib-target]').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        state.calibTarget = btn.dataset.calibTarget;
+        calibBoard.style.display = state.calibTarget === 'checkerboard' ? '' : 'none';
+        clearCalibration();
+      });
+    });
+    [cfgCalibCols, cfgCalibRows, cfgCalibSquare].forEach(input => {
+      input.addEventListener('change', clearCalibration);
     });
+    btnCalibCapture.addEventListener('click', captureCalibrationView);
+    btnCalibSolve.addEventListener('click', solveCalibration);
+    btnCalibClear.addEventListener('click', clearCalibration);
 
     // Handle window resize
     window.addEventListener('resize', () => {
-      if (state.running) resizeOverlay();
+      if (locator.running) resizeOverlay();
     });
 
     // Handle orientation change
     window.addEventListener('orientationchange', () => {
       setTimeout(() => {
-        if (state.running) resizeOverlay();
+        if (locator.running) resizeOverlay();
       }, 200);
+      locator.motionFusion.setScreenAngle(currentScreenAngle(), performance.now());
     });
   }
 
@@ -0,0 +1,208 @@
+// ===================================================================
+// CPU Blue Light Isolation Filter
+// Pure JS port of the BlueFilter fragment shader, used when WebGL is
+// unavailable (locked-down kiosks, in-app webviews, headless runs)
+// ===================================================================
+
+class CpuBlueFilter extends BlueFilter {
+  constructor(canvas = null) {
+    super(canvas);
+    // 2D canvas used to downsample video frames before shading
+    this._sampleCanvas = null;
+    this._sampleCtx = null;
+    // Last packed RGBA output (same layout as the shader's gl_FragColor)
+    this._packed = null;
+  }
+
+  init() {
+    this._ready = true;
+  }
+
+  /**
+   * Process a frame and return the blue differential mask at reduced resolution.
+   * Accepts either a video element or an ImageData-like { data, width, height }
+   * (RGBA, top-left origin), so the filter also runs outside the browser.
+   * @param {HTMLVideoElement|VideoFrame|ImageBitmap|ImageData} source
+   * @param {number} downscale - Downscale factor (default 4 = 1/4 resolution)
+   * @returns {{ mask: Uint8Array, width: number, height: number }} Binary mask + blue diff values
+   */
+  process(source, downscale = 4) {
+    const frameSize = this._ready ? BlueFilter.sourceSize(source) : null;
+    if (!frameSize) return null;
+
+    const vw = frameSize.width;
+    const vh = frameSize.height;
+
+    const outW = Math.round(vw / downscale);
+    const outH = Math.round(vh / downscale);
+
+    const rgba = source.data
+      ? this._sampleImageData(source, outW, outH)
+      : this._sampleVideo(source, outW, outH);
+    if (!rgba) return null;
+
+    const size = outW * outH;
+    const rawMask = new Uint8Array(size);
+    const blueDiffValues = new Uint8Array(size);
+    const brightnessValues = new Uint8Array(size);
+    if (!this._packed || this._packed.length !== size * 4) {
+      this._packed = new Uint8ClampedArray(size * 4);
+    }
+    const packed = this._packed;
+
+    for (let i = 0; i < size; i++) {
+      const si = i * 4;
+      const px = this._shadePixel(rgba[si] / 255, rgba[si + 1] / 255, rgba[si + 2] / 255);
+      rawMask[i] = px.isBlue ? 255 : 0;
+      blueDiffValues[i] = Math.round(Math.max(0, Math.min(1, px.blueDiff)) * 255);
+      brightnessValues[i] = Math.round(px.brightness * 255);
+
+      packed[si] = rawMask[i];
+      packed[si + 1] = blueDiffValues[i];
+      packed[si + 2] = brightnessValues[i];
+      packed[si + 3] = 255;
+    }
+
+    return this._finishFrame(rawMask, blueDiffValues, brightnessValues, outW, outH, downscale);
+  }
+
+  /**
+   * Render the last processed frame's packed channels to the canvas (debug view).
+   */
+  renderToScreen() {
+    if (!this._ready || !this._packed || !this.canvas) return;
+    const ctx = this.canvas.getContext('2d');
+    if (!ctx) return;
+
+    const w = this.fbWidth;
+    const h = this.fbHeight;
+    const sample = this._ensureSampleCanvas(w, h);
+    if (!sample) return;
+    sample.putImageData(new ImageData(this._packed, w, h), 0, 0);
+
+    this.canvas.width = this.canvas.clientWidth;
+    this.canvas.height = this.canvas.clientHeight;
+    ctx.drawImage(this._sampleCanvas, 0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  destroy() {
+    this._sampleCanvas = null;
+    this._sampleCtx = null;
+    this._packed = null;
+    this._ready = false;
+  }
+
+  // --- Private methods ---
+
+  /**
+   * Per-pixel port of FRAGMENT_SHADER. Inputs are normalized (0-1).
+   * @returns {{ isBlue: boolean, blueDiff: number, brightness: number }}
+   */
+  _shadePixel(r, g, b) {
+    // Blue differential: how much bluer than average of R+G
+    const blueDiff = b - (r + g) * 0.5;
+
+    // Brightness gate
+    const brightness = Math.max(r, g, b);
+
+    // HSV hue/saturation (same formulation as the shader's rgb2hsv)
+    const minC = Math.min(r, g, b);
+    const d = brightness - minC;
+    const e = 1.0e-10;
+    let hue = 0;
+    if (d > 0) {
+      if (brightness === r) hue = ((g - b) / d) / 6;
+      else if (brightness === g) hue = ((b - r) / d + 2) / 6;
+      else hue = ((r - g) / d + 4) / 6;
+      if (hue < 0) hue += 1;
+    }
+    const sat = d / (brightness + e);
+
+    // Hue distance (circular, wraps around 0/1)
+    const rawDist = Math.abs(hue - this.hueCenter);
+    const hueDist = Math.min(rawDist, 1.0 - rawDist);
+    const hueOk = hueDist <= this.hueRange;
+    const satOk = sat >= this.satMin;
+
+    // PATH 1: Normal blue detection
+    const normalBlue = blueDiff >= this.threshold && brightness >= this.brightnessFloor && hueOk && satOk;
+
+    // PATH 2: Saturated/overexposed LED center detection
+    const saturatedLED = brightness >= 0.85 && blueDiff >= 0.02 && b >= r && b >= g;
+
+    return { isBlue: normalBlue || saturatedLED, blueDiff, brightness };
+  }
+
+  /**
+   * Downsample a video frame (element, VideoFrame or ImageBitmap) by letting
+   * the 2D canvas scale it.
+   */
+  _sampleVideo(video, outW, outH) {
+    const ctx = this._ensureSampleCanvas(outW, outH);
+    if (!ctx) return null;
+    ctx.drawImage(video, 0, 0, outW, outH);
+    return ctx.getImageData(0, 0, outW, outH).data;
+  }
+
+  /**
+   * Downsample RGBA data with bilinear sampling at output pixel centers,
+   * matching the GPU path's LINEAR texture filtering.
+   */
+  _sampleImageData(img, outW, outH) {
+    const { data, width, height } = img;
+    this.fbWidth = outW;
+    this.fbHeight = outH;
+    if (width === outW && height === outH) return data;
+
+    const out = new Uint8ClampedArray(outW * outH * 4);
+    const sx = width / outW;
+    const sy = height / outH;
+
+    for (let y = 0; y < outH; y++) {
+      const fy = Math.max(0, Math.min(height - 1, (y + 0.5) * sy - 0.5));
+      const y0 = Math.floor(fy);
+      const y1 = Math.min(height - 1, y0 + 1);
+      const wy = fy - y0;
+      for (let x = 0; x < outW; x++) {
+        const fx = Math.max(0, Math.min(width - 1, (x + 0.5) * sx - 0.5));
+        const x0 = Math.floor(fx);
+        const x1 = Math.min(width - 1, x0 + 1);
+        const wx = fx - x0;
+
+        const i00 = (y0 * width + x0) * 4;
+        const i10 = (y0 * width + x1) * 4;
+        const i01 = (y1 * width + x0) * 4;
+        const i11 = (y1 * width + x1) * 4;
+        const o = (y * outW + x) * 4;
+        for (let c = 0; c < 3; c++) {
+          const top = data[i00 + c] * (1 - wx) + data[i10 + c] * wx;
+          const bottom = data[i01 + c] * (1 - wx) + data[i11 + c] * wx;
+          out[o + c] = top * (1 - wy) + bottom * wy;
+        }
+        out[o + 3] = 255;
+      }
+    }
+
+    return out;
+  }
+
+  _ensureSampleCanvas(w, h) {
+    if (!this._sampleCanvas) {
+      if (typeof OffscreenCanvas !== 'undefined') {
+        this._sampleCanvas = new OffscreenCanvas(w, h);
+      } else if (typeof document !== 'undefined') {
+        this._sampleCanvas = document.createElement('canvas');
+      } else {
+        return null;
+      }
+      this._sampleCtx = this._sampleCanvas.getContext('2d', { willReadFrequently: true });
+    }
+    if (this._sampleCanvas.width !== w || this._sampleCanvas.height !== h) {
+      this._sampleCanvas.width = w;
+      this._sampleCanvas.height = h;
+    }
+    this.fbWidth = w;
+    this.fbHeight = h;
+    return this._sampleCtx;
+  }
+}
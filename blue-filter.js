@@ -40,19 +40,41 @@ class BlueFilter {
     this._ready = true;
   }
 
+  /**
+   * Frame size of a video element, VideoFrame, ImageBitmap, canvas or ImageData.
+   * @param {*} source
+   * @returns {{ width, height }|null} null while a video has no current frame
+   */
+  static sourceSize(source) {
+    if (!source) return null;
+    let width, height;
+    if (source.videoWidth !== undefined) {
+      if (source.readyState < 2) return null;
+      width = source.videoWidth;
+      height = source.videoHeight;
+    } else if (source.displayWidth !== undefined) {
+      width = source.displayWidth;
+      height = source.displayHeight;
+    } else {
+      width = source.width;
+      height = source.height;
+    }
+    return width && height ? { width, height } : null;
+  }
+
   /**
    * Process a video frame and return the blue differential mask at reduced resolution.
-   * @param {HTMLVideoElement} video
+   * @param {HTMLVideoElement|VideoFrame|ImageBitmap} video
    * @param {number} downscale - Downscale factor (default 4 = 1/4 resolution)
    * @returns {{ mask: Uint8Array, width: number, height: number }} Binary mask + blue diff values
    */
   process(video, downscale = 4) {
-    if (!this._ready || video.readyState < 2) return null;
+    const size = this._ready ? BlueFilter.sourceSize(video) : null;
+    if (!size) return null;
 
     const gl = this.gl;
-    const vw = video.videoWidth;
-    const vh = video.videoHeight;
-    if (!vw || !vh) return null;
+    const vw = size.width;
+    const vh = size.height;
 
     // Compute output dimensions
     const outW = Math.round(vw / downscale);
@@ -106,23 +128,7 @@ class BlueFilter {
       }
     }
 
-    // Apply morphological opening (erosion + dilation) to clean noise
-    const mask = this._morphCleanup(rawMask, outW, outH);
-
-    // Build sparse blue pixel index list for peak detector (fast NMS scanning)
-    const bluePixels = [];
-    for (let i = 0; i < outW * outH; i++) {
-      if (mask[i] > 0 || brightnessValues[i] > 200) {
-        bluePixels.push(i);
-      }
-    }
-
-    // Adaptive threshold update
-    if (this.adaptiveEnabled) {
-      this._updateAdaptiveThreshold(blueDiffValues, outW * outH);
-    }
-
-    return { mask, blueDiffValues, brightnessValues, bluePixels, width: outW, height: outH, downscale };
+    return this._finishFrame(rawMask, blueDiffValues, brightnessValues, outW, outH, downscale);
   }
 
   /**
@@ -284,6 +290,31 @@ class BlueFilter {
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
   }
 
+  /**
+   * Shared post-processing for the unpacked R/G/B channels: mask cleanup,
+   * sparse blue pixel list and adaptive threshold update.
+   * @returns {{ mask, blueDiffValues, brightnessValues, bluePixels, width, height, downscale }}
+   */
+  _finishFrame(rawMask, blueDiffValues, brightnessValues, outW, outH, downscale) {
+    // Apply morphological opening (erosion + dilation) to clean noise
+    const mask = this._morphCleanup(rawMask, outW, outH);
+
+    // Build sparse blue pixel index list for peak detector (fast NMS scanning)
+    const bluePixels = [];
+    for (let i = 0; i < outW * outH; i++) {
+      if (mask[i] > 0 || brightnessValues[i] > 200) {
+        bluePixels.push(i);
+      }
+    }
+
+    // Adaptive threshold update
+    if (this.adaptiveEnabled) {
+      this._updateAdaptiveThreshold(blueDiffValues, outW * outH);
+    }
+
+    return { mask, blueDiffValues, brightnessValues, bluePixels, width: outW, height: outH, downscale };
+  }
+
   _updateAdaptiveThreshold(blueDiffValues, count) {
     // Compute the 97th percentile of blue diff values to set adaptive threshold
     // Using 97th instead of 99.5th for more stable estimation (less sensitive to noise clusters)
@@ -0,0 +1,616 @@
+// ===================================================================
+// Camera Calibration
+// Zhang's method (planar homographies → closed-form intrinsics) followed
+// by Levenberg-Marquardt over intrinsics, Brown-Conrady distortion and
+// per-view poses. Targets: printed checkerboard or the LightTag itself.
+// ===================================================================
+
+// Brown-Conrady coefficient order used throughout
+const DISTORTION_TERMS = ['k1', 'k2', 'p1', 'p2', 'k3'];
+
+class CameraCalibrator {
+  constructor(config = {}) {
+    // 'checkerboard' | 'lighttag'
+    this.target = config.target || 'checkerboard';
+    // Checkerboard inner corners and square size (mm)
+    this.cols = config.cols || 9;
+    this.rows = config.rows || 6;
+    this.squareSize = config.squareSize || 25;
+    // Views required before calibrate() runs
+    this.minViews = config.minViews || (this.target === 'lighttag' ? 8 : 5);
+    // Distortion terms to estimate; the rest stay 0. Five LEDs per view
+    // only support a single radial term.
+    this.distortionTerms = config.distortionTerms ||
+      (this.target === 'lighttag' ? ['k1'] : DISTORTION_TERMS.slice());
+    // A new view must move the target by at least this fraction of the image diagonal
+    this.minViewChange = config.minViewChange !== undefined ? config.minViewChange : 0.03;
+    this.maxIterations = config.maxIterations || 50;
+
+    this.detector = this.target === 'checkerboard'
+      ? new CheckerboardDetector({ cols: this.cols, rows: this.rows })
+      : null;
+
+    this.views = [];
+    this.imageSize = null;
+  }
+
+  /**
+   * Target points in the target frame (mm).
+   * @returns {Array<{x,y,z}>}
+   */
+  objectPoints() {
+    if (this.target === 'lighttag') {
+      return LED_GEOMETRY.points3D.map(p => ({ x: p.x, y: p.y, z: p.z }));
+    }
+    const pts = [];
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        pts.push({ x: c * this.squareSize, y: r * this.squareSize, z: 0 });
+      }
+    }
+    return pts;
+  }
+
+  /**
+   * Detect the checkerboard in a frame and add it as a view.
+   * @param {{ data, width, height }} image - Full-res RGBA frame
+   * @returns {{ added: boolean, reason?: string, corners?: Array, count: number }}
+   */
+  addCheckerboardFrame(image) {
+    if (!this.detector) return { added: false, reason: 'target is not a checkerboard', count: this.views.length };
+
+    const corners = this.detector.detect(image);
+    if (!corners) return { added: false, reason: 'checkerboard not found', count: this.views.length };
+
+    const res = this.addView(corners, image.width, image.height);
+    return { ...res, corners };
+  }
+
+  /**
+   * Add one view of the target.
+   * @param {Array<{x,y}>} imagePoints - Pixel coordinates, same order as objectPoints()
+   *   (LightTag: LED ids 1-5 in order)
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @returns {{ added: boolean, reason?: string, count: number }}
+   */
+  addView(imagePoints, width, height) {
+    const expected = this.objectPoints().length;
+    if (!imagePoints || imagePoints.length !== expected) {
+      return { added: false, reason: `need ${expected} points`, count: this.views.length };
+    }
+
+    if (this.imageSize && (this.imageSize.width !== width || this.imageSize.height !== height)) {
+      return { added: false, reason: 'resolution changed', count: this.views.length };
+    }
+
+    // Near-duplicate views add nothing but weight
+    const diag = Math.hypot(width, height);
+    for (const view of this.views) {
+      let moved = 0;
+      for (let i = 0; i < expected; i++) {
+        moved += Math.hypot(view[i].x - imagePoints[i].x, view[i].y - imagePoints[i].y);
+      }
+      if (moved / expected < this.minViewChange * diag) {
+        return { added: false, reason: 'too similar to an existing view', count: this.views.length };
+      }
+    }
+
+    this.imageSize = { width, height };
+    this.views.push(imagePoints.map(p => ({ x: p.x, y: p.y })));
+    return { added: true, count: this.views.length };
+  }
+
+  /**
+   * Solve for intrinsics and distortion from the collected views.
+   * @returns {{ success, fx, fy, cx, cy, distortion, rms, perViewErrors, views, error? }}
+   */
+  calibrate() {
+    if (this.views.length < this.minViews) {
+      return { success: false, error: `Need at least ${this.minViews} views (have ${this.views.length})` };
+    }
+
+    const objPts = this.objectPoints();
+    const { width, height } = this.imageSize;
+
+    // Zhang uses the planar subset (all checkerboard corners / the 4 rectangle LEDs)
+    const planar = objPts.map((p, i) => i).filter(i => Math.abs(objPts[i].z) < 1e-9);
+    const homographies = this.views.map(view => this._homography(
+      planar.map(i => objPts[i]),
+      planar.map(i => view[i])
+    ));
+    if (homographies.some(H => !H)) {
+      return { success: false, error: 'Degenerate view (homography failed)' };
+    }
+
+    // Closed-form intrinsics; fall back to the usual guess if the views are degenerate
+    let K = this._zhangIntrinsics(homographies);
+    if (!K || !(K.fx > 0 && K.fy > 0) ||
+        K.cx < 0 || K.cx > width || K.cy < 0 || K.cy > height) {
+      const f = 0.9 * Math.max(width, height);
+      K = { fx: f, fy: f, cx: width / 2, cy: height / 2 };
+    }
+
+    const poses = homographies.map(H => this._poseFromHomography(H, K));
+
+    const refined = this._refine(objPts, K, poses);
+    const { fx, fy, cx, cy, distortion } = refined;
+    if (!(fx > 0 && fy > 0) || !isFinite(refined.rms)) {
+      return { success: false, error: 'Refinement diverged' };
+    }
+
+    return {
+      success: true,
+      target: this.target,
+      width,
+      height,
+      fx,
+      fy,
+      cx,
+      cy,
+      distortion,
+      rms: refined.rms,
+      perViewErrors: refined.perViewErrors,
+      views: this.views.length
+    };
+  }
+
+  /**
+   * Drop all collected views.
+   */
+  reset() {
+    this.views = [];
+    this.imageSize = null;
+  }
+
+  // --- Private methods ---
+
+  /**
+   * Normalized DLT homography from planar object points (x, y) to pixels.
+   * @returns {Array<Array<number>>|null} 3x3, H[2][2]-normalized
+   */
+  _homography(objPts, imgPts) {
+    const n = objPts.length;
+    if (n < 4) return null;
+
+    // Hartley normalization of both point sets
+    const normalizer = pts => {
+      let mx = 0, my = 0;
+      for (const p of pts) {
+        mx += p.x;
+        my += p.y;
+      }
+      mx /= n;
+      my /= n;
+      let d = 0;
+      for (const p of pts) d += Math.hypot(p.x - mx, p.y - my);
+      const s = d > 0 ? Math.SQRT2 * n / d : 1;
+      return [[s, 0, -s * mx], [0, s, -s * my], [0, 0, 1]];
+    };
+    const To = normalizer(objPts);
+    const Ti = normalizer(imgPts);
+
+    const A = [];
+    for (let k = 0; k < n; k++) {
+      const X = To[0][0] * objPts[k].x + To[0][2];
+      const Y = To[1][1] * objPts[k].y + To[1][2];
+      const u = Ti[0][0] * imgPts[k].x + Ti[0][2];
+      const v = Ti[1][1] * imgPts[k].y + Ti[1][2];
+      A.push([X, Y, 1, 0, 0, 0, -u * X, -u * Y, -u]);
+      A.push([0, 0, 0, X, Y, 1, -v * X, -v * Y, -v]);
+    }
+
+    const h = this._nullVector(A);
+    if (!h) return null;
+    const Hn = [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], h[8]]];
+
+    // Denormalize: H = Ti^-1 * Hn * To
+    const TiInv = [[1 / Ti[0][0], 0, -Ti[0][2] / Ti[0][0]], [0, 1 / Ti[1][1], -Ti[1][2] / Ti[1][1]], [0, 0, 1]];
+    const H = this._mul3(this._mul3(TiInv, Hn), To);
+    if (Math.abs(H[2][2]) < 1e-12) return null;
+    const s = 1 / H[2][2];
+    return H.map(row => row.map(v => v * s));
+  }
+
+  /**
+   * Closed-form intrinsics from ≥2 homographies (zero skew enforced).
+   * @returns {{fx, fy, cx, cy}|null}
+   */
+  _zhangIntrinsics(homographies) {
+    const vij = (H, i, j) => [
+      H[0][i] * H[0][j],
+      H[0][i] * H[1][j] + H[1][i] * H[0][j],
+      H[1][i] * H[1][j],
+      H[2][i] * H[0][j] + H[0][i] * H[2][j],
+      H[2][i] * H[1][j] + H[1][i] * H[2][j],
+      H[2][i] * H[2][j]
+    ];
+
+    const V = [];
+    for (const H of homographies) {
+      const v12 = vij(H, 0, 1);
+      const v11 = vij(H, 0, 0);
+      const v22 = vij(H, 1, 1);
+      V.push(v12);
+      V.push(v11.map((v, k) => v - v22[k]));
+    }
+    // Zero skew: B12 = 0
+    V.push([0, 1, 0, 0, 0, 0]);
+
+    // Scale rows to unit norm so the skew row is not drowned out
+    const Vn = V.map(row => {
+      const norm = Math.hypot(...row) || 1;
+      return row.map(v => v / norm);
+    });
+
+    const b = this._nullVector(Vn);
+    if (!b) return null;
+    const [B11, B12, B22, B13, B23, B33] = b;
+
+    const den = B11 * B22 - B12 * B12;
+    if (Math.abs(den) < 1e-30 || Math.abs(B11) < 1e-30) return null;
+    const cy = (B12 * B13 - B11 * B23) / den;
+    const lambda = B33 - (B13 * B13 + cy * (B12 * B13 - B11 * B23)) / B11;
+    const fx2 = lambda / B11;
+    const fy2 = lambda * B11 / den;
+    if (!(fx2 > 0 && fy2 > 0)) return null;
+    const fx = Math.sqrt(fx2);
+    const fy = Math.sqrt(fy2);
+    const cx = -B13 * fx2 / lambda;
+
+    return { fx, fy, cx, cy };
+  }
+
+  /**
+   * Extrinsics from a homography and intrinsics (LM initial guess).
+   * @returns {{ rvec: Array<number>, tvec: Array<number> }}
+   */
+  _poseFromHomography(H, K) {
+    const invK = col => [
+      (col[0] - K.cx * col[2]) / K.fx,
+      (col[1] - K.cy * col[2]) / K.fy,
+      col[2]
+    ];
+    const h1 = invK([H[0][0], H[1][0], H[2][0]]);
+    const h2 = invK([H[0][1], H[1][1], H[2][1]]);
+    const h3 = invK([H[0][2], H[1][2], H[2][2]]);
+
+    let s = 1 / Math.hypot(...h1);
+    // Target in front of the camera
+    if (h3[2] * s < 0) s = -s;
+
+    let r1 = h1.map(v => v * s);
+    let r2 = h2.map(v => v * s);
+    const t = h3.map(v => v * s);
+
+    // Gram-Schmidt to a proper rotation
+    const norm = v => {
+      const l = Math.hypot(...v);
+      return v.map(x => x / l);
+    };
+    r1 = norm(r1);
+    const d = r1[0] * r2[0] + r1[1] * r2[1] + r1[2] * r2[2];
+    r2 = norm(r2.map((v, k) => v - d * r1[k]));
+    const r3 = [
+      r1[1] * r2[2] - r1[2] * r2[1],
+      r1[2] * r2[0] - r1[0] * r2[2],
+      r1[0] * r2[1] - r1[1] * r2[0]
+    ];
+    const R = [
+      [r1[0], r2[0], r3[0]],
+      [r1[1], r2[1], r3[1]],
+      [r1[2], r2[2], r3[2]]
+    ];
+
+    return { rvec: this._rotMatToRodrigues(R), tvec: t };
+  }
+
+  /**
+   * Joint LM over [fx, fy, cx, cy, free distortion terms, (rvec, tvec) per view].
+   */
+  _refine(objPts, K, poses) {
+    const free = this.distortionTerms.filter(t => DISTORTION_TERMS.includes(t));
+    const nIntr = 4 + free.length;
+    const nViews = this.views.length;
+    const nParams = nIntr + 6 * nViews;
+
+    const params = new Float64Array(nParams);
+    params[0] = K.fx;
+    params[1] = K.fy;
+    params[2] = K.cx;
+    params[3] = K.cy;
+    poses.forEach((pose, v) => {
+      const o = nIntr + 6 * v;
+      for (let k = 0; k < 3; k++) {
+        params[o + k] = pose.rvec[k];
+        params[o + 3 + k] = pose.tvec[k];
+      }
+    });
+
+    const unpack = p => {
+      const dist = { k1: 0, k2: 0, p1: 0, p2: 0, k3: 0 };
+      free.forEach((term, k) => { dist[term] = p[4 + k]; });
+      return { fx: p[0], fy: p[1], cx: p[2], cy: p[3], dist };
+    };
+
+    // Residuals of one view (2 per point)
+    const viewResiduals = (p, v, out, offset) => {
+      const intr = unpack(p);
+      const o = nIntr + 6 * v;
+      const R = this._rodrigues([p[o], p[o + 1], p[o + 2]]);
+      const t = [p[o + 3], p[o + 4], p[o + 5]];
+      const view = this.views[v];
+      for (let i = 0; i < objPts.length; i++) {
+        const q = this._project(objPts[i], R, t, intr);
+        out[offset + 2 * i] = q.x - view[i].x;
+        out[offset + 2 * i + 1] = q.y - view[i].y;
+      }
+    };
+
+    const perView = 2 * objPts.length;
+    const nRes = perView * nViews;
+    const residuals = p => {
+      const r = new Float64Array(nRes);
+      for (let v = 0; v < nViews; v++) viewResiduals(p, v, r, v * perView);
+      return r;
+    };
+    const sq = r => r.reduce((s, v) => s + v * v, 0);
+
+    let r = residuals(params);
+    let err = sq(r);
+    let lambda = 1e-3;
+
+    for (let iter = 0; iter < this.maxIterations; iter++) {
+      // Numerical Jacobian; view parameters only touch their own residuals
+      const J = [];
+      for (let k = 0; k < nParams; k++) J.push(null);
+      for (let k = 0; k < nIntr; k++) {
+        const h = 1e-6 * Math.max(1, Math.abs(params[k]));
+        const p = Float64Array.from(params);
+        p[k] += h;
+        const rk = residuals(p);
+        J[k] = rk.map((v, i) => (v - r[i]) / h);
+      }
+      for (let v = 0; v < nViews; v++) {
+        for (let k = 0; k < 6; k++) {
+          const idx = nIntr + 6 * v + k;
+          const h = 1e-6 * Math.max(1, Math.abs(params[idx]));
+          const p = Float64Array.from(params);
+          p[idx] += h;
+          const col = new Float64Array(nRes);
+          const rv = new Float64Array(nRes);
+          viewResiduals(p, v, rv, v * perView);
+          for (let i = v * perView; i < (v + 1) * perView; i++) col[i] = (rv[i] - r[i]) / h;
+          J[idx] = col;
+        }
+      }
+
+      // Normal equations (J holds columns)
+      const JtJ = [];
+      const Jtr = new Float64Array(nParams);
+      for (let a = 0; a < nParams; a++) {
+        JtJ.push(new Float64Array(nParams));
+        let s = 0;
+        for (let i = 0; i < nRes; i++) s += J[a][i] * r[i];
+        Jtr[a] = s;
+      }
+      for (let a = 0; a < nParams; a++) {
+        for (let b = a; b < nParams; b++) {
+          // View blocks never overlap each other
+          const va = a >= nIntr ? Math.floor((a - nIntr) / 6) : -1;
+          const vb = b >= nIntr ? Math.floor((b - nIntr) / 6) : -1;
+          if (va >= 0 && vb >= 0 && va !== vb) continue;
+          let s = 0;
+          for (let i = 0; i < nRes; i++) s += J[a][i] * J[b][i];
+          JtJ[a][b] = s;
+          JtJ[b][a] = s;
+        }
+      }
+
+      let improved = false;
+      for (let attempt = 0; attempt < 10; attempt++) {
+        const A = JtJ.map((row, i) => {
+          const copy = Float64Array.from(row);
+          copy[i] *= 1 + lambda;
+          return copy;
+        });
+        const delta = this._solveLinear(A, Jtr.map(v => -v));
+        if (!delta) {
+          lambda *= 10;
+          continue;
+        }
+
+        const candidate = params.map((v, k) => v + delta[k]);
+        const rc = residuals(candidate);
+        const errC = sq(rc);
+        if (errC < err) {
+          const gain = err - errC;
+          params.set(candidate);
+          r = rc;
+          err = errC;
+          lambda = Math.max(1e-9, lambda * 0.3);
+          improved = gain > 1e-10 * err;
+          break;
+        }
+        lambda *= 10;
+      }
+      if (!improved) break;
+    }
+
+    const intr = unpack(params);
+    const perViewErrors = [];
+    for (let v = 0; v < nViews; v++) {
+      let s = 0;
+      for (let i = v * perView; i < (v + 1) * perView; i++) s += r[i] * r[i];
+      perViewErrors.push(Math.sqrt(s / objPts.length));
+    }
+
+    return {
+      fx: intr.fx,
+      fy: intr.fy,
+      cx: intr.cx,
+      cy: intr.cy,
+      distortion: intr.dist,
+      rms: Math.sqrt(err / (objPts.length * nViews)),
+      perViewErrors
+    };
+  }
+
+  /**
+   * Pinhole + Brown-Conrady projection.
+   */
+  _project(P, R, t, intr) {
+    const X = R[0][0] * P.x + R[0][1] * P.y + R[0][2] * P.z + t[0];
+    const Y = R[1][0] * P.x + R[1][1] * P.y + R[1][2] * P.z + t[1];
+    const Z = R[2][0] * P.x + R[2][1] * P.y + R[2][2] * P.z + t[2];
+    const x = X / Z, y = Y / Z;
+    const { k1, k2, p1, p2, k3 } = intr.dist;
+    const r2 = x * x + y * y;
+    const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+    const xd = x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x);
+    const yd = y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y;
+    return { x: intr.fx * xd + intr.cx, y: intr.fy * yd + intr.cy };
+  }
+
+  /**
+   * Unit vector minimizing |A x| (smallest eigenvector of A^T A).
+   */
+  _nullVector(A) {
+    const n = A[0].length;
+    const AtA = [];
+    for (let i = 0; i < n; i++) {
+      AtA.push(new Array(n).fill(0));
+      for (let j = 0; j < n; j++) {
+        let s = 0;
+        for (const row of A) s += row[i] * row[j];
+        AtA[i][j] = s;
+      }
+    }
+
+    // Cyclic Jacobi sweeps until the off-diagonal mass vanishes
+    const S = AtA;
+    const V = [];
+    for (let i = 0; i < n; i++) {
+      V.push(new Array(n).fill(0));
+      V[i][i] = 1;
+    }
+    for (let sweep = 0; sweep < 50; sweep++) {
+      let off = 0, diag = 0;
+      for (let i = 0; i < n; i++) {
+        diag += S[i][i] * S[i][i];
+        for (let j = i + 1; j < n; j++) off += S[i][j] * S[i][j];
+      }
+      if (off <= 1e-24 * diag) break;
+
+      for (let p = 0; p < n - 1; p++) {
+        for (let q = p + 1; q < n; q++) {
+          if (Math.abs(S[p][q]) < 1e-300) continue;
+          const theta = 0.5 * Math.atan2(2 * S[p][q], S[q][q] - S[p][p]);
+          const c = Math.cos(theta), s = Math.sin(theta);
+          for (let k = 0; k < n; k++) {
+            const skp = S[k][p], skq = S[k][q];
+            S[k][p] = c * skp - s * skq;
+            S[k][q] = s * skp + c * skq;
+          }
+          for (let k = 0; k < n; k++) {
+            const spk = S[p][k], sqk = S[q][k];
+            S[p][k] = c * spk - s * sqk;
+            S[q][k] = s * spk + c * sqk;
+          }
+          for (let k = 0; k < n; k++) {
+            const vkp = V[k][p], vkq = V[k][q];
+            V[k][p] = c * vkp - s * vkq;
+            V[k][q] = s * vkp + c * vkq;
+          }
+        }
+      }
+    }
+
+    let best = 0;
+    for (let i = 1; i < n; i++) {
+      if (S[i][i] < S[best][best]) best = i;
+    }
+    const x = V.map(row => row[best]);
+    return x.every(v => isFinite(v)) ? x : null;
+  }
+
+  /**
+   * Gaussian elimination with partial pivoting.
+   */
+  _solveLinear(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => {
+      const r = Array.from(row);
+      r.push(b[i]);
+      return r;
+    });
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+      }
+      if (Math.abs(M[pivot][col]) < 1e-15) return null;
+      [M[col], M[pivot]] = [M[pivot], M[col]];
+
+      for (let row = col + 1; row < n; row++) {
+        const f = M[row][col] / M[col][col];
+        if (f === 0) continue;
+        for (let k = col; k <= n; k++) M[row][k] -= f * M[col][k];
+      }
+    }
+
+    const x = new Float64Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+      let s = M[row][n];
+      for (let k = row + 1; k < n; k++) s -= M[row][k] * x[k];
+      x[row] = s / M[row][row];
+    }
+    return x;
+  }
+
+  _mul3(A, B) {
+    const C = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (let i = 0; i < 3; i++)
+      for (let j = 0; j < 3; j++)
+        for (let k = 0; k < 3; k++)
+          C[i][j] += A[i][k] * B[k][j];
+    return C;
+  }
+
+  _rodrigues(rvec) {
+    const theta = Math.hypot(rvec[0], rvec[1], rvec[2]);
+    if (theta < 1e-12) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    const k = rvec.map(v => v / theta);
+    const c = Math.cos(theta), s = Math.sin(theta), v = 1 - c;
+    return [
+      [c + k[0] * k[0] * v, k[0] * k[1] * v - k[2] * s, k[0] * k[2] * v + k[1] * s],
+      [k[1] * k[0] * v + k[2] * s, c + k[1] * k[1] * v, k[1] * k[2] * v - k[0] * s],
+      [k[2] * k[0] * v - k[1] * s, k[2] * k[1] * v + k[0] * s, c + k[2] * k[2] * v]
+    ];
+  }
+
+  _rotMatToRodrigues(R) {
+    const trace = R[0][0] + R[1][1] + R[2][2];
+    const theta = Math.acos(Math.max(-1, Math.min(1, (trace - 1) / 2)));
+    if (theta < 1e-10) return [0, 0, 0];
+
+    if (Math.PI - theta < 1e-6) {
+      // Near 180°: axis from the largest diagonal element
+      const i = R[0][0] >= R[1][1] && R[0][0] >= R[2][2] ? 0 : R[1][1] >= R[2][2] ? 1 : 2;
+      const axis = [0, 0, 0];
+      axis[i] = Math.sqrt(Math.max(0, (R[i][i] + 1) / 2));
+      for (let j = 0; j < 3; j++) {
+        if (j !== i) axis[j] = R[i][j] / (2 * axis[i]);
+      }
+      return axis.map(v => v * theta);
+    }
+
+    const s = theta / (2 * Math.sin(theta));
+    return [
+      s * (R[2][1] - R[1][2]),
+      s * (R[0][2] - R[2][0]),
+      s * (R[1][0] - R[0][1])
+    ];
+  }
+}
@@ -0,0 +1,336 @@
+// ===================================================================
+// Pure JS Checkerboard Corner Detection
+// ChESS corner response + sub-pixel refinement + grid assembly
+// Used by CameraCalibrator - no OpenCV dependency
+// ===================================================================
+
+class CheckerboardDetector {
+  constructor(config = {}) {
+    // Inner corners per row / column (a 10x7-square board has 9x6 inner corners)
+    this.cols = config.cols || 9;
+    this.rows = config.rows || 6;
+    // Long side of the working image used for corner search (pixels)
+    this.maxSize = config.maxSize || 800;
+    // ChESS sampling ring radius at the working scale (pixels)
+    this.radius = config.radius || 5;
+    // Corner response threshold relative to the strongest corner
+    this.minResponseRatio = config.minResponseRatio || 0.15;
+  }
+
+  /**
+   * Find the inner corners of the checkerboard.
+   * @param {{ data, width, height }} image - RGBA ImageData (or compatible)
+   * @returns {Array<{x,y}>|null} rows*cols corners in full-res pixels, row-major, or null
+   */
+  detect(image) {
+    const scale = Math.min(1, this.maxSize / Math.max(image.width, image.height));
+    const gray = this._grayscale(image, scale);
+
+    const corners = this._findCorners(gray);
+    if (corners.length < this.cols * this.rows) return null;
+
+    const grid = this._assembleGrid(corners);
+    if (!grid) return null;
+
+    // Back to full-res pixels, then refine on the full-res image
+    return grid.map(p => this._refineCorner(image, p.x / scale, p.y / scale, Math.max(3, Math.round(this.radius / scale))));
+  }
+
+  // --- Private methods ---
+
+  /**
+   * Box-filtered grayscale at the working scale.
+   */
+  _grayscale(image, scale) {
+    const { data } = image;
+    const w = Math.max(1, Math.round(image.width * scale));
+    const h = Math.max(1, Math.round(image.height * scale));
+    const values = new Float32Array(w * h);
+    const step = 1 / scale;
+
+    for (let y = 0; y < h; y++) {
+      const sy0 = Math.floor(y * step);
+      const sy1 = Math.min(image.height, Math.max(sy0 + 1, Math.floor((y + 1) * step)));
+      for (let x = 0; x < w; x++) {
+        const sx0 = Math.floor(x * step);
+        const sx1 = Math.min(image.width, Math.max(sx0 + 1, Math.floor((x + 1) * step)));
+        let sum = 0;
+        let n = 0;
+        for (let sy = sy0; sy < sy1; sy++) {
+          for (let sx = sx0; sx < sx1; sx++) {
+            const i = (sy * image.width + sx) * 4;
+            sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            n++;
+          }
+        }
+        values[y * w + x] = sum / n;
+      }
+    }
+
+    return { values, width: w, height: h };
+  }
+
+  /**
+   * ChESS corner response (Bennett & Lasenby) + non-maximum suppression.
+   * Saddle points score high; edges and blobs are penalized.
+   */
+  _findCorners(gray) {
+    const { values, width, height } = gray;
+    const r = this.radius;
+
+    // 16 ring offsets
+    const ring = [];
+    for (let k = 0; k < 16; k++) {
+      const a = (k / 16) * 2 * Math.PI;
+      ring.push(Math.round(Math.sin(a) * r) * width + Math.round(Math.cos(a) * r));
+    }
+
+    const response = new Float32Array(width * height);
+    const I = new Float32Array(16);
+    let maxResponse = 0;
+
+    for (let y = r + 1; y < height - r - 1; y++) {
+      for (let x = r + 1; x < width - r - 1; x++) {
+        const idx = y * width + x;
+        let ringMean = 0;
+        for (let k = 0; k < 16; k++) {
+          I[k] = values[idx + ring[k]];
+          ringMean += I[k];
+        }
+        ringMean /= 16;
+
+        let sum = 0;
+        for (let n = 0; n < 4; n++) {
+          sum += Math.abs(I[n] + I[n + 8] - I[n + 4] - I[n + 12]);
+        }
+        let diff = 0;
+        for (let n = 0; n < 8; n++) {
+          diff += Math.abs(I[n] - I[n + 8]);
+        }
+        const localMean = (values[idx] + values[idx - 1] + values[idx + 1] +
+          values[idx - width] + values[idx + width]) / 5;
+
+        const v = sum - diff - 16 * Math.abs(ringMean - localMean);
+        if (v > 0) {
+          response[idx] = v;
+          if (v > maxResponse) maxResponse = v;
+        }
+      }
+    }
+
+    if (maxResponse <= 0) return [];
+
+    // NMS over a (2r+1)^2 window
+    const minResponse = maxResponse * this.minResponseRatio;
+    const corners = [];
+    for (let y = r + 1; y < height - r - 1; y++) {
+      for (let x = r + 1; x < width - r - 1; x++) {
+        const v = response[y * width + x];
+        if (v < minResponse) continue;
+
+        let isMax = true;
+        for (let dy = -r; dy <= r && isMax; dy++) {
+          for (let dx = -r; dx <= r; dx++) {
+            if (dx === 0 && dy === 0) continue;
+            const n = response[(y + dy) * width + (x + dx)];
+            // Tie-break plateaus toward the top-left
+            if (n > v || (n === v && (dy < 0 || (dy === 0 && dx < 0)))) {
+              isMax = false;
+              break;
+            }
+          }
+        }
+        if (!isMax) continue;
+
+        // Quadratic sub-pixel offset on the response
+        const l = response[y * width + x - 1], rr = response[y * width + x + 1];
+        const t = response[(y - 1) * width + x], b = response[(y + 1) * width + x];
+        const ddx = l - 2 * v + rr, ddy = t - 2 * v + b;
+        const ox = ddx < 0 ? Math.max(-0.5, Math.min(0.5, (l - rr) / (2 * ddx))) : 0;
+        const oy = ddy < 0 ? Math.max(-0.5, Math.min(0.5, (t - b) / (2 * ddy))) : 0;
+        corners.push({ x: x + ox, y: y + oy, response: v });
+      }
+    }
+
+    corners.sort((a, b) => b.response - a.response);
+    // Keep a margin of spare corners for grid assembly
+    return corners.slice(0, this.cols * this.rows * 3);
+  }
+
+  /**
+   * Grow a lattice from the corner nearest the cluster center and check it
+   * has exactly cols x rows nodes.
+   * @returns {Array<{x,y}>|null} Row-major corners (working-scale pixels)
+   */
+  _assembleGrid(corners) {
+    const n = corners.length;
+    const count = this.cols * this.rows;
+
+    // Seeds: corners nearest the centroid of the strongest `count` corners
+    let mx = 0, my = 0;
+    for (let i = 0; i < count; i++) {
+      mx += corners[i].x;
+      my += corners[i].y;
+    }
+    mx /= count;
+    my /= count;
+    const seeds = corners
+      .map((c, i) => ({ i, d: Math.hypot(c.x - mx, c.y - my) }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, 5);
+
+    for (const seed of seeds) {
+      const grid = this._growFrom(corners, seed.i);
+      if (grid) return grid;
+    }
+    return null;
+  }
+
+  _growFrom(corners, seedIdx) {
+    const seed = corners[seedIdx];
+
+    // Nearest neighbor gives one lattice direction, the nearest roughly
+    // perpendicular one gives the other
+    const near = corners
+      .map((c, i) => ({ i, dx: c.x - seed.x, dy: c.y - seed.y }))
+      .filter(c => c.i !== seedIdx)
+      .map(c => ({ ...c, d: Math.hypot(c.dx, c.dy) }))
+      .sort((a, b) => a.d - b.d);
+    if (near.length < 2) return null;
+
+    const u = { x: near[0].dx, y: near[0].dy };
+    const vCand = near.slice(1, 6).find(c =>
+      Math.abs((c.dx * u.x + c.dy * u.y) / (c.d * near[0].d)) < 0.5
+    );
+    if (!vCand) return null;
+    const v = { x: vCand.dx, y: vCand.dy };
+
+    // BFS over lattice coordinates; each node keeps its local step vectors
+    const nodes = new Map();
+    const used = new Set([seedIdx]);
+    const key = (i, j) => i + ',' + j;
+    nodes.set(key(0, 0), { i: 0, j: 0, p: seed, u, v });
+    const queue = [nodes.get(key(0, 0))];
+
+    const maxSpan = Math.max(this.cols, this.rows);
+    while (queue.length > 0) {
+      const node = queue.shift();
+      const steps = [
+        { di: 1, dj: 0, d: node.u },
+        { di: -1, dj: 0, d: { x: -node.u.x, y: -node.u.y } },
+        { di: 0, dj: 1, d: node.v },
+        { di: 0, dj: -1, d: { x: -node.v.x, y: -node.v.y } }
+      ];
+
+      for (const s of steps) {
+        const i = node.i + s.di, j = node.j + s.dj;
+        if (nodes.has(key(i, j))) continue;
+        if (Math.abs(i) >= maxSpan || Math.abs(j) >= maxSpan) continue;
+
+        const px = node.p.x + s.d.x, py = node.p.y + s.d.y;
+        const tol = 0.35 * Math.hypot(s.d.x, s.d.y);
+        let best = -1, bestDist = tol;
+        for (let k = 0; k < corners.length; k++) {
+          if (used.has(k)) continue;
+          const d = Math.hypot(corners[k].x - px, corners[k].y - py);
+          if (d < bestDist) {
+            bestDist = d;
+            best = k;
+          }
+        }
+        if (best < 0) continue;
+
+        used.add(best);
+        const p = corners[best];
+        const step = { x: p.x - node.p.x, y: p.y - node.p.y };
+        const child = {
+          i, j, p,
+          u: s.di !== 0 ? { x: step.x * s.di, y: step.y * s.di } : node.u,
+          v: s.dj !== 0 ? { x: step.x * s.dj, y: step.y * s.dj } : node.v
+        };
+        nodes.set(key(i, j), child);
+        queue.push(child);
+      }
+    }
+
+    // Bounds must match the board exactly (either orientation)
+    let i0 = Infinity, i1 = -Infinity, j0 = Infinity, j1 = -Infinity;
+    for (const node of nodes.values()) {
+      i0 = Math.min(i0, node.i);
+      i1 = Math.max(i1, node.i);
+      j0 = Math.min(j0, node.j);
+      j1 = Math.max(j1, node.j);
+    }
+    const ni = i1 - i0 + 1, nj = j1 - j0 + 1;
+    if (nodes.size !== this.cols * this.rows) return null;
+
+    let colAxis;
+    if (ni === this.cols && nj === this.rows) colAxis = 'i';
+    else if (ni === this.rows && nj === this.cols) colAxis = 'j';
+    else return null;
+
+    const at = (c, r) => colAxis === 'i' ? nodes.get(key(i0 + c, j0 + r)) : nodes.get(key(i0 + r, j0 + c));
+
+    // Consistent handedness: row direction × column direction > 0 (image y down)
+    const a = at(0, 0).p, b = at(this.cols - 1, 0).p, c = at(0, this.rows - 1).p;
+    const flipRows = ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) < 0;
+
+    const out = [];
+    for (let r = 0; r < this.rows; r++) {
+      for (let col = 0; col < this.cols; col++) {
+        const node = at(col, flipRows ? this.rows - 1 - r : r);
+        if (!node) return null;
+        out.push({ x: node.p.x, y: node.p.y });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Gradient-based sub-pixel corner refinement on the full-res image:
+   * the corner is the point every gradient in the window is orthogonal to.
+   */
+  _refineCorner(image, x, y, win) {
+    const { data, width, height } = image;
+    const lum = (px, py) => {
+      const i = (py * width + px) * 4;
+      return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    };
+
+    let qx = x, qy = y;
+    for (let iter = 0; iter < 10; iter++) {
+      const cx = Math.round(qx), cy = Math.round(qy);
+      if (cx - win - 1 < 0 || cy - win - 1 < 0 || cx + win + 1 >= width || cy + win + 1 >= height) break;
+
+      let a = 0, b = 0, c = 0, bx = 0, by = 0;
+      for (let dy = -win; dy <= win; dy++) {
+        for (let dx = -win; dx <= win; dx++) {
+          const px = cx + dx, py = cy + dy;
+          const gx = (lum(px + 1, py) - lum(px - 1, py)) / 2;
+          const gy = (lum(px, py + 1) - lum(px, py - 1)) / 2;
+          // Gaussian weight keeps neighboring corners out
+          const w = Math.exp(-(dx * dx + dy * dy) / (win * win));
+          const gxx = gx * gx * w, gxy = gx * gy * w, gyy = gy * gy * w;
+          a += gxx;
+          b += gxy;
+          c += gyy;
+          bx += gxx * px + gxy * py;
+          by += gxy * px + gyy * py;
+        }
+      }
+
+      const det = a * c - b * b;
+      if (Math.abs(det) < 1e-9) break;
+      const nx = (c * bx - b * by) / det;
+      const ny = (a * by - b * bx) / det;
+      const shift = Math.hypot(nx - qx, ny - qy);
+      // Reject runaway solutions (blank windows, edges)
+      if (Math.hypot(nx - x, ny - y) > win) break;
+      qx = nx;
+      qy = ny;
+      if (shift < 0.01) break;
+    }
+
+    return { x: qx, y: qy };
+  }
+}
@@ -0,0 +1,203 @@
+// ===================================================================
+// LED Constellation Definitions
+// The locating LEDs' 3D layout, LED diameter and colour, loaded from a
+// JSON document, with the data light bars' layout when it is known. The
+// geometry matcher, trackers, PnP and bar locator derive their checks from
+// it, so a hardware revision only needs a new definition
+// ===================================================================
+
+const CONSTELLATION_FORMAT = 'lighttag-constellation';
+const CONSTELLATION_VERSION = 1;
+
+// Current LightTag hardware (mm, +X right, +Y up, +Z toward the camera).
+// The PRD gives no data bar dimensions; the bars below are measured from the
+// frontal reference photo (IMG_6789.PNG) against the LED spacing: three
+// horizontal bars centered between the LED columns, level with the top and
+// bottom LED rows and midway between them, LED0 (MSB) on top
+const DEFAULT_CONSTELLATION = {
+  format: CONSTELLATION_FORMAT,
+  version: CONSTELLATION_VERSION,
+  name: 'LightTag 5-LED',
+  ledDiameter: 5,
+  color: { hue: 227, hueRange: 43 },
+  points: [
+    { id: 1, x: 33.65, y: 21.8, z: 0 },      // Right-top
+    { id: 2, x: 33.65, y: -21.8, z: 0 },     // Right-bottom
+    { id: 3, x: -33.65, y: -21.8, z: 0 },    // Left-bottom
+    { id: 4, x: -33.65, y: 21.8, z: 0 },     // Left-top
+    { id: 5, x: 0, y: 63.09, z: 20.1 }       // Center protrusion
+  ],
+  dataBars: {
+    length: 48,
+    thickness: 4,
+    bars: [
+      { index: 0, y: 21.8, z: 0 },           // Top (MSB)
+      { index: 1, y: 0, z: 0 },              // Middle
+      { index: 2, y: -21.8, z: 0 }           // Bottom (LSB)
+    ]
+  }
+};
+
+class Constellation {
+  /**
+   * Build a constellation from a definition document.
+   * {
+   *   "format": "lighttag-constellation", "version": 1, "name": "...",
+   *   "ledDiameter": 5,                         // mm
+   *   "color": { "hue": 227, "hueRange": 43 },  // HSV degrees (hueRange optional)
+   *   "points": [{ "id": 1, "x": 33.65, "y": 21.8, "z": 0 }, ...],  // mm
+   *   "dataBars": {                             // optional, mm
+   *     "length": 50, "thickness": 3,           // bars centered on x = 0
+   *     "bars": [{ "index": 0, "y": 10, "z": 0 }, ...]   // 0 (MSB), 1, 2
+   *   }
+   * }
+   * Points: unique positive integer ids, 4 or more, one apex clearly above the
+   * rest; the others form the base polygon. The apex sets which way is up and so
+   * the LED ids; the tag itself may appear at any rotation.
+   * Without dataBars the bars can't be located from the pose, so IDs are only
+   * decoded from manually set decoder regions.
+   * @param {string|Object} doc - JSON text or parsed object
+   * @returns {Constellation}
+   */
+  static fromJSON(doc) {
+    if (typeof doc === 'string') doc = JSON.parse(doc);
+    if (!doc || doc.format !== CONSTELLATION_FORMAT || !Array.isArray(doc.points)) {
+      throw new Error('Not a LightTag constellation definition');
+    }
+    if (doc.version > CONSTELLATION_VERSION) {
+      throw new Error(`Unsupported constellation version ${doc.version}`);
+    }
+    return new Constellation(doc);
+  }
+
+  /**
+   * @param {Object} def - Parsed definition (see fromJSON())
+   */
+  constructor(def) {
+    const finite = v => typeof v === 'number' && isFinite(v);
+    const points = def.points.map((p, i) => {
+      if (!p || !Number.isInteger(p.id) || p.id < 1 || !finite(p.x) || !finite(p.y) || !finite(p.z)) {
+        throw new Error(`Invalid constellation point #${i + 1}`);
+      }
+      return { id: p.id, x: p.x, y: p.y, z: p.z };
+    });
+    if (points.length < 4) throw new Error('A constellation needs at least 4 points');
+    if (new Set(points.map(p => p.id)).size !== points.length) {
+      throw new Error('Constellation point ids must be unique');
+    }
+
+    this.name = typeof def.name === 'string' ? def.name : '';
+    this.ledDiameter = finite(def.ledDiameter) && def.ledDiameter > 0 ? def.ledDiameter : 5;
+    const color = def.color || {};
+    this.color = {
+      hue: finite(color.hue) ? color.hue : 227,
+      hueRange: finite(color.hueRange) ? color.hueRange : null
+    };
+    this.points3D = points;
+    this.ids = points.map(p => p.id);
+    this.dataBars = def.dataBars ? Constellation._parseDataBars(def.dataBars) : null;
+
+    this._deriveTemplate();
+  }
+
+  /** Number of LEDs */
+  get size() {
+    return this.points3D.length;
+  }
+
+  /**
+   * @returns {Object} Definition document (see fromJSON())
+   */
+  toJSON() {
+    const doc = {
+      format: CONSTELLATION_FORMAT,
+      version: CONSTELLATION_VERSION,
+      name: this.name,
+      ledDiameter: this.ledDiameter,
+      color: this.color.hueRange !== null ? { ...this.color } : { hue: this.color.hue },
+      points: this.points3D.map(p => ({ ...p }))
+    };
+    if (this.dataBars) {
+      doc.dataBars = { ...this.dataBars, bars: this.dataBars.bars.map(b => ({ ...b })) };
+    }
+    return doc;
+  }
+
+  // --- Private methods ---
+
+  /**
+   * Validate a dataBars block (see fromJSON()).
+   * @returns {{ length, thickness, bars: Array<{index, y, z}> }}
+   */
+  static _parseDataBars(def) {
+    const finite = v => typeof v === 'number' && isFinite(v);
+    if (!finite(def.length) || def.length <= 0 || !finite(def.thickness) || def.thickness <= 0) {
+      throw new Error('Invalid data bar length or thickness');
+    }
+    if (!Array.isArray(def.bars)) throw new Error('Data bar layout needs a bars list');
+    const bars = def.bars.map((b, i) => {
+      if (!b || !Number.isInteger(b.index) || !finite(b.y) || !finite(b.z)) {
+        throw new Error(`Invalid data bar #${i + 1}`);
+      }
+      return { index: b.index, y: b.y, z: b.z };
+    }).sort((a, b) => a.index - b.index);
+    // The optical ID carries 3 bits per frame: bars 0 (MSB), 1 and 2
+    if (bars.length !== 3 || bars.some((b, i) => b.index !== i)) {
+      throw new Error('Data bar layout needs bars 0, 1 and 2');
+    }
+    return { length: def.length, thickness: def.thickness, bars };
+  }
+
+  /**
+   * Front-view template the matcher fits candidates against.
+   * Coordinates are image-oriented (x right, y down, z away from the viewer)
+   * and relative to the base centroid; base points run in ascending angle,
+   * which an in-plane rotation only shifts cyclically.
+   */
+  _deriveTemplate() {
+    const sorted = [...this.points3D].sort((a, b) => b.y - a.y);
+    const apex = sorted[0];
+    const base = sorted.slice(1);
+
+    const xs = base.map(p => p.x);
+    const ys = base.map(p => p.y);
+    const width = Math.max(...xs) - Math.min(...xs);
+    const height = Math.max(...ys) - Math.min(...ys);
+    if (width <= 0 || height <= 0) throw new Error('Constellation base points must span an area');
+    // The apex must stand clear of the base so the two can't be confused
+    if (apex.y - sorted[1].y < 0.1 * height) {
+      throw new Error('Constellation needs a single topmost (apex) point');
+    }
+
+    const cx = xs.reduce((s, v) => s + v, 0) / base.length;
+    const cy = ys.reduce((s, v) => s + v, 0) / base.length;
+    const cz = base.reduce((s, p) => s + p.z, 0) / base.length;
+    const order = base
+      .map(p => ({ id: p.id, x: p.x - cx, y: -(p.y - cy) }))
+      .map(p => ({ ...p, angle: Math.atan2(p.y, p.x) }))
+      .sort((a, b) => a.angle - b.angle);
+
+    // Normal matrix Σ T·Tᵀ of the base points, inverted once for affine fits
+    let sxx = 0, sxy = 0, syy = 0;
+    for (const p of order) {
+      sxx += p.x * p.x;
+      sxy += p.x * p.y;
+      syy += p.y * p.y;
+    }
+    const det = sxx * syy - sxy * sxy;
+    if (det <= 1e-9 * (sxx + syy) * (sxx + syy)) throw new Error('Constellation base points are collinear');
+
+    this.apexId = apex.id;
+    this.baseIds = order.map(p => p.id);
+    this.template = {
+      base: order.map(p => ({ x: p.x, y: p.y })),   // in baseIds order
+      apex: { x: apex.x - cx, y: -(apex.y - cy), z: -(apex.z - cz) },
+      width: Math.max(width, height),                // base extent (mm)
+      radius: Math.sqrt((sxx + syy) / order.length), // RMS base radius (mm)
+      normalInverse: [[syy / det, -sxy / det], [-sxy / det, sxx / det]]
+    };
+  }
+}
+
+// Default hardware; LED_GEOMETRY.points3D is the tag-frame LED layout
+const LED_GEOMETRY = new Constellation(DEFAULT_CONSTELLATION);
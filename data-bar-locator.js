@@ -0,0 +1,158 @@
+// ===================================================================
+// Data Light Bar Locator
+// Projects the data bars into the image from the tracked tag pose and
+// measures each bar's brightness for the optical ID decoder. The bar
+// layout comes from the constellation definition (Constellation.dataBars)
+// ===================================================================
+
+class DataBarLocator {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.geometry] - Bar layout in the tag frame (mm):
+   *   { length, thickness, bars: [{ index, y, z }] } as Constellation.dataBars;
+   *   without it nothing is located
+   */
+  constructor(config = {}) {
+    this.geometry = config.geometry || null;
+    // Fraction of the bar length skipped at each end (keeps LED bloom out of the sample)
+    this.endMargin = config.endMargin !== undefined ? config.endMargin : 0.2;
+    // Samples taken along each bar
+    this.samplesPerBar = config.samplesPerBar || 12;
+    // Bars shorter than this in the image (pixels) are not measured
+    this.minBarPixels = config.minBarPixels || 6;
+  }
+
+  /**
+   * Project the bars into the image.
+   * @param {Object} pose - PnPSolver result ({ R, tvec })
+   * @param {PnPSolver} solver - Solver holding the camera intrinsics
+   * @returns {Array<{index, p0, p1, halfWidth}>|null} Bar centerlines in PnP pixel coords
+   *   (null without a bar layout)
+   */
+  project(pose, solver) {
+    if (!this.geometry || !pose || !pose.R || !pose.tvec) return null;
+
+    const g = this.geometry;
+    const half = g.length / 2;
+    const inner = half * (1 - 2 * this.endMargin);
+
+    const bars = [];
+    for (const bar of g.bars) {
+      const pts = solver.projectPoints([
+        { x: -inner, y: bar.y, z: bar.z },
+        { x: inner, y: bar.y, z: bar.z },
+        { x: 0, y: bar.y + g.thickness / 2, z: bar.z },
+        { x: 0, y: bar.y - g.thickness / 2, z: bar.z }
+      ], pose.R, pose.tvec);
+      if (pts.some(p => p === null)) return null;
+
+      const halfWidth = Math.max(1, Math.hypot(pts[2].x - pts[3].x, pts[2].y - pts[3].y) / 2);
+      bars.push({ index: bar.index, p0: pts[0], p1: pts[1], halfWidth });
+    }
+    return bars;
+  }
+
+  /**
+   * Measure the brightness of each bar in the current frame.
+   * @param {Object} pose - PnPSolver result
+   * @param {PnPSolver} solver
+   * @param {CanvasRenderingContext2D} ctx - Full-res frame (anything with getImageData())
+   * @param {Object} frame - { width, height, fromPixel? } (fromPixel maps PnP pixels → normalized)
+   * @returns {{ levels: Array<number>, bars: Array }|null} Levels (0-255), LED0 first
+   */
+  measure(pose, solver, ctx, frame) {
+    const projected = this.project(pose, solver);
+    if (!projected || !ctx) return null;
+
+    const { width, height } = frame;
+    const fromPixel = frame.fromPixel || ((x, y) => ({ x: x / width, y: y / height }));
+
+    // Bar centerlines in full-res frame pixels
+    const bars = projected.map(b => {
+      const a = fromPixel(b.p0.x, b.p0.y);
+      const c = fromPixel(b.p1.x, b.p1.y);
+      const p0 = { x: a.x * width, y: a.y * height };
+      const p1 = { x: c.x * width, y: c.y * height };
+      // Scale the thickness by the same factor as the centerline
+      const scale = Math.hypot(p1.x - p0.x, p1.y - p0.y) /
+        Math.max(1e-6, Math.hypot(b.p1.x - b.p0.x, b.p1.y - b.p0.y));
+      return { index: b.index, p0, p1, halfWidth: Math.max(1, b.halfWidth * scale) };
+    });
+
+    if (bars.some(b => Math.hypot(b.p1.x - b.p0.x, b.p1.y - b.p0.y) < this.minBarPixels)) {
+      return null;
+    }
+
+    // One readback covering all bars
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (const b of bars) {
+      const r = Math.ceil(b.halfWidth) + 1;
+      x0 = Math.min(x0, b.p0.x - r, b.p1.x - r);
+      y0 = Math.min(y0, b.p0.y - r, b.p1.y - r);
+      x1 = Math.max(x1, b.p0.x + r, b.p1.x + r);
+      y1 = Math.max(y1, b.p0.y + r, b.p1.y + r);
+    }
+    x0 = Math.max(0, Math.floor(x0));
+    y0 = Math.max(0, Math.floor(y0));
+    x1 = Math.min(width, Math.ceil(x1));
+    y1 = Math.min(height, Math.ceil(y1));
+    const w = x1 - x0;
+    const h = y1 - y0;
+    if (w <= 0 || h <= 0) return null;
+
+    const data = ctx.getImageData(x0, y0, w, h).data;
+
+    const levels = bars.map(b => this._barLevel(data, w, h, x0, y0, b));
+    if (levels.some(l => l === null)) return null;
+
+    return {
+      levels,
+      bars: bars.map(b => ({
+        index: b.index,
+        p0: { x: b.p0.x / width, y: b.p0.y / height },
+        p1: { x: b.p1.x / width, y: b.p1.y / height }
+      }))
+    };
+  }
+
+  // --- Private methods ---
+
+  /**
+   * Mean brightness along a bar: at each centerline sample take the brightest
+   * pixel across the bar's width (tolerates sub-pixel pose error), then average.
+   */
+  _barLevel(data, w, h, x0, y0, bar) {
+    const n = this.samplesPerBar;
+    const dx = bar.p1.x - bar.p0.x;
+    const dy = bar.p1.y - bar.p0.y;
+    const len = Math.hypot(dx, dy);
+    // Unit normal to the bar
+    const nx = -dy / len;
+    const ny = dx / len;
+    const across = Math.ceil(bar.halfWidth);
+
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < n; i++) {
+      const t = n === 1 ? 0.5 : i / (n - 1);
+      const cx = bar.p0.x + dx * t;
+      const cy = bar.p0.y + dy * t;
+
+      let best = -1;
+      for (let k = -across; k <= across; k++) {
+        const px = Math.round(cx + nx * k) - x0;
+        const py = Math.round(cy + ny * k) - y0;
+        if (px < 0 || py < 0 || px >= w || py >= h) continue;
+        const idx = (py * w + px) * 4;
+        const v = Math.max(data[idx], data[idx + 1], data[idx + 2]);
+        if (v > best) best = v;
+      }
+      if (best >= 0) {
+        sum += best;
+        count++;
+      }
+    }
+
+    return count > 0 ? sum / count : null;
+  }
+}
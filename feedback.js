@@ -51,8 +51,15 @@ class FeedbackManager {
       }
     }
 
-    if (data.candidateCenter) this.candidateCenter = data.candidateCenter;
-    if (data.candidateCount !== undefined) this.candidateCount = data.candidateCount;
+    this.setCandidates(data.candidateCount, data.candidateCenter);
+  }
+
+  /**
+   * Update the candidate count and cluster center without a state change.
+   */
+  setCandidates(count, center) {
+    if (center) this.candidateCenter = center;
+    if (count !== undefined) this.candidateCount = count;
   }
 
   /**
@@ -156,28 +163,37 @@ class FeedbackManager {
   }
 
   _drawLocked(ctx, w, h, data, age) {
-    if (!data.points || data.points.length < 5) return;
+    // One constellation per tracked tag (data.tags), else the single data.points
+    const tags = data.tags || [{ points: data.points, pose: data.pose }];
+    const layout = data.constellation || LED_GEOMETRY;
+    for (const tag of tags) {
+      this._drawConstellation(ctx, w, h, tag, tags.length > 1, layout);
+    }
+  }
+
+  _drawConstellation(ctx, w, h, tag, labelled, layout) {
+    if (!tag.points || tag.points.length < layout.size) return;
 
-    const pts = data.points;
+    const pts = tag.points;
 
-    // Draw connecting lines for rectangle (LED 1-2-3-4)
-    const rectPts = pts.filter(p => p.id <= 4).sort((a, b) => a.id - b.id);
-    if (rectPts.length === 4) {
+    // Draw connecting lines for the base polygon (LED 1-2-3-4 by default)
+    const rectPts = layout.baseIds.map(id => pts.find(p => p.id === id)).filter(Boolean);
+    if (rectPts.length === layout.baseIds.length) {
       ctx.strokeStyle = 'rgba(50, 200, 100, 0.7)';
       ctx.lineWidth = 2;
       ctx.beginPath();
       ctx.moveTo(rectPts[0].x * w, rectPts[0].y * h);
-      for (let i = 1; i < 4; i++) {
+      for (let i = 1; i < rectPts.length; i++) {
         ctx.lineTo(rectPts[i].x * w, rectPts[i].y * h);
       }
       ctx.closePath();
       ctx.stroke();
 
-      // Draw center to LED5 connection
-      const led5 = pts.find(p => p.id === 5);
+      // Draw center to apex (LED5) connection
+      const led5 = pts.find(p => p.id === layout.apexId);
       if (led5) {
-        const centerX = rectPts.reduce((s, p) => s + p.x, 0) / 4;
-        const centerY = rectPts.reduce((s, p) => s + p.y, 0) / 4;
+        const centerX = rectPts.reduce((s, p) => s + p.x, 0) / rectPts.length;
+        const centerY = rectPts.reduce((s, p) => s + p.y, 0) / rectPts.length;
 
         ctx.strokeStyle = 'rgba(50, 200, 100, 0.5)';
         ctx.setLineDash([4, 4]);
@@ -195,11 +211,11 @@ class FeedbackManager {
       const py = p.y * h;
       const radius = 6;
 
-      if (p.id === 5) {
-        // LED5: green circle
+      if (p.id === layout.apexId) {
+        // Apex (LED5): green circle
         ctx.fillStyle = 'rgba(50, 220, 100, 0.9)';
       } else {
-        // LED 1-4: blue circle
+        // Base LEDs (1-4): blue circle
         ctx.fillStyle = 'rgba(50, 150, 255, 0.9)';
       }
 
@@ -214,9 +230,20 @@ class FeedbackManager {
       ctx.fillText(p.id.toString(), px, py - radius - 3);
     }
 
+    // Tag label above the apex when several tags are tracked
+    const top = pts.find(p => p.id === layout.apexId);
+    if (labelled && top) {
+      ctx.fillStyle = 'rgba(50, 220, 100, 0.9)';
+      ctx.font = '12px monospace';
+      ctx.textAlign = 'center';
+      const label = tag.tagId !== null && tag.tagId !== undefined
+        ? `ID ${tag.tagId.toString(16).toUpperCase().padStart(4, '0')}` : `#${tag.trackId}`;
+      ctx.fillText(label, top.x * w, top.y * h - 24);
+    }
+
     // Draw 3D axes if pose is available
-    if (data.pose) {
-      this._draw3DAxes(ctx, w, h, data.pose, pts);
+    if (tag.pose) {
+      this._draw3DAxes(ctx, w, h, tag.pose, pts);
     }
   }
 
@@ -320,22 +347,63 @@ class FeedbackManager {
       ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
       ctx.fillRect(0, h - 80, w, 80);
 
-      // Distance (large)
+      // Distance (large); amber while solved from a partial constellation
       ctx.font = 'bold 28px monospace';
-      ctx.fillStyle = 'rgba(50, 220, 100, 0.95)';
+      ctx.fillStyle = data.degraded ? 'rgba(240, 180, 40, 0.95)' : 'rgba(50, 220, 100, 0.95)';
       ctx.textAlign = 'center';
-      ctx.fillText(`${data.distance.toFixed(2)} m`, w / 2, h - 45);
+      const sigma = data.uncertainty;
+      ctx.fillText(
+        sigma ? `${data.distance.toFixed(2)} ± ${sigma.distance.toFixed(2)} m` : `${data.distance.toFixed(2)} m`,
+        w / 2, h - 45
+      );
 
       // Pose details
       if (data.euler) {
         ctx.font = '12px monospace';
         ctx.fillStyle = 'rgba(200, 200, 200, 0.8)';
         ctx.fillText(
-          `R: ${data.euler.roll.toFixed(1)}° P: ${data.euler.pitch.toFixed(1)}° Y: ${data.euler.yaw.toFixed(1)}°`,
+          `R: ${data.euler.roll.toFixed(1)}° P: ${data.euler.pitch.toFixed(1)}° Y: ${data.euler.yaw.toFixed(1)}°` +
+            (sigma ? ` (±${sigma.angle.toFixed(1)}°)` : ''),
           w / 2, h - 18
         );
       }
 
+      if (data.tagId !== null && data.tagId !== undefined) {
+        ctx.font = '11px monospace';
+        ctx.fillStyle = 'rgba(50, 220, 100, 0.8)';
+        ctx.textAlign = 'left';
+        ctx.fillText(`ID: ${data.tagId.toString(16).toUpperCase().padStart(4, '0')}`, padding, h - 58);
+      }
+
+      if (data.degraded) {
+        ctx.font = '11px monospace';
+        ctx.fillStyle = 'rgba(240, 180, 40, 0.9)';
+        ctx.textAlign = 'left';
+        ctx.fillText('部分 LED 遮擋', padding, h - 44);
+      }
+
+      // Camera position in the site frame (site map localization)
+      if (data.site) {
+        const p = data.site.position;
+        const u = data.site.uncertainty;
+        ctx.font = '12px monospace';
+        ctx.fillStyle = 'rgba(50, 220, 100, 0.9)';
+        ctx.textAlign = 'center';
+        ctx.fillText(
+          `場地 X:${(p[0] / 1000).toFixed(2)} Y:${(p[1] / 1000).toFixed(2)} Z:${(p[2] / 1000).toFixed(2)} m` +
+            (u ? ` (±${(Math.hypot(...u.position) / 1000).toFixed(2)})` : '') +
+            ` [${data.site.tagIds.length} 標籤]`,
+          w / 2, h - 88
+        );
+      }
+
+      if (data.tags && data.tags.length > 1) {
+        ctx.font = '11px monospace';
+        ctx.fillStyle = 'rgba(50, 220, 100, 0.8)';
+        ctx.textAlign = 'right';
+        ctx.fillText(`標籤: ${data.tags.length}`, w - padding, h - 58);
+      }
+
       if (data.position) {
         ctx.font = '11px monospace';
         ctx.fillStyle = 'rgba(180, 180, 180, 0.7)';
@@ -1,31 +1,49 @@
 // ===================================================================
-// 5-LED Geometric Structure Matching
-// Finds the known 5-LED pattern from candidate blobs
+// LED Constellation Geometric Structure Matching
+// Finds the loaded Constellation (default: the 5-LED LightTag) among
+// candidate blobs (one or several non-overlapping tags per frame)
 // ===================================================================
 
-// Physical LED configuration (mm)
-const LED_GEOMETRY = {
-  points3D: [
-    { id: 1, x: 33.65, y: 21.8, z: 0 },      // Right-top
-    { id: 2, x: 33.65, y: -21.8, z: 0 },     // Right-bottom
-    { id: 3, x: -33.65, y: -21.8, z: 0 },    // Left-bottom
-    { id: 4, x: -33.65, y: 21.8, z: 0 },     // Left-top
-    { id: 5, x: 0, y: 63.09, z: 20.1 }       // Center protrusion
-  ],
-  // Physical rectangle dimensions
-  rectWidth: 67.3,    // mm (33.65 * 2)
-  rectHeight: 43.6,   // mm (21.8 * 2)
-  expectedAspectRatio: 67.3 / 43.6, // ~1.544
-  // LED5 offset from rectangle center
-  led5VerticalOffset: 63.09, // mm above center
-  led5ForwardOffset: 20.1    // mm forward (z-axis)
-};
-
 class GeometryMatcher {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.sensitivity] - 'low' | 'medium' | 'high'
+   * @param {Constellation} [config.constellation] - LED layout (default: LED_GEOMETRY)
+   * @param {PnPSolver} [config.pnpSolver] - Enables PnP verification of the best
+   *   hypotheses (see matchAll())
+   * @param {number} [config.verifyTopK] - Hypotheses verified per tag sought
+   * @param {number} [config.maxCandidates] - Candidates considered, brightest first
+   * @param {number} [config.exhaustiveLimit] - Largest number of k-point combinations
+   *   searched exhaustively; above it candidates are sampled (see matchAll())
+   * @param {number} [config.minTagPixels] - Smallest image extent of a match (full-res pixels)
+   */
   constructor(config = {}) {
     // Configurable sensitivity: 'low', 'medium', 'high'
     this.sensitivity = config.sensitivity || 'medium';
+    this.constellation = config.constellation || LED_GEOMETRY;
+    this.pnpSolver = config.pnpSolver || null;
+    this.verifyTopK = config.verifyTopK || 8;
+    this.maxCandidates = config.maxCandidates || 64;
+    this.exhaustiveLimit = config.exhaustiveLimit || 252;
+    // A tag's LEDs are distinct blobs: sets smaller than this, or with two
+    // points inside one blob's radius (one bloomed LED split into several
+    // candidates), are not matched
+    this.minTagPixels = config.minTagPixels || 8;
+    // Running mean of one PnP verification (ms, single slow calls clamped to
+    // twice the mean); matchAll() reserves time for the verifications it
+    // expects to run
+    this._verifyCost = 2;
     this._updateTolerances();
+    this._prepareAnchors();
+  }
+
+  /**
+   * Match a different LED layout from now on.
+   * @param {Constellation} constellation
+   */
+  setConstellation(constellation) {
+    this.constellation = constellation;
+    this._prepareAnchors();
   }
 
   setSensitivity(level) {
@@ -34,247 +52,640 @@ class GeometryMatcher {
   }
 
   _updateTolerances() {
+    // foreshorteningTol: 1 − minor/major scale of the template fit (tilt)
+    // apexTol: apex distance from its fitted position, in base widths
+    // residualTol: RMS base fit residual, in base radii
+    // maxReprojError (px) / maxTilt (degrees): PnP verification limits
+    // timeBudget: search time per tag sought (ms)
     const presets = {
-      low:    { aspectRatioTol: 0.25, centerTol: 0.30, regularityTol: 0.20, maxCombinations: 200 },
-      medium: { aspectRatioTol: 0.40, centerTol: 0.40, regularityTol: 0.35, maxCombinations: 500 },
-      high:   { aspectRatioTol: 0.60, centerTol: 0.50, regularityTol: 0.50, maxCombinations: 1000 }
+      low:    { foreshorteningTol: 0.45, apexTol: 0.20, residualTol: 0.06, maxReprojError: 4, maxTilt: 65, timeBudget: 6 },
+      medium: { foreshorteningTol: 0.55, apexTol: 0.30, residualTol: 0.10, maxReprojError: 8, maxTilt: 72, timeBudget: 12 },
+      high:   { foreshorteningTol: 0.65, apexTol: 0.40, residualTol: 0.15, maxReprojError: 12, maxTilt: 80, timeBudget: 24 }
     };
     const p = presets[this.sensitivity] || presets.medium;
-    this.aspectRatioTol = p.aspectRatioTol;
-    this.centerTol = p.centerTol;
-    this.regularityTol = p.regularityTol;
-    this.maxCombinations = p.maxCombinations;
+    this.foreshorteningTol = p.foreshorteningTol;
+    this.apexTol = p.apexTol;
+    this.residualTol = p.residualTol;
+    this.maxReprojError = p.maxReprojError;
+    this.maxTilt = p.maxTilt;
+    this.timeBudget = p.timeBudget;
   }
 
   /**
-   * Find the best 5-LED configuration from candidate blobs.
+   * Find the best constellation match from candidate blobs.
    * @param {Array<Blob>} candidates - Detected blobs from BlobDetector
    * @param {number} imageAspect - Image width/height ratio (for coordinate scaling)
    * @returns {Object|null} Matched configuration or null
    */
   match(candidates, imageAspect = 16 / 9) {
-    if (candidates.length < 5) return null;
-
-    // Limit to top candidates (by brightness)
-    const top = candidates.slice(0, Math.min(20, candidates.length));
+    return this.matchAll(candidates, imageAspect, { maxMatches: 1 })[0] || null;
+  }
 
-    // Pre-compute pixel distances between all pairs (using normalized coords scaled by aspect)
-    const n = top.length;
-    const dists = new Float64Array(n * n);
-    for (let i = 0; i < n; i++) {
-      for (let j = i + 1; j < n; j++) {
-        const dx = (top[i].x - top[j].x) * imageAspect;
-        const dy = top[i].y - top[j].y;
-        const d = Math.sqrt(dx * dx + dy * dy);
-        dists[i * n + j] = d;
-        dists[j * n + i] = d;
+  /**
+   * Find every non-overlapping constellation match, best first.
+   * Up to maxCandidates blobs are searched, for at most timeBudget ms per tag
+   * sought, verification included (no verification starts that is expected to
+   * end past the deadline): exhaustively when there are few k-point
+   * combinations, else by guided sampling (see _sampleCombinations()).
+   * Matches are picked greedily by score; a match is dropped if it shares a blob
+   * with, or its bounding box intersects, one already picked.
+   * With a pnpSolver and options.toPixel, the verifyTopK best geometric
+   * hypotheses per tag sought are solved by PnP against the constellation and
+   * picked by reprojection error instead; hypotheses whose pose is implausible
+   * (behind the camera, seen from the back, tilted past maxTilt) or reprojects
+   * worse than maxReprojError are dropped.
+   * @param {Array<Blob>} candidates - Detected blobs, brightest first
+   * @param {number} imageAspect - Image width/height ratio
+   * @param {Object} [options]
+   * @param {number} [options.maxMatches] - Most constellations to return (default unlimited)
+   * @param {Array<{minX, minY, maxX, maxY}>} [options.exclude] - Normalized boxes
+   *   (e.g. tags already tracked) a match must not intersect
+   * @param {Function} [options.toPixel] - (nx, ny) => { x, y } pixel coordinates
+   *   matching the pnpSolver intrinsics
+   * @returns {Array<Object>} Matched configurations, each with bounds { minX, minY, maxX, maxY };
+   *   verified ones also carry pose and metrics.reprojError / metrics.tilt
+   */
+  matchAll(candidates, imageAspect = 16 / 9, options = {}) {
+    const maxMatches = options.maxMatches !== undefined ? options.maxMatches : Infinity;
+    const exclude = options.exclude || [];
+    const verify = !!(this.pnpSolver && options.toPixel);
+    const k = this.constellation.size;
+    if (candidates.length < k || maxMatches < 1) return [];
+
+    const startTime = GeometryMatcher._now();
+    const slots = Math.max(1, Math.min(maxMatches, Math.floor(candidates.length / k)));
+    const budget = this.timeBudget * slots;
+    const deadline = startTime + budget;
+    // Every valid hypothesis, keyed by its blob-to-id assignment.
+    // Verification also weighs each blob set's runner-up id assignment
+    const found = new Map();
+    const perSet = verify ? 2 : 1;
+    // Verification gets the last quarter of the budget, or up to half of it for
+    // the expected cost of two hypotheses per tag sought (and whatever search left)
+    const reserve = Math.min(0.5 * budget, Math.max(0.25 * budget, perSet * slots * this._verifyCost));
+    const searchDeadline = verify ? deadline - reserve : deadline;
+    const top = candidates.slice(0, this.maxCandidates);
+    const combinationsTested = GeometryMatcher._binomial(top.length, k) <= this.exhaustiveLimit
+      ? this._searchCombinations(top, top.map((_, i) => i), found, imageAspect, perSet, searchDeadline)
+      : this._sampleCombinations(top, found, imageAspect, perSet, searchDeadline);
+
+    let ranked = [...found.values()].sort((a, b) => a.score - b.score);
+    if (verify) {
+      const verified = [];
+      const limit = Math.min(ranked.length, this.verifyTopK * slots);
+      for (let i = 0; i < limit; i++) {
+        const t0 = GeometryMatcher._now();
+        if (t0 + this._verifyCost > deadline) break;
+        if (this._verifyPose(ranked[i], options.toPixel)) verified.push(ranked[i]);
+        const cost = Math.min(GeometryMatcher._now() - t0, 2 * this._verifyCost);
+        this._verifyCost = 0.8 * this._verifyCost + 0.2 * cost;
       }
+      ranked = verified.sort((a, b) => a.metrics.reprojError - b.metrics.reprojError);
     }
 
-    // Pre-cluster: group candidates that are at consistent mutual distances
-    // Skip exhaustive enumeration if we can identify likely clusters
-    const clusters = this._findClusters(top, dists, n);
+    const matches = [];
+    const usedBlobs = new Set();
+    for (const m of ranked) {
+      if (matches.length >= maxMatches) break;
+      if (m.indices.some(i => usedBlobs.has(i))) continue;
+      if ([...exclude, ...matches.map(other => other.bounds)].some(b => GeometryMatcher.boundsOverlap(m.bounds, b))) continue;
+      m.indices.forEach(i => usedBlobs.add(i));
+      m.totalCandidates = candidates.length;
+      m.combinationsTested = combinationsTested;
+      m.searchTime = GeometryMatcher._now() - startTime;
+      matches.push(m);
+    }
 
-    let bestMatch = null;
-    let bestScore = Infinity;
-    let combinationsTested = 0;
+    return matches;
+  }
 
-    // Try clusters first, then fall back to brute force
-    const searchSets = clusters.length > 0 ? clusters : [top.map((_, i) => i)];
+  /**
+   * Normalized bounding box of a set of points.
+   * @param {Array<{x, y}>} points
+   * @param {number} [margin] - Grow each side by this fraction of the box size
+   * @returns {{ minX, minY, maxX, maxY }}
+   */
+  static boundsOf(points, margin = 0) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs), maxX = Math.max(...xs);
+    const minY = Math.min(...ys), maxY = Math.max(...ys);
+    const mx = (maxX - minX) * margin, my = (maxY - minY) * margin;
+    return { minX: minX - mx, minY: minY - my, maxX: maxX + mx, maxY: maxY + my };
+  }
 
-    for (const cluster of searchSets) {
-      if (cluster.length < 5) continue;
+  static boundsOverlap(a, b) {
+    return a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+  }
 
-      const clusterPoints = cluster.map(i => top[i]);
-      const result = this._searchCombinations(clusterPoints);
+  /**
+   * Search all k-point combinations (k = constellation size) of a set.
+   * @param {Array} points
+   * @param {Array<number>} indices - Index of each point in the caller's list
+   * @param {Map} found - Collects every valid hypothesis (with indices and
+   *   bounds), keyed by its blob-to-id assignment
+   * @param {number} imageAspect - Image width/height ratio
+   * @param {number} [perSet] - Hypotheses collected per blob set, best first
+   * @param {number} [deadline] - Stop at this _now() time (ms)
+   * @returns {number} Combinations tested
+   */
+  _searchCombinations(points, indices, found, imageAspect, perSet = 1, deadline = Infinity) {
+    const n = points.length;
+    const k = this.constellation.size;
+    let count = 0;
 
-      if (result && result.score < bestScore) {
-        bestScore = result.score;
-        bestMatch = result;
-      }
+    // Index combinations in lexicographic order
+    const combo = [];
+    for (let i = 0; i < k; i++) combo.push(i);
+    while (k <= n) {
+      if ((count & 31) === 0 && GeometryMatcher._now() > deadline) break;
+      count++;
+      this._collect(found, combo.map(i => indices[i]), points, imageAspect, perSet);
+
+      // Advance to the next combination
+      let i = k - 1;
+      while (i >= 0 && combo[i] === n - k + i) i--;
+      if (i < 0) break;
+      combo[i]++;
+      for (let j = i + 1; j < k; j++) combo[j] = combo[j - 1] + 1;
+    }
+    return count;
+  }
 
-      combinationsTested += result ? result.combinationsTested : 0;
-      if (combinationsTested > this.maxCombinations) break;
+  /**
+   * Guided sampling for large candidate sets. Each candidate seeds minimal
+   * samples with three of its nearest fainter neighbours (so a sample is drawn
+   * once, from its brightest member); the four are mapped onto the template's
+   * anchor base points (every cyclic order) by a homography, which predicts
+   * where the remaining LEDs must be. Samples whose predictions all find a
+   * candidate are scored as full k-point sets.
+   * Every seed's neighbourhood grows one neighbour at a time, each step drawing
+   * only the samples that reach the new neighbour; steps run in order of the
+   * neighbour's distance over all seeds, until the deadline. Compact samples
+   * come first wherever their seed ranks, so a tag whose LEDs are among the
+   * faintest candidates is reached as early as one among the brightest.
+   * @param {Array} points - Candidates, brightest first
+   * @param {Map} found - As in _searchCombinations()
+   * @param {number} imageAspect - Image width/height ratio
+   * @param {number} perSet - Hypotheses collected per blob set
+   * @param {number} deadline - Stop at this _now() time (ms)
+   * @returns {number} Full k-point sets tested
+   */
+  _sampleCombinations(points, found, imageAspect, perSet, deadline) {
+    const tpl = this.constellation.template;
+    const n = points.length;
+    const sq = points.map(p => ({ x: p.x * imageAspect, y: p.y }));
+
+    // LEDs predicted from a sample: the apex, then base points off the anchors
+    const anchors = this._anchors.indices;
+    const rest = tpl.base.map((_, j) => j).filter(j => !anchors.includes(j));
+
+    // Fainter candidates by distance, per seed
+    const neighbors = [];
+    for (let seed = 0; seed < n - 3; seed++) {
+      const near = [];
+      for (let i = seed + 1; i < n; i++) {
+        near.push({ i, d: Math.hypot(sq[i].x - sq[seed].x, sq[i].y - sq[seed].y) });
+      }
+      near.sort((a, b) => a.d - b.d);
+      neighbors.push(near);
     }
 
-    if (bestMatch) {
-      bestMatch.totalCandidates = candidates.length;
-      bestMatch.combinationsTested = combinationsTested;
+    // Neighbourhood growth steps of all seeds, nearest new neighbour first
+    const steps = [];
+    for (let seed = 0; seed < neighbors.length; seed++) {
+      for (let c = 2; c < neighbors[seed].length; c++) steps.push({ seed, c, d: neighbors[seed][c].d });
     }
+    steps.sort((s1, s2) => s1.d - s2.d);
 
-    return bestMatch;
+    const tried = new Set();
+    let count = 0;
+    let samples = 0;
+    for (const { seed, c } of steps) {
+      const near = neighbors[seed];
+
+      // Only triples reaching the step's new neighbour near[c]
+      for (let a = 0; a < c; a++) {
+        for (let b = a + 1; b < c; b++) {
+          if ((samples++ & 3) === 0 && GeometryMatcher._now() > deadline) return count;
+
+          // Sample in ascending angle, as the template base
+          const sample = [seed, near[a].i, near[b].i, near[c].i];
+          const cx = (sq[sample[0]].x + sq[sample[1]].x + sq[sample[2]].x + sq[sample[3]].x) / 4;
+          const cy = (sq[sample[0]].y + sq[sample[1]].y + sq[sample[2]].y + sq[sample[3]].y) / 4;
+          const angle = sample.map(i => Math.atan2(sq[i].y - cy, sq[i].x - cx));
+          const order = [0, 1, 2, 3].sort((i, j) => angle[i] - angle[j]).map(i => sample[i]);
+          // A convex base stays convex in any view from its front
+          if (!GeometryMatcher._isConvex(order.map(i => sq[i]))) continue;
+
+          for (let shift = 0; shift < 4; shift++) {
+            const fit = this._sampleHomography([0, 1, 2, 3].map(j => sq[order[(j + shift) % 4]]));
+            if (!fit) continue;
+
+            const set = this._consensus(fit, sq, order, rest);
+            if (!set) continue;
+            const key = [...set].sort((x, y) => x - y).join(',');
+            if (tried.has(key)) continue;
+            tried.add(key);
+
+            count++;
+            this._collect(found, set, points, imageAspect, perSet);
+          }
+        }
+      }
+    }
+    return count;
   }
 
   /**
-   * Find clusters of points at consistent mutual distances.
+   * Homography from the template anchors onto four observed points (in anchor
+   * order, aspect-corrected), with its weak-perspective scale at the template
+   * centre. Null if it mirrors, puts an anchor behind the camera or
+   * foreshortens past tolerance.
    */
-  _findClusters(points, dists, n) {
-    if (n <= 7) return []; // Too few points, just brute force
+  _sampleHomography(quad) {
+    const Q = GeometryMatcher._squareToQuad(quad);
+    if (!Q) return null;
+    const H = GeometryMatcher._mul3(Q, this._anchors.inverse);
+    if (!(H[2][2] > 0)) return null;
+    for (const p of this._anchors.points) {
+      if (H[2][0] * p.x + H[2][1] * p.y + H[2][2] <= 0) return null;
+    }
 
-    const clusters = [];
+    // Jacobian at the template centre: the local affine map
+    const w = H[2][2];
+    const u0 = H[0][2] / w, v0 = H[1][2] / w;
+    const a = (H[0][0] - u0 * H[2][0]) / w, b = (H[0][1] - u0 * H[2][1]) / w;
+    const d = (H[1][0] - v0 * H[2][0]) / w, e = (H[1][1] - v0 * H[2][1]) / w;
+    const wp = GeometryMatcher._weakPerspective(a, b, d, e);
+    if (!wp || wp.foreshortening > this.foreshorteningTol) return null;
+    return { H, major: wp.major, zx: wp.zx, zy: wp.zy };
+  }
 
-    // For each triplet of close points, find potential 5-point groups
-    for (let i = 0; i < n; i++) {
-      const neighbors = [];
-      for (let j = 0; j < n; j++) {
-        if (i === j) continue;
-        neighbors.push({ idx: j, dist: dists[i * n + j] });
-      }
-      neighbors.sort((a, b) => a.dist - b.dist);
-
-      // Take the closest 8 neighbors as a cluster candidate
-      if (neighbors.length >= 4) {
-        const cluster = [i, ...neighbors.slice(0, Math.min(8, neighbors.length)).map(nb => nb.idx)];
-        // Deduplicate
-        const unique = [...new Set(cluster)];
-        if (unique.length >= 5) {
-          clusters.push(unique);
-        }
+  /**
+   * Candidates for the LEDs a sample homography predicts (the apex at either
+   * off-plane sign, within apexTol; other base points within a few residualTol).
+   * @returns {Array<number>|null} Sample plus predicted indices, or null if any is missing
+   */
+  _consensus(fit, sq, sample, rest) {
+    const tpl = this.constellation.template;
+    const { H, major, zx, zy } = fit;
+    const set = [...sample];
+    const lift = major * tpl.apex.z;
+    const apex = GeometryMatcher._project(H, tpl.apex.x, tpl.apex.y);
+    const apexIdx = GeometryMatcher._nearest(sq, [
+      { x: apex.x + zx * lift, y: apex.y + zy * lift },
+      { x: apex.x - zx * lift, y: apex.y - zy * lift }
+    ], this.apexTol * major * tpl.width, set);
+    if (apexIdx < 0) return null;
+    set.push(apexIdx);
+
+    for (const j of rest) {
+      const target = GeometryMatcher._project(H, tpl.base[j].x, tpl.base[j].y);
+      const i = GeometryMatcher._nearest(sq, [target], 3 * this.residualTol * major * tpl.radius, set);
+      if (i < 0) return null;
+      set.push(i);
+    }
+    return set;
+  }
+
+  /**
+   * Score one blob set and add its hypotheses to found.
+   * @param {Array<number>} set - Indices into points
+   */
+  _collect(found, set, points, imageAspect, perSet) {
+    const members = set.map(i => points[i]);
+    const results = this._rankHypotheses(members, imageAspect, perSet);
+    if (results.length === 0) return;
+
+    const indices = [...set].sort((x, y) => x - y);
+    const bounds = GeometryMatcher.boundsOf(members);
+    for (const { members: order, ...hypothesis } of results) {
+      // Blob index per LED id
+      const key = order.map(j => set[j]).join(',');
+      if (!found.has(key)) {
+        found.set(key, { ...hypothesis, indices, bounds });
       }
     }
+  }
 
-    // Remove duplicate clusters (same set of points)
-    const seen = new Set();
-    return clusters.filter(c => {
-      const key = c.sort((a, b) => a - b).join(',');
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
+  /**
+   * Verify if the points match the constellation's front-view template, at any
+   * in-plane rotation. Each hypothesis (which point is the apex, and which
+   * cyclic shift of the base order lines up with the template) fits an affine
+   * map from the template base to the observed base; it must preserve
+   * orientation, and is scored by its foreshortening, the base fit residual and
+   * how far the apex lands from where the implied weak-perspective pose puts it.
+   * The affine map absorbs rotation, scale and tilt.
+   * @param {Array<{x, y}>} points - constellation.size normalized points
+   * @param {number} [imageAspect] - Image width/height ratio (x is scaled by it so
+   *   the checks run in square-pixel units)
+   * Returns the best scored result or null if no hypothesis is valid.
+   */
+  _verifyGeometry(points, imageAspect = 1) {
+    const [best] = this._rankHypotheses(points, imageAspect, 1);
+    if (!best) return null;
+    delete best.members;
+    return best;
   }
 
   /**
-   * Search all 5-point combinations in a set and find the best geometric match.
+   * Valid id assignments for one point set, best first (see _verifyGeometry()).
+   * Sets that fail _distinctPoints() have none.
+   * @param {number} [limit] - Most results to build
+   * @returns {Array<Object>} Results as _verifyGeometry(), plus members: the
+   *   index into points of each entry of result.points
    */
-  _searchCombinations(points) {
-    const n = points.length;
-    let bestMatch = null;
-    let bestScore = Infinity;
-    let count = 0;
+  _rankHypotheses(points, imageAspect = 1, limit = 1) {
+    const c = this.constellation;
+    const tpl = c.template;
+    const m = tpl.base.length;
+    const sq = points.map(p => ({ x: p.x * imageAspect, y: p.y }));
+    if (!this._distinctPoints(points, sq)) return [];
+
+    const fits = [];
+    for (let apexIdx = 0; apexIdx < sq.length; apexIdx++) {
+      // Base points in ascending image angle around their centroid
+      let cx = 0, cy = 0;
+      for (let i = 0; i < sq.length; i++) {
+        if (i === apexIdx) continue;
+        cx += sq[i].x / m;
+        cy += sq[i].y / m;
+      }
+      const base = [];
+      for (let i = 0; i < sq.length; i++) {
+        if (i === apexIdx) continue;
+        const dx = sq[i].x - cx, dy = sq[i].y - cy;
+        base.push({ i, x: sq[i].x, y: sq[i].y, dx, dy, angle: Math.atan2(dy, dx) });
+      }
+      base.sort((a, b) => a.angle - b.angle);
 
-    for (let a = 0; a < n && count < this.maxCombinations; a++) {
-      for (let b = a + 1; b < n && count < this.maxCombinations; b++) {
-        for (let c = b + 1; c < n && count < this.maxCombinations; c++) {
-          for (let d = c + 1; d < n && count < this.maxCombinations; d++) {
-            for (let e = d + 1; e < n && count < this.maxCombinations; e++) {
-              count++;
-              const set = [points[a], points[b], points[c], points[d], points[e]];
-              const result = this._verifyGeometry(set);
-              if (!result) continue;
-
-              if (result.score < bestScore) {
-                bestScore = result.score;
-                bestMatch = result;
-              }
-            }
-          }
-        }
+      for (let shift = 0; shift < m; shift++) {
+        const fit = this._fitHypothesis(base, shift, sq[apexIdx], cx, cy);
+        if (fit) fits.push({ ...fit, apexIdx, base, shift, cx, cy });
       }
     }
+    fits.sort((a, b) => a.score - b.score);
+
+    return fits.slice(0, limit).map(fit => {
+      // Template ids onto the observed points
+      const ordered = fit.base.map((p, j) => ({ i: p.i, id: c.baseIds[(j - fit.shift + m) % m] }));
+      ordered.push({ i: fit.apexIdx, id: c.apexId });
+      ordered.sort((a, b) => a.id - b.id);
+
+      const xs = fit.base.map(p => p.x);
+      const ys = fit.base.map(p => p.y);
+      return {
+        success: true,
+        points: ordered.map(o => ({ ...points[o.i], id: o.id })),
+        members: ordered.map(o => o.i),
+        score: fit.score,
+        metrics: {
+          foreshortening: fit.foreshortening,
+          apexError: fit.apexError,
+          residual: fit.residual,
+          rotation: fit.rotation,
+          width: (Math.max(...xs) - Math.min(...xs)) / imageAspect,
+          height: Math.max(...ys) - Math.min(...ys),
+          rectCenter: { x: fit.cx / imageAspect, y: fit.cy }
+        }
+      };
+    });
+  }
 
-    if (bestMatch) {
-      bestMatch.combinationsTested = count;
+  /**
+   * Whether a point set can be separate LEDs of one tag: no point within the
+   * blob radius of another, and the set at least minTagPixels across.
+   * Candidates from the detectors carry their downscaled pixel position (px, py)
+   * and area, which give the pixel scale; bare points skip the checks.
+   * @param {Array<Blob>} points
+   * @param {Array<{x, y}>} sq - The points in square-pixel units (x scaled by the aspect)
+   * @returns {boolean}
+   */
+  _distinctPoints(points, sq) {
+    const ref = points.find(p => p.py > 0 && p.y > 0);
+    if (!ref) return true;
+    // Downscaled pixels per unit of sq (the image height)
+    const scale = ref.py / ref.y;
+    const radius = points.map(p => (p.area > 0 ? Math.sqrt(p.area / Math.PI) / scale : 0));
+
+    for (let i = 0; i < sq.length; i++) {
+      for (let j = i + 1; j < sq.length; j++) {
+        const d = Math.hypot(sq[i].x - sq[j].x, sq[i].y - sq[j].y);
+        if (d < Math.max(radius[i], radius[j])) return false;
+      }
     }
-    return bestMatch;
+
+    const xs = sq.map(p => p.x);
+    const ys = sq.map(p => p.y);
+    const extent = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+    return extent * scale * (ref.downscale || 1) >= this.minTagPixels;
   }
 
   /**
-   * Verify if 5 points match the expected LED geometry.
-   * Returns scored result or null if invalid.
+   * Solve a hypothesis by PnP and check the pose is one the tag can be seen in.
+   * On success the match gains pose and metrics.reprojError (px) / metrics.tilt
+   * (degrees between the tag normal and the line of sight).
+   * @returns {boolean} Whether the hypothesis survives
    */
-  _verifyGeometry(points) {
-    // Step 1: Find the topmost point (smallest y) -> LED5 candidate
-    let topIdx = 0;
-    for (let i = 1; i < 5; i++) {
-      if (points[i].y < points[topIdx].y) topIdx = i;
+  _verifyPose(match, toPixel) {
+    const objectPoints = [];
+    const imagePoints = [];
+    for (const p of match.points) {
+      const led = this.constellation.points3D.find(l => l.id === p.id);
+      objectPoints.push({ x: led.x, y: led.y, z: led.z });
+      imagePoints.push(toPixel(p.x, p.y));
     }
-    const led5 = points[topIdx];
-    const bottomPoints = points.filter((_, i) => i !== topIdx);
 
-    // Step 2: Compute centroid of bottom 4 points
-    const centroid = {
-      x: bottomPoints.reduce((s, p) => s + p.x, 0) / 4,
-      y: bottomPoints.reduce((s, p) => s + p.y, 0) / 4
-    };
-
-    // Step 3: LED5 must be above the bottom 4
-    if (led5.y >= centroid.y) return null;
-
-    // Step 4: Assign IDs to bottom 4 based on quadrant
-    const assigned = bottomPoints.map(p => {
-      const dx = p.x - centroid.x;
-      const dy = p.y - centroid.y;
-      let id;
-      if (dx > 0 && dy < 0) id = 1;       // Right-top
-      else if (dx > 0 && dy >= 0) id = 2;  // Right-bottom
-      else if (dx <= 0 && dy >= 0) id = 3; // Left-bottom
-      else id = 4;                          // Left-top
-      return { ...p, id };
-    });
+    // Every LED must fit: a hypothesis isn't rescued by dropping one
+    const pose = this.pnpSolver.solve(objectPoints, imagePoints, { rejectOutliers: false });
+    if (!pose.success || !(pose.reprojError <= this.maxReprojError)) return false;
+
+    // In front of the camera, facing it: the tag's +Z (toward the viewer) must
+    // point back along the line of sight
+    const t = pose.tvec;
+    const distance = Math.hypot(t[0], t[1], t[2]);
+    if (t[2] <= 0 || distance === 0) return false;
+    const facing = -(pose.R[0][2] * t[0] + pose.R[1][2] * t[1] + pose.R[2][2] * t[2]) / distance;
+    const tilt = Math.acos(Math.max(-1, Math.min(1, facing))) * 180 / Math.PI;
+    if (tilt > this.maxTilt) return false;
+
+    match.pose = pose;
+    match.metrics.reprojError = pose.reprojError;
+    match.metrics.tilt = tilt;
+    return true;
+  }
 
-    // Check for duplicate IDs (invalid assignment)
-    const ids = assigned.map(p => p.id);
-    if (new Set(ids).size !== 4) return null;
+  /**
+   * Fit one correspondence hypothesis: observed base point (j + shift) mod m
+   * is template base point j.
+   * @returns {Object|null} { score, foreshortening, apexError, residual, rotation }
+   *   or null if it fails a tolerance
+   */
+  _fitHypothesis(base, shift, apex, cx, cy) {
+    const tpl = this.constellation.template;
+    const m = tpl.base.length;
+
+    // Least-squares affine A = (Σ O·Tᵀ)(Σ T·Tᵀ)⁻¹ over centred points
+    let m00 = 0, m01 = 0, m10 = 0, m11 = 0;
+    for (let j = 0; j < m; j++) {
+      const t = tpl.base[j];
+      const o = base[(j + shift) % m];
+      m00 += o.dx * t.x; m01 += o.dx * t.y;
+      m10 += o.dy * t.x; m11 += o.dy * t.y;
+    }
+    const N = tpl.normalInverse;
+    const a = m00 * N[0][0] + m01 * N[1][0], b = m00 * N[0][1] + m01 * N[1][1];
+    const d = m10 * N[0][0] + m11 * N[1][0], e = m10 * N[0][1] + m11 * N[1][1];
+
+    // Orientation-preserving (a mirrored fit means the wrong order or the back
+    // side); singular values give the major scale (~focal / depth) and the
+    // tilt foreshortening
+    const wp = GeometryMatcher._weakPerspective(a, b, d, e);
+    if (!wp) return null;
+    const { major, foreshortening, zx, zy } = wp;
+    if (foreshortening > this.foreshorteningTol) return null;
+
+    // Apex against its fitted position, in base widths. The map is the scaled
+    // top-left block of the tag rotation, which fixes the rotation's z column
+    // (the apex's off-plane shift) up to sign; take the closer one
+    const ax = cx + a * tpl.apex.x + b * tpl.apex.y;
+    const ay = cy + d * tpl.apex.x + e * tpl.apex.y;
+    const lift = major * tpl.apex.z;
+    const apexError = Math.min(
+      Math.hypot(apex.x - ax - zx * lift, apex.y - ay - zy * lift),
+      Math.hypot(apex.x - ax + zx * lift, apex.y - ay + zy * lift)
+    ) / (major * tpl.width);
+    if (apexError > this.apexTol) return null;
+
+    // RMS base residual, in base radii
+    let sq = 0;
+    for (let j = 0; j < m; j++) {
+      const t = tpl.base[j];
+      const o = base[(j + shift) % m];
+      sq += Math.pow(o.dx - (a * t.x + b * t.y), 2) + Math.pow(o.dy - (d * t.x + e * t.y), 2);
+    }
+    const residual = Math.sqrt(sq / m) / (major * tpl.radius);
+    if (residual > this.residualTol) return null;
 
-    assigned.push({ ...led5, id: 5 });
-    const ordered = assigned.sort((a, b) => a.id - b.id);
+    return {
+      // Quality score (lower is better)
+      score: foreshortening * 1.0 + apexError * 1.5 + residual * 5.0,
+      foreshortening,
+      apexError,
+      residual,
+      // In-plane rotation of the tag (degrees, clockwise on screen)
+      rotation: Math.atan2(d - b, a + e) * 180 / Math.PI
+    };
+  }
 
-    const p1 = ordered[0]; // id 1: right-top
-    const p2 = ordered[1]; // id 2: right-bottom
-    const p3 = ordered[2]; // id 3: left-bottom
-    const p4 = ordered[3]; // id 4: left-top
-    const p5 = ordered[4]; // id 5: top center
+  /**
+   * Four base points spread around the template (all of them for a
+   * rectangle) that sampled homographies map from, with the inverse of their
+   * unit-square mapping.
+   */
+  _prepareAnchors() {
+    const base = this.constellation.template.base;
+    const indices = [0, 1, 2, 3].map(j => Math.round(j * base.length / 4));
+    const points = indices.map(j => base[j]);
+    const Q = GeometryMatcher._squareToQuad(points);
+    this._anchors = { indices, points, inverse: Q ? GeometryMatcher._invert3(Q) : null };
+  }
 
-    // Step 5: Geometric validation
+  /**
+   * Singular values and off-plane direction of a local affine map
+   * [[a, b], [d, e]] from the template (see _fitHypothesis()).
+   * @returns {{ det, major, foreshortening, zx, zy }|null} null if it mirrors
+   */
+  static _weakPerspective(a, b, d, e) {
+    const det = a * e - b * d;
+    if (det <= 0) return null;
+    const sum = a * a + b * b + d * d + e * e;
+    const major = Math.sqrt((sum + Math.sqrt(Math.max(0, sum * sum - 4 * det * det))) / 2);
+    const zx = Math.sqrt(Math.max(0, 1 - (a * a + b * b) / (major * major)));
+    let zy = Math.sqrt(Math.max(0, 1 - (d * d + e * e) / (major * major)));
+    if (a * d + b * e > 0) zy = -zy;
+    return { det, major, foreshortening: 1 - det / (major * major), zx, zy };
+  }
 
-    // Rectangle dimensions
-    const width = Math.abs(p1.x - p3.x);
-    const height = Math.abs(p1.y - p2.y);
-    if (width < 0.001 || height < 0.001) return null;
+  /**
+   * Projective map of the unit square (0,0) (1,0) (1,1) (0,1) onto a quad
+   * (Heckbert), or null if degenerate.
+   */
+  static _squareToQuad(q) {
+    const dx1 = q[1].x - q[2].x, dx2 = q[3].x - q[2].x, dx3 = q[0].x - q[1].x + q[2].x - q[3].x;
+    const dy1 = q[1].y - q[2].y, dy2 = q[3].y - q[2].y, dy3 = q[0].y - q[1].y + q[2].y - q[3].y;
+    const den = dx1 * dy2 - dx2 * dy1;
+    if (Math.abs(den) < 1e-12) return null;
+    const g = (dx3 * dy2 - dx2 * dy3) / den;
+    const h = (dx1 * dy3 - dx3 * dy1) / den;
+    return [
+      [q[1].x - q[0].x + g * q[1].x, q[3].x - q[0].x + h * q[3].x, q[0].x],
+      [q[1].y - q[0].y + g * q[1].y, q[3].y - q[0].y + h * q[3].y, q[0].y],
+      [g, h, 1]
+    ];
+  }
 
-    // Aspect ratio check
-    const aspectRatio = width / height;
-    const ratioError = Math.abs(aspectRatio - LED_GEOMETRY.expectedAspectRatio) / LED_GEOMETRY.expectedAspectRatio;
-    if (ratioError > this.aspectRatioTol) return null;
+  static _invert3(M) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = M;
+    const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    if (Math.abs(det) < 1e-18) return null;
+    return [
+      [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+      [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+      [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+    ];
+  }
 
-    // LED5 horizontal centering check
-    const avgX = (p1.x + p2.x + p3.x + p4.x) / 4;
-    const horizontalOffset = Math.abs(p5.x - avgX);
-    if (horizontalOffset > width * this.centerTol) return null;
+  /**
+   * Whether a quadrilateral, vertices in angular order, is strictly convex.
+   */
+  static _isConvex(q) {
+    for (let i = 0; i < 4; i++) {
+      const a = q[i], b = q[(i + 1) % 4], c = q[(i + 2) % 4];
+      if ((b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x) <= 0) return false;
+    }
+    return true;
+  }
 
-    // Rectangle regularity check (opposite sides should be similar)
-    const d12 = Math.hypot(p1.x - p2.x, p1.y - p2.y);
-    const d23 = Math.hypot(p2.x - p3.x, p2.y - p3.y);
-    const d34 = Math.hypot(p3.x - p4.x, p3.y - p4.y);
-    const d41 = Math.hypot(p4.x - p1.x, p4.y - p1.y);
+  static _project(H, x, y) {
+    const w = H[2][0] * x + H[2][1] * y + H[2][2];
+    return { x: (H[0][0] * x + H[0][1] * y + H[0][2]) / w, y: (H[1][0] * x + H[1][1] * y + H[1][2]) / w };
+  }
 
-    const avgSide = (d12 + d23 + d34 + d41) / 4;
-    if (avgSide < 0.001) return null;
+  /**
+   * Index of the point closest to any target within gate, skipping taken ones; -1 if none.
+   */
+  static _nearest(points, targets, gate, taken) {
+    let best = -1;
+    let bestSq = gate * gate;
+    for (let i = 0; i < points.length; i++) {
+      for (const t of targets) {
+        const dx = points[i].x - t.x, dy = points[i].y - t.y;
+        const d2 = dx * dx + dy * dy;
+        if (d2 < bestSq && !taken.includes(i)) {
+          bestSq = d2;
+          best = i;
+        }
+      }
+    }
+    return best;
+  }
 
-    const sideVariance = [d12, d23, d34, d41].reduce((sum, d) =>
-      sum + Math.pow(d - avgSide, 2), 0) / 4;
-    const sideCV = Math.sqrt(sideVariance) / avgSide;
-    if (sideCV > this.regularityTol) return null;
+  static _mul3(A, B) {
+    return A.map(row => [0, 1, 2].map(j => row[0] * B[0][j] + row[1] * B[1][j] + row[2] * B[2][j]));
+  }
 
-    // Step 6: Compute quality score (lower is better)
-    const score = ratioError * 2.0
-      + (horizontalOffset / width) * 1.5
-      + sideCV * 1.5;
+  static _binomial(n, k) {
+    if (k > n) return 0;
+    let r = 1;
+    for (let i = 1; i <= k; i++) r = r * (n - k + i) / i;
+    return Math.round(r);
+  }
 
-    return {
-      success: true,
-      points: ordered,
-      score,
-      metrics: {
-        aspectRatio,
-        ratioError,
-        horizontalOffset: horizontalOffset / width,
-        sideCV,
-        width,
-        height,
-        rectCenter: { x: avgX, y: centroid.y }
-      }
-    };
+  static _now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
   }
 
   /**
@@ -284,12 +695,12 @@ class GeometryMatcher {
    * @param {number} minCount - Minimum candidates to consider promising
    * @returns {{ promising: boolean, clusterCenter: {x, y}|null }}
    */
-  quickCheck(candidates, minCount = 5) {
+  quickCheck(candidates, minCount = this.constellation.size) {
     if (candidates.length < minCount) {
       return { promising: false, clusterCenter: null };
     }
 
-    // Check if there's a cluster of at least 5 points within a reasonable area
+    // Check if there's a cluster of at least minCount points within a reasonable area
     const top = candidates.slice(0, Math.min(15, candidates.length));
 
     for (let i = 0; i < top.length; i++) {
@@ -302,7 +713,7 @@ class GeometryMatcher {
         // Within 15% of image dimension
         if (dist < 0.15) nearby++;
       }
-      if (nearby >= 4) {
+      if (nearby >= minCount - 1) {
         return {
           promising: true,
           clusterCenter: { x: top[i].x, y: top[i].y }
@@ -0,0 +1,229 @@
+// ===================================================================
+// 3-LED Optical ID Decoder
+// Samples the three data light bars, thresholds each adaptively,
+// syncs on the [7,0,7,0] preamble and validates 96-bit packets (CRC16-IBM)
+// See "Led Technology Principles.md"
+// ===================================================================
+
+// Packet layout (bits, MSB first, 3 bits per frame: LED0 = MSB)
+const ID_PACKET = {
+  symbolsPerPacket: 32,           // 96 bits / 3 bits per frame
+  preamble: [7, 0, 7, 0],         // 12 bits
+  idBitOffset: 12,
+  idBits: 16,
+  payloadBitOffset: 28,
+  payloadBits: 52,
+  crcBitOffset: 80,
+  crcBits: 16
+};
+
+class OpticalIdDecoder {
+  constructor(config = {}) {
+    // Frames of level history used for each LED's min/max threshold
+    this.historyLength = config.historyLength || 64;
+    // Minimum (max - min) spread, in 0-255 levels, before an LED is trusted
+    this.minContrast = config.minContrast || 12;
+    // Threshold position between min and max
+    this.thresholdRatio = config.thresholdRatio || 0.5;
+    // Symbol ring buffer capacity (frames)
+    this.bufferLength = config.bufferLength || ID_PACKET.symbolsPerPacket * 2;
+
+    // Image regions of the three bars, normalized 0-1: [{ x, y, w, h }] (LED0 first)
+    this.regions = null;
+
+    this.reset();
+  }
+
+  /**
+   * Set the image regions of the three data light bars.
+   * @param {Array<{x, y, w, h}>|null} regions - Normalized rects, LED0 (MSB) first
+   */
+  setRegions(regions) {
+    this.regions = regions && regions.length === 3 ? regions : null;
+  }
+
+  /**
+   * Measure bar brightness from a full-resolution frame and feed the decoder.
+   * @param {CanvasRenderingContext2D} ctx - Anything with getImageData()
+   * @param {number} width - Full resolution width
+   * @param {number} height - Full resolution height
+   * @returns {Object|null} Decoded packet if this frame completed one
+   */
+  sample(ctx, width, height) {
+    if (!this.regions || !ctx) return null;
+
+    const levels = this.regions.map(r => this._regionLevel(ctx, r, width, height));
+    if (levels.some(l => l === null)) {
+      this.pushLevels(null);
+      return null;
+    }
+    return this.pushLevels(levels);
+  }
+
+  /**
+   * Feed one frame's brightness levels for the three bars.
+   * @param {Array<number>|null} levels - Brightness per bar (0-255), LED0 first; null = frame lost
+   * @returns {Object|null} { id, payload, crc, frame } when a valid packet completes
+   */
+  pushLevels(levels) {
+    this.frameCount++;
+
+    if (!levels) {
+      this._pushSymbol(null);
+      return null;
+    }
+
+    const bits = [];
+    for (let led = 0; led < 3; led++) {
+      const history = this.history[led];
+      history.push(levels[led]);
+      if (history.length > this.historyLength) history.shift();
+
+      // Threshold = Min + (Max - Min) * 50%
+      let min = Infinity, max = -Infinity;
+      for (const v of history) {
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+      this.thresholds[led] = min + (max - min) * this.thresholdRatio;
+      if (max - min < this.minContrast) {
+        bits.push(null);
+      } else {
+        bits.push(levels[led] > this.thresholds[led] ? 1 : 0);
+      }
+    }
+
+    const symbol = bits.includes(null) ? null : (bits[0] << 2) | (bits[1] << 1) | bits[2];
+    this._pushSymbol(symbol);
+    return this._scan();
+  }
+
+  reset() {
+    this.history = [[], [], []];
+    this.thresholds = [0, 0, 0];
+    this.symbols = [];
+    this.frameCount = 0;
+    this.tagId = null;
+    this.lastPacket = null;
+    this.packetsDecoded = 0;
+    this.packetsRejected = 0;
+  }
+
+  // --- Private methods ---
+
+  _pushSymbol(symbol) {
+    this.symbols.push(symbol);
+    if (this.symbols.length > this.bufferLength) this.symbols.shift();
+  }
+
+  /**
+   * Look for a preamble-aligned packet in the ring buffer.
+   * Valid packets are consumed; a CRC failure drops that preamble and keeps searching.
+   */
+  _scan() {
+    const n = ID_PACKET.symbolsPerPacket;
+    const pre = ID_PACKET.preamble;
+
+    for (let start = 0; start + n <= this.symbols.length; start++) {
+      let aligned = true;
+      for (let k = 0; k < pre.length; k++) {
+        if (this.symbols[start + k] !== pre[k]) {
+          aligned = false;
+          break;
+        }
+      }
+      if (!aligned) continue;
+
+      const frame = this.symbols.slice(start, start + n);
+      const packet = frame.includes(null) ? null : this._parsePacket(frame);
+
+      if (packet) {
+        this.symbols.splice(0, start + n);
+        this.tagId = packet.id;
+        this.lastPacket = packet;
+        this.packetsDecoded++;
+        packet.frame = this.frameCount;
+        return packet;
+      }
+
+      // Bad CRC or lost frame inside the packet: resync from the next symbol
+      this.packetsRejected++;
+      this.symbols.splice(0, start + 1);
+      start = -1;
+    }
+
+    return null;
+  }
+
+  /**
+   * Assemble 32 symbols into a packet and validate CRC16.
+   * The CRC covers the first 80 bits (preamble + ID + payload) as 10 bytes.
+   * @returns {Object|null} { id, payload, crc } or null on CRC failure
+   */
+  _parsePacket(symbols) {
+    const bits = [];
+    for (const s of symbols) {
+      bits.push((s >> 2) & 1, (s >> 1) & 1, s & 1);
+    }
+
+    const readBits = (offset, count) => {
+      let v = 0;
+      for (let i = 0; i < count; i++) v = v * 2 + bits[offset + i];
+      return v;
+    };
+
+    const bytes = new Uint8Array(ID_PACKET.crcBitOffset / 8);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = readBits(i * 8, 8);
+
+    const crc = readBits(ID_PACKET.crcBitOffset, ID_PACKET.crcBits);
+    if (crc16Ibm(bytes) !== crc) return null;
+
+    // 52-bit payload as 13 hex digits (exceeds 32-bit integer ops)
+    let payload = '';
+    for (let i = 0; i < ID_PACKET.payloadBits; i += 4) {
+      payload += readBits(ID_PACKET.payloadBitOffset + i, 4).toString(16);
+    }
+
+    return {
+      id: readBits(ID_PACKET.idBitOffset, ID_PACKET.idBits),
+      payload,
+      crc
+    };
+  }
+
+  /**
+   * Mean brightness (max RGB channel) inside a normalized region.
+   */
+  _regionLevel(ctx, region, width, height) {
+    const x0 = Math.max(0, Math.floor(region.x * width));
+    const y0 = Math.max(0, Math.floor(region.y * height));
+    const x1 = Math.min(width, Math.ceil((region.x + region.w) * width));
+    const y1 = Math.min(height, Math.ceil((region.y + region.h) * height));
+    const w = x1 - x0;
+    const h = y1 - y0;
+    if (w <= 0 || h <= 0) return null;
+
+    const data = ctx.getImageData(x0, y0, w, h).data;
+    let sum = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      sum += Math.max(data[i], data[i + 1], data[i + 2]);
+    }
+    return sum / (w * h);
+  }
+}
+
+/**
+ * CRC-16/IBM (a.k.a. CRC-16/ARC): poly 0x8005 reflected (0xA001), init 0x0000.
+ * @param {Uint8Array} bytes
+ * @returns {number} 16-bit CRC
+ */
+function crc16Ibm(bytes) {
+  let crc = 0x0000;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let b = 0; b < 8; b++) {
+      crc = (crc & 1) ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+    }
+  }
+  return crc & 0xFFFF;
+}
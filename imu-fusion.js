@@ -0,0 +1,271 @@
+// ===================================================================
+// Device Motion Sensor Fusion
+// Integrates the gyroscope (DeviceMotionEvent.rotationRate, or differenced
+// DeviceOrientationEvent angles when no rate is reported) into the camera
+// rotation between two frames, so the pose filter can predict through fast
+// hand rotations. Samples can be recorded and replayed as NDJSON logs.
+// ===================================================================
+
+class MotionSensorFusion {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.gyroNoise] - Rate error 1-sigma (rad/s) used for the rotation uncertainty
+   * @param {number} [config.maxGap] - Longest gap between samples still integrated (ms)
+   * @param {number} [config.bufferTime] - History kept (ms)
+   */
+  constructor(config = {}) {
+    this.gyroNoise = config.gyroNoise || 0.05;
+    this.maxGap = config.maxGap || 100;
+    this.bufferTime = config.bufferTime || 2000;
+    this.screenAngle = 0;
+
+    this.samples = [];     // { t (ms), w: [x, y, z] device-frame rate (rad/s), angle }
+    this.log = null;       // Recorded entries while recording
+    this.active = false;
+
+    this._lastOrientation = null;
+    this._lastRateTime = -Infinity;
+    this._onMotion = e => this.handleMotion(e);
+    this._onOrientation = e => this.handleOrientation(e);
+  }
+
+  /**
+   * @returns {boolean} Whether the browser exposes motion events at all
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' &&
+      ('DeviceMotionEvent' in window || 'DeviceOrientationEvent' in window);
+  }
+
+  /**
+   * Subscribe to the sensor events. On iOS this must run inside a user gesture
+   * (permission prompt).
+   * @returns {Promise<boolean>} false if unsupported or permission was denied
+   */
+  async start() {
+    if (this.active) return true;
+    if (!MotionSensorFusion.isSupported()) return false;
+
+    for (const Api of [window.DeviceMotionEvent, window.DeviceOrientationEvent]) {
+      if (Api && typeof Api.requestPermission === 'function') {
+        try {
+          if (await Api.requestPermission() !== 'granted') return false;
+        } catch (e) {
+          return false;
+        }
+      }
+    }
+
+    window.addEventListener('devicemotion', this._onMotion);
+    window.addEventListener('deviceorientation', this._onOrientation);
+    this.active = true;
+    return true;
+  }
+
+  stop() {
+    if (!this.active) return;
+    window.removeEventListener('devicemotion', this._onMotion);
+    window.removeEventListener('deviceorientation', this._onOrientation);
+    this.active = false;
+  }
+
+  /**
+   * Drop all samples (keeps the subscription).
+   */
+  reset() {
+    this.samples = [];
+    this._lastOrientation = null;
+    this._lastRateTime = -Infinity;
+  }
+
+  /**
+   * Screen orientation angle (screen.orientation.angle, degrees). Camera frames
+   * are delivered upright for the screen, so the device→image axes depend on it.
+   */
+  setScreenAngle(angle, t = null) {
+    this.screenAngle = ((angle % 360) + 360) % 360;
+    if (this.log) this.log.push({ type: 'screen', t, angle: this.screenAngle });
+  }
+
+  /**
+   * DeviceMotionEvent handler.
+   */
+  handleMotion(event) {
+    const r = event.rotationRate;
+    if (!r || r.alpha === null || r.alpha === undefined) return;
+    this.addRotationRate(event.timeStamp, r.alpha, r.beta, r.gamma);
+  }
+
+  /**
+   * DeviceOrientationEvent handler (fallback rate source).
+   */
+  handleOrientation(event) {
+    if (event.alpha === null || event.alpha === undefined) return;
+    this.addOrientation(event.timeStamp, event.alpha, event.beta, event.gamma);
+  }
+
+  /**
+   * Add a gyroscope sample in DeviceMotionEvent.rotationRate convention.
+   * @param {number} t - Timestamp (ms, same clock as the frame timestamps)
+   * @param {number} alpha - Rate about the device z axis (deg/s)
+   * @param {number} beta - Rate about the device x axis (deg/s)
+   * @param {number} gamma - Rate about the device y axis (deg/s)
+   */
+  addRotationRate(t, alpha, beta, gamma) {
+    if (this.log) this.log.push({ type: 'motion', t, alpha, beta, gamma });
+    this._lastRateTime = t;
+    const d = Math.PI / 180;
+    this._push({ t, w: [beta * d, gamma * d, alpha * d], angle: this.screenAngle });
+  }
+
+  /**
+   * Add an absolute orientation in DeviceOrientationEvent convention. Used to
+   * derive a rate only while no rotationRate samples arrive.
+   * @param {number} t - Timestamp (ms)
+   * @param {number} alpha - Z angle (deg)
+   * @param {number} beta - X angle (deg)
+   * @param {number} gamma - Y angle (deg)
+   */
+  addOrientation(t, alpha, beta, gamma) {
+    if (this.log) this.log.push({ type: 'orientation', t, alpha, beta, gamma });
+    const R = MotionSensorFusion._orientationMatrix(alpha, beta, gamma);
+    const prev = this._lastOrientation;
+    this._lastOrientation = { t, R };
+    if (!prev || t - this._lastRateTime < this.maxGap) return;
+
+    const dt = (t - prev.t) / 1000;
+    if (!(dt > 0) || dt * 1000 > this.maxGap) return;
+    // Body rate: R_prev^T R = exp([w] dt)
+    const dR = MotionSensorFusion._mul(MotionSensorFusion._transpose(prev.R), R);
+    const r = PoseKalmanFilter._log(dR);
+    this._push({ t: prev.t, w: [r[0] / dt, r[1] / dt, r[2] / dt], angle: this.screenAngle });
+  }
+
+  /**
+   * Note a processed frame in the recording (no-op when not recording).
+   * @param {number} t - Frame timestamp (ms)
+   * @param {string} [file] - Frame name the log refers to on replay
+   */
+  recordFrame(t, file) {
+    if (this.log) this.log.push(file ? { type: 'frame', t, file } : { type: 'frame', t });
+  }
+
+  startRecording() {
+    this.log = [{ type: 'screen', t: null, angle: this.screenAngle }];
+  }
+
+  /**
+   * @returns {string} Recorded entries as NDJSON (one entry per line)
+   */
+  stopRecording() {
+    const entries = this.log || [];
+    this.log = null;
+    return entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+  }
+
+  /**
+   * Feed recorded entries (parsed NDJSON) back in, as during capture. The
+   * whole log is kept so any frame of the replay can be queried.
+   * @param {Array<Object>} entries
+   * @returns {Array<{ t, file? }>} The log's frame entries, in order
+   */
+  loadLog(entries) {
+    const frames = [];
+    const bufferTime = this.bufferTime;
+    this.bufferTime = Infinity;
+    for (const e of entries) {
+      switch (e.type) {
+        case 'motion': this.addRotationRate(e.t, e.alpha, e.beta, e.gamma); break;
+        case 'orientation': this.addOrientation(e.t, e.alpha, e.beta, e.gamma); break;
+        case 'screen': this.setScreenAngle(e.angle, e.t); break;
+        case 'frame': frames.push({ t: e.t, file: e.file }); break;
+      }
+    }
+    this.bufferTime = bufferTime;
+    return frames;
+  }
+
+  /**
+   * Rotation of camera-frame coordinates between two timestamps:
+   * X_cam(t1) = R · X_cam(t0) for a static point, camera translation ignored.
+   * @param {number} t0 - ms
+   * @param {number} t1 - ms
+   * @returns {{ R, angle, sigma }|null} angle = |rotation| (rad), sigma = 1-sigma
+   *   error per axis (rad); null if the samples don't cover [t0, t1]
+   */
+  rotationBetween(t0, t1) {
+    const s = this.samples;
+    if (s.length === 0 || !(t1 >= t0)) return null;
+    if (s[0].t > t0 + this.maxGap) return null;
+
+    // Rates are held from each sample until the next (zero-order hold); a held
+    // sample older than maxGap means the sensor stalled
+    let R = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    let i = 0;
+    while (i + 1 < s.length && s[i + 1].t <= t0) i++;
+    let start = t0;
+    while (start < t1) {
+      const next = i + 1 < s.length ? s[i + 1].t : Infinity;
+      const end = Math.min(t1, next);
+      if (end - s[i].t > this.maxGap) return null;
+      const w = MotionSensorFusion._deviceToCamera(s[i].w, s[i].angle);
+      const dt = (end - start) / 1000;
+      R = MotionSensorFusion._mul(PoseKalmanFilter._exp([-w[0] * dt, -w[1] * dt, -w[2] * dt]), R);
+      start = end;
+      i++;
+    }
+
+    const r = PoseKalmanFilter._log(R);
+    return {
+      R,
+      angle: Math.hypot(r[0], r[1], r[2]),
+      sigma: this.gyroNoise * (t1 - t0) / 1000
+    };
+  }
+
+  // --- Private methods ---
+
+  _push(sample) {
+    const s = this.samples;
+    // Keep time order (orientation-derived samples are stamped at the earlier reading)
+    let i = s.length;
+    while (i > 0 && s[i - 1].t > sample.t) i--;
+    s.splice(i, 0, sample);
+    const cutoff = s[s.length - 1].t - this.bufferTime;
+    while (s.length > 2 && s[0].t < cutoff) s.shift();
+  }
+
+  /**
+   * Device-frame rate → rear-camera frame (x right, y down, z forward in the
+   * delivered image). Device axes: x right, y up, z out of the screen in the
+   * natural orientation; the screen angle rotates the image about z.
+   */
+  static _deviceToCamera(w, angle) {
+    const a = angle * Math.PI / 180;
+    const c = Math.cos(a), s = Math.sin(a);
+    return [
+      c * w[0] - s * w[1],
+      -(s * w[0] + c * w[1]),
+      -w[2]
+    ];
+  }
+
+  /**
+   * W3C device orientation (intrinsic Z-X'-Y'') → device-to-earth rotation.
+   */
+  static _orientationMatrix(alpha, beta, gamma) {
+    const d = Math.PI / 180;
+    const Rz = PoseKalmanFilter._exp([0, 0, alpha * d]);
+    const Rx = PoseKalmanFilter._exp([beta * d, 0, 0]);
+    const Ry = PoseKalmanFilter._exp([0, gamma * d, 0]);
+    return MotionSensorFusion._mul(Rz, MotionSensorFusion._mul(Rx, Ry));
+  }
+
+  static _mul(A, B) {
+    return A.map(row => [0, 1, 2].map(j => row[0] * B[0][j] + row[1] * B[1][j] + row[2] * B[2][j]));
+  }
+
+  static _transpose(A) {
+    return [0, 1, 2].map(j => [A[0][j], A[1][j], A[2][j]]);
+  }
+}
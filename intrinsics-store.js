@@ -0,0 +1,278 @@
+// ===================================================================
+// Per-device Camera Intrinsics Profiles
+// Persists calibrated / hand-entered intrinsics in localStorage, keyed by
+// device model + camera label + resolution, with JSON export/import
+// ===================================================================
+
+const INTRINSICS_PROFILE_FORMAT = 'lighttag-intrinsics';
+const INTRINSICS_PROFILE_VERSION = 1;
+
+class IntrinsicsProfileStore {
+  constructor(config = {}) {
+    this.prefix = config.prefix || 'lighttag.intrinsics.';
+    this.storage = config.storage !== undefined ? config.storage : IntrinsicsProfileStore._defaultStorage();
+    // Used when storage is missing or throws (private browsing, disabled cookies)
+    this._memory = new Map();
+  }
+
+  /**
+   * Describe the camera behind a video track.
+   * Resolution comes from track.getSettings(), oriented like the delivered
+   * frames (portrait phones report landscape settings but deliver portrait
+   * frames, and intrinsics are expressed in frame pixels).
+   * @param {MediaStreamTrack} track
+   * @param {number} [frameWidth] - video.videoWidth
+   * @param {number} [frameHeight] - video.videoHeight
+   * @returns {Promise<{ model, cameraLabel, width, height }>}
+   */
+  static async describeTrack(track, frameWidth, frameHeight) {
+    const settings = track && track.getSettings ? track.getSettings() : {};
+    let width = settings.width || frameWidth || 0;
+    let height = settings.height || frameHeight || 0;
+    if (frameWidth && frameHeight && (width > height) !== (frameWidth > frameHeight)) {
+      [width, height] = [height, width];
+    }
+
+    let model = '';
+    const nav = typeof navigator !== 'undefined' ? navigator : null;
+    if (nav && nav.userAgentData && nav.userAgentData.getHighEntropyValues) {
+      try {
+        const values = await nav.userAgentData.getHighEntropyValues(['model']);
+        model = values.model || '';
+      } catch (e) {
+        // High-entropy hints can be refused; fall back to the UA string
+      }
+    }
+    if (!model) model = IntrinsicsProfileStore.modelFromUserAgent(nav ? nav.userAgent : '');
+
+    return {
+      model,
+      cameraLabel: (track && track.label) || settings.deviceId || 'default',
+      width,
+      height
+    };
+  }
+
+  /**
+   * Best-effort device model from a user agent string.
+   * Android UAs carry the model; iOS only exposes the device family.
+   * @param {string} ua
+   * @returns {string}
+   */
+  static modelFromUserAgent(ua) {
+    if (!ua) return 'unknown';
+    const android = /Android [^;)]*;\s*([^;)]+?)(?:\s+Build\/[^;)]*)?(?:;|\))/.exec(ua);
+    // Reduced UA strings replace the model with "K"
+    if (android) return android[1] === 'K' ? 'Android' : android[1].trim();
+    const apple = /\b(iPhone|iPad|iPod|Macintosh)\b/.exec(ua);
+    if (apple) return apple[1];
+    if (/Windows/.test(ua)) return 'Windows';
+    if (/Linux/.test(ua)) return 'Linux';
+    return 'unknown';
+  }
+
+  /**
+   * @param {{ model, cameraLabel, width, height }} desc
+   * @returns {string} Profile key
+   */
+  static keyFor(desc) {
+    return `${desc.model}|${desc.cameraLabel}|${desc.width}x${desc.height}`;
+  }
+
+  /**
+   * Look up the profile for a camera.
+   * @returns {Object|null} { model, cameraLabel, width, height, fx, fy, cx, cy, distortion, ... }
+   */
+  get(desc) {
+    const raw = this._read(this.prefix + IntrinsicsProfileStore.keyFor(desc));
+    if (!raw) return null;
+    try {
+      return IntrinsicsProfileStore._validate(JSON.parse(raw));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Store intrinsics for a camera (replaces any existing profile).
+   * @param {{ model, cameraLabel, width, height }} desc
+   * @param {{ fx, fy, cx, cy, distortion?, rms? }} intrinsics
+   * @param {string} [source] - 'calibration' | 'manual' | 'import'
+   * @returns {Object} The stored profile
+   */
+  save(desc, intrinsics, source = 'manual') {
+    const d = intrinsics.distortion || {};
+    const profile = IntrinsicsProfileStore._validate({
+      model: desc.model,
+      cameraLabel: desc.cameraLabel,
+      width: desc.width,
+      height: desc.height,
+      fx: intrinsics.fx,
+      fy: intrinsics.fy,
+      cx: intrinsics.cx,
+      cy: intrinsics.cy,
+      distortion: { k1: d.k1 || 0, k2: d.k2 || 0, p1: d.p1 || 0, p2: d.p2 || 0, k3: d.k3 || 0 },
+      rms: intrinsics.rms !== undefined ? intrinsics.rms : null,
+      source,
+      updatedAt: new Date().toISOString()
+    });
+    if (!profile) throw new Error('Invalid intrinsics');
+
+    this._write(this.prefix + IntrinsicsProfileStore.keyFor(profile), JSON.stringify(profile));
+    return profile;
+  }
+
+  /**
+   * Delete the profile for a camera.
+   */
+  remove(desc) {
+    this._delete(this.prefix + IntrinsicsProfileStore.keyFor(desc));
+  }
+
+  /**
+   * @returns {Array<Object>} All stored profiles
+   */
+  list() {
+    const profiles = [];
+    for (const key of this._keys()) {
+      try {
+        const profile = IntrinsicsProfileStore._validate(JSON.parse(this._read(key)));
+        if (profile) profiles.push(profile);
+      } catch (e) {
+        // Skip corrupt entries
+      }
+    }
+    return profiles;
+  }
+
+  /**
+   * Serialize every profile for sharing.
+   * @returns {string} JSON document
+   */
+  exportJSON() {
+    return JSON.stringify({
+      format: INTRINSICS_PROFILE_FORMAT,
+      version: INTRINSICS_PROFILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      profiles: this.list()
+    }, null, 2);
+  }
+
+  /**
+   * Merge profiles from an exported JSON document (same key → replaced).
+   * @param {string} text
+   * @returns {number} Number of profiles imported
+   */
+  importJSON(text) {
+    const doc = JSON.parse(text);
+    if (!doc || doc.format !== INTRINSICS_PROFILE_FORMAT || !Array.isArray(doc.profiles)) {
+      throw new Error('Not a LightTag intrinsics profile file');
+    }
+    if (doc.version > INTRINSICS_PROFILE_VERSION) {
+      throw new Error(`Unsupported profile file version ${doc.version}`);
+    }
+
+    let count = 0;
+    for (const entry of doc.profiles) {
+      const profile = IntrinsicsProfileStore._validate(entry);
+      if (!profile) continue;
+      this._write(this.prefix + IntrinsicsProfileStore.keyFor(profile), JSON.stringify({
+        ...profile,
+        source: profile.source || 'import'
+      }));
+      count++;
+    }
+    return count;
+  }
+
+  // --- Private methods ---
+
+  static _defaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (e) {
+      // Accessing localStorage itself throws when storage is blocked
+      return null;
+    }
+  }
+
+  /**
+   * Normalize a profile object, or null if it is unusable.
+   */
+  static _validate(p) {
+    if (!p || typeof p !== 'object') return null;
+    const positive = v => typeof v === 'number' && isFinite(v) && v > 0;
+    if (!positive(p.fx) || !positive(p.fy) || !positive(p.cx) || !positive(p.cy)) return null;
+    if (!positive(p.width) || !positive(p.height)) return null;
+    if (typeof p.model !== 'string' || typeof p.cameraLabel !== 'string') return null;
+
+    const d = p.distortion || {};
+    const term = v => (typeof v === 'number' && isFinite(v) ? v : 0);
+    return {
+      model: p.model,
+      cameraLabel: p.cameraLabel,
+      width: p.width,
+      height: p.height,
+      fx: p.fx,
+      fy: p.fy,
+      cx: p.cx,
+      cy: p.cy,
+      distortion: { k1: term(d.k1), k2: term(d.k2), p1: term(d.p1), p2: term(d.p2), k3: term(d.k3) },
+      rms: typeof p.rms === 'number' ? p.rms : null,
+      source: p.source || null,
+      updatedAt: p.updatedAt || null
+    };
+  }
+
+  _read(key) {
+    if (this.storage) {
+      try {
+        return this.storage.getItem(key);
+      } catch (e) {
+        // fall through to memory
+      }
+    }
+    return this._memory.has(key) ? this._memory.get(key) : null;
+  }
+
+  _write(key, value) {
+    if (this.storage) {
+      try {
+        this.storage.setItem(key, value);
+        return;
+      } catch (e) {
+        // Quota exceeded / blocked: keep it for this session at least
+      }
+    }
+    this._memory.set(key, value);
+  }
+
+  _delete(key) {
+    if (this.storage) {
+      try {
+        this.storage.removeItem(key);
+      } catch (e) {
+        // ignore
+      }
+    }
+    this._memory.delete(key);
+  }
+
+  _keys() {
+    const keys = new Set();
+    if (this.storage) {
+      try {
+        for (let i = 0; i < this.storage.length; i++) {
+          const key = this.storage.key(i);
+          if (key && key.startsWith(this.prefix)) keys.add(key);
+        }
+      } catch (e) {
+        // ignore
+      }
+    }
+    for (const key of this._memory.keys()) {
+      if (key.startsWith(this.prefix)) keys.add(key);
+    }
+    return [...keys];
+  }
+}
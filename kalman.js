@@ -1,76 +1,232 @@
 // ===================================================================
-// Simple 1D Kalman Filter for LED Tracking
-// Smooths position estimates and reduces jitter
+// Kinematic 1D Kalman Filter for LED Tracking
+// Position (+ velocity, + acceleration) per axis, advanced by the real
+// frame interval; exposes the innovation so the tracker can gate outliers
 // ===================================================================
 
+// Motion model → number of kinematic states
+const KALMAN_MODELS = {
+  'random-walk': 1,  // position only (legacy)
+  'velocity': 2,     // position + velocity (constant velocity)
+  'acceleration': 3  // position + velocity + acceleration (constant acceleration)
+};
+
 class SimpleKalman {
-  constructor(processNoise = 0.01, measurementNoise = 1.0) {
+  /**
+   * @param {number} [processNoise] - Spectral density of the white noise driving the
+   *   highest state derivative (units²/time³ for 'velocity', units²/time for 'random-walk')
+   * @param {number} [measurementNoise] - Measurement variance (units²)
+   * @param {Object} [options]
+   * @param {string} [options.model] - 'random-walk' | 'velocity' | 'acceleration'
+   * @param {number} [options.initialVariance] - Prior variance of the derivative states
+   */
+  constructor(processNoise = 0.01, measurementNoise = 1.0, options = {}) {
     this.Q = processNoise;       // Process noise
     this.R = measurementNoise;   // Measurement noise
-    this.x = 0;                  // State estimate
-    this.P = 1;                  // Estimate covariance
-    this.initialized = false;
+    this.model = options.model || 'random-walk';
+    this.dim = KALMAN_MODELS[this.model];
+    if (!this.dim) throw new Error(`Unknown Kalman model: ${this.model}`);
+    this.initialVariance = options.initialVariance || 1;
+    this.reset();
+  }
+
+  /** Position estimate */
+  get position() {
+    return this.x[0];
+  }
+
+  /** Velocity estimate (0 for the random-walk model) */
+  get velocity() {
+    return this.dim > 1 ? this.x[1] : 0;
   }
 
   /**
    * Update the filter with a new measurement.
+   * dt is in the time unit processNoise is expressed in; omitted, one step = one
+   * unit (the legacy per-frame behaviour).
    * @param {number} measurement - New measurement value
+   * @param {number} [dt] - Time since the previous update/predict
    * @returns {number} Filtered estimate
    */
-  update(measurement) {
+  update(measurement, dt = 1) {
     if (!this.initialized) {
-      this.x = measurement;
-      this.P = 1;
+      this.x = new Array(this.dim).fill(0);
+      this.x[0] = measurement;
+      this.P = SimpleKalman._diagonal(this.dim, this.initialVariance);
+      this.P[0][0] = this.R;
       this.initialized = true;
-      return this.x;
+      this.innovation = 0;
+      this.innovationVariance = this.R;
+      return this.x[0];
     }
 
     // Predict
-    const P_pred = this.P + this.Q;
+    this.predict(dt);
+
+    // Update (H = [1, 0, ...])
+    const y = measurement - this.x[0];
+    const S = this.P[0][0] + this.R;
+    const K = this.P.map(row => row[0] / S);
+    for (let i = 0; i < this.dim; i++) this.x[i] += K[i] * y;
+    const P0 = [...this.P[0]];
+    for (let i = 0; i < this.dim; i++) {
+      for (let j = 0; j < this.dim; j++) this.P[i][j] -= K[i] * P0[j];
+    }
+
+    this.innovation = y;
+    this.innovationVariance = S;
+    return this.x[0];
+  }
 
-    // Update
-    const K = P_pred / (P_pred + this.R);
-    this.x = this.x + K * (measurement - this.x);
-    this.P = (1 - K) * P_pred;
+  /**
+   * Advance the state by dt without a measurement.
+   * @param {number} [dt] - Time step (see update())
+   * @returns {number} Predicted position
+   */
+  predict(dt = 1) {
+    if (!this.initialized) return this.x[0];
+    this.x = this._propagate(this.x, dt);
+
+    // P = F P F^T + Q
+    const F = this._transition(dt);
+    const FP = F.map(row => this.P[0].map((_, j) => row.reduce((s, f, k) => s + f * this.P[k][j], 0)));
+    const Qd = this._processNoise(dt);
+    this.P = FP.map((row, i) => F.map((frow, j) => row.reduce((s, v, k) => s + v * frow[k], 0) + Qd[i][j]));
+    return this.x[0];
+  }
+
+  /**
+   * Where the filter expects the next measurement, without changing the state.
+   * @param {number} [dt] - Time ahead of the current state
+   * @returns {{ position: number, variance: number }} variance includes the measurement noise
+   */
+  peek(dt = 0) {
+    if (!this.initialized) return { position: this.x[0], variance: Infinity };
+    const F = this._transition(dt);
+    const Qd = this._processNoise(dt);
+    let variance = Qd[0][0] + this.R;
+    for (let k = 0; k < this.dim; k++) {
+      for (let l = 0; l < this.dim; l++) variance += F[0][k] * this.P[k][l] * F[0][l];
+    }
+    return { position: this._propagate(this.x, dt)[0], variance };
+  }
 
-    return this.x;
+  /**
+   * Innovation a measurement would produce after dt, for gating.
+   * @returns {{ innovation: number, variance: number, nis: number }}
+   *   nis = innovation² / variance (chi-square, 1 DOF)
+   */
+  test(measurement, dt = 0) {
+    const { position, variance } = this.peek(dt);
+    const innovation = measurement - position;
+    return { innovation, variance, nis: innovation * innovation / variance };
   }
 
   /**
-   * Get current estimate without new measurement (predict only).
+   * @returns {Array<Array<number>>} Copy of the state covariance
    */
-  predict() {
-    return this.x;
+  getCovariance() {
+    return this.P.map(row => [...row]);
   }
 
   /**
    * Reset the filter state.
    */
   reset() {
-    this.x = 0;
-    this.P = 1;
+    this.x = new Array(this.dim).fill(0);  // State estimate [position, velocity?, acceleration?]
+    this.P = SimpleKalman._diagonal(this.dim, 1);  // Estimate covariance
+    this.innovation = null;
+    this.innovationVariance = null;
     this.initialized = false;
   }
+
+  // --- Private methods ---
+
+  _propagate(x, dt) {
+    const out = [...x];
+    if (this.dim > 1) out[0] += x[1] * dt;
+    if (this.dim > 2) {
+      out[0] += 0.5 * x[2] * dt * dt;
+      out[1] += x[2] * dt;
+    }
+    return out;
+  }
+
+  _transition(dt) {
+    const F = SimpleKalman._diagonal(this.dim, 1);
+    for (let i = 0; i < this.dim; i++) {
+      for (let j = i + 1; j < this.dim; j++) {
+        F[i][j] = Math.pow(dt, j - i) / SimpleKalman._factorial(j - i);
+      }
+    }
+    return F;
+  }
+
+  /**
+   * Discretized continuous white noise on the highest derivative:
+   * Q_ij = q dt^(2n-1-i-j) / ((n-1-i)! (n-1-j)! (2n-1-i-j))
+   */
+  _processNoise(dt) {
+    const n = this.dim;
+    const Qd = SimpleKalman._diagonal(n, 0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        const p = 2 * n - 1 - i - j;
+        Qd[i][j] = this.Q * Math.pow(dt, p) /
+          (SimpleKalman._factorial(n - 1 - i) * SimpleKalman._factorial(n - 1 - j) * p);
+      }
+    }
+    return Qd;
+  }
+
+  static _diagonal(n, value) {
+    const M = [];
+    for (let i = 0; i < n; i++) {
+      M.push(new Array(n).fill(0));
+      M[i][i] = value;
+    }
+    return M;
+  }
+
+  static _factorial(k) {
+    return k <= 1 ? 1 : k * SimpleKalman._factorial(k - 1);
+  }
 }
 
 /**
  * Manages Kalman filters for tracking multiple LED positions.
  */
 class LEDTracker {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.processNoise] - SimpleKalman process noise (normalized units, seconds)
+   * @param {number} [config.measurementNoise] - Measurement variance (normalized units²)
+   * @param {string} [config.model] - SimpleKalman motion model
+   * @param {number} [config.maxLostFrames] - Frames an LED may coast on its prediction
+   * @param {number} [config.gateNis] - Reject detections whose 2D innovation NIS exceeds
+   *   this (chi-square, 2 DOF; 13.8 ≈ 99.9%); 0 disables gating
+   * @param {Array<number>} [config.ids] - LED ids to track (default: the constellation's, 1-5)
+   * @param {number} [config.minPoints] - LEDs that must be followed (detected or
+   *   coasting) to keep tracking (default: all of them)
+   */
   constructor(config = {}) {
     this.processNoise = config.processNoise || 0.005;
     this.measurementNoise = config.measurementNoise || 0.5;
+    this.model = config.model || 'random-walk';
     this.maxLostFrames = config.maxLostFrames || 3;
+    this.gateNis = config.gateNis !== undefined ? config.gateNis : 0;
+    this.ids = config.ids || [1, 2, 3, 4, 5];
+    this.minPoints = Math.min(config.minPoints || this.ids.length, this.ids.length);
 
-    // Filters for each LED (id 1-5), each with x and y
+    // Filters for each LED, each with x and y
     this.filters = {};
     this.lostCount = {};
     this.lastPositions = {};
 
-    for (let id = 1; id <= 5; id++) {
+    for (const id of this.ids) {
       this.filters[id] = {
-        x: new SimpleKalman(this.processNoise, this.measurementNoise),
-        y: new SimpleKalman(this.processNoise, this.measurementNoise)
+        x: new SimpleKalman(this.processNoise, this.measurementNoise, { model: this.model }),
+        y: new SimpleKalman(this.processNoise, this.measurementNoise, { model: this.model })
       };
       this.lostCount[id] = 0;
       this.lastPositions[id] = null;
@@ -82,36 +238,57 @@ class LEDTracker {
 
   /**
    * Update tracking with new detected positions.
+   * Detections failing the innovation gate are treated as missing (the LED
+   * coasts on its prediction) and reported with gated: true.
    * @param {Array<{id, x, y}>} detectedPoints - Detected LED positions (normalized 0-1)
+   * @param {number} [dt] - Seconds since the previous update (default: one step)
+   * @param {Object} [options]
+   * @param {boolean} [options.gate] - Apply the innovation gate (default true)
    * @returns {{ tracked: Array, isTracking: boolean, stability: number }}
+   *   tracked entries carry innovation { x, y } and nis for accepted detections
    */
-  update(detectedPoints) {
+  update(detectedPoints, dt = 1, options = {}) {
+    const gate = options.gate !== false && this.gateNis > 0;
     const tracked = [];
     let trackedCount = 0;
 
-    for (let id = 1; id <= 5; id++) {
+    for (const id of this.ids) {
+      const filter = this.filters[id];
       const det = detectedPoints.find(p => p.id === id);
 
-      if (det) {
-        const fx = this.filters[id].x.update(det.x);
-        const fy = this.filters[id].y.update(det.y);
+      let gated = false;
+      let nis = null;
+      if (det && gate && filter.x.initialized) {
+        nis = filter.x.test(det.x, dt).nis + filter.y.test(det.y, dt).nis;
+        gated = nis > this.gateNis;
+      }
+
+      if (det && !gated) {
+        const fx = filter.x.update(det.x, dt);
+        const fy = filter.y.update(det.y, dt);
         this.lostCount[id] = 0;
         this.lastPositions[id] = { x: fx, y: fy };
-        tracked.push({ id, x: fx, y: fy, detected: true });
+        tracked.push({
+          id, x: fx, y: fy, detected: true,
+          innovation: { x: filter.x.innovation, y: filter.y.innovation },
+          nis
+        });
         trackedCount++;
       } else {
         this.lostCount[id]++;
+        // Advance the state so velocity keeps carrying the LED while it coasts
+        const fx = filter.x.predict(dt);
+        const fy = filter.y.predict(dt);
         if (this.lostCount[id] <= this.maxLostFrames && this.lastPositions[id]) {
           // Use predicted position
-          const fx = this.filters[id].x.predict();
-          const fy = this.filters[id].y.predict();
-          tracked.push({ id, x: fx, y: fy, detected: false, predicted: true });
+          this.lastPositions[id] = { x: fx, y: fy };
+          tracked.push({ id, x: fx, y: fy, detected: false, predicted: true, gated, nis });
           trackedCount++;
         }
       }
     }
 
-    if (trackedCount === 5) {
+    if (trackedCount >= this.minPoints) {
       this.consecutiveLost = 0;
       this.isTracking = true;
     } else {
@@ -122,23 +299,28 @@ class LEDTracker {
     }
 
     // Stability: percentage of tracked frames (smoothed)
-    const stability = trackedCount / 5;
+    const stability = trackedCount / this.ids.length;
 
     return { tracked, isTracking: this.isTracking, stability };
   }
 
   /**
    * Get predicted positions for search windows.
-   * @returns {Array<{id, x, y}>} Predicted positions for all tracked LEDs
+   * @param {number} [dt] - Look ahead from the last update (e.g. the current frame interval)
+   * @returns {Array<{id, x, y, sigma}>} Predicted positions for all tracked LEDs;
+   *   sigma is the larger axis' expected measurement 1-sigma
    */
-  getPredictions() {
+  getPredictions(dt = 0) {
     const predictions = [];
-    for (let id = 1; id <= 5; id++) {
+    for (const id of this.ids) {
       if (this.lastPositions[id]) {
+        const px = this.filters[id].x.peek(dt);
+        const py = this.filters[id].y.peek(dt);
         predictions.push({
           id,
-          x: this.filters[id].x.predict(),
-          y: this.filters[id].y.predict()
+          x: px.position,
+          y: py.position,
+          sigma: Math.sqrt(Math.max(px.variance, py.variance))
         });
       }
     }
@@ -149,7 +331,7 @@ class LEDTracker {
    * Reset all tracking state.
    */
   reset() {
-    for (let id = 1; id <= 5; id++) {
+    for (const id of this.ids) {
       this.filters[id].x.reset();
       this.filters[id].y.reset();
       this.lostCount[id] = 0;
@@ -0,0 +1,643 @@
+// ===================================================================
+// LightTag Locator SDK
+// Embeddable entry point: runs the DetectionPipeline on a MediaStream or
+// <video> element and reports results as events (pose, lost,
+// stateChange, candidates, frame). No page-specific DOM; app.js is one
+// UI built on it. With { worker: true } the pipeline runs in
+// pipeline-worker.js and the page thread only captures and renders.
+// ===================================================================
+
+const LIGHTTAG_EVENTS = ['pose', 'lost', 'stateChange', 'candidates', 'frame'];
+
+/**
+ * Usage (scripts from index.html up to lighttag-locator.js on the page):
+ *   const locator = new LightTagLocator(stream, {
+ *     worker: true,
+ *     pipeline: { maxTags: 2 },
+ *     poseOutput: { frame: 'camera-in-tag', axes: 'opengl', units: 'm' }
+ *   });
+ *   locator.on('pose', e => { if (e.primary) camera.matrix.fromArray(e.output.elements); });
+ *   locator.on('lost', e => console.log('lost tag', e.tagId));
+ *   await locator.start();
+ */
+class LightTagLocator {
+  /**
+   * @param {MediaStream|HTMLVideoElement|null} [source] - Camera stream, or a video
+   *   element (playing a stream or file, or empty). Without one, start() opens the
+   *   rear camera; streams it opened are stopped by stop()
+   * @param {Object} [options]
+   * @param {boolean|string} [options.worker] - Run the pipeline in a Web Worker (true:
+   *   'pipeline-worker.js' next to the page, or the worker script URL). Frames are
+   *   transferred as VideoFrame / ImageBitmap and dropped while the worker is busy.
+   *   Falls back to the page thread without Worker / OffscreenCanvas support
+   * @param {HTMLCanvasElement} [options.canvas] - Canvas for the page-thread WebGL
+   *   colour filter (default: a detached canvas; falls back to the CPU filter
+   *   without WebGL)
+   * @param {MediaStreamConstraints} [options.constraints] - getUserMedia constraints
+   *   (default: rear camera, up to 1920x1080)
+   * @param {Object} [options.pipeline] - DetectionPipeline config as plain data
+   *   (downscale, maxTags, minPartialPoints, ...; see DetectionPipeline)
+   * @param {Object} [options.filter] - Colour filter settings (see configure())
+   * @param {Object} [options.matcher] - { sensitivity: 'low' | 'medium' | 'high' }
+   * @param {Object} [options.intrinsics] - { fx, fy, cx, cy, distortion? } (default:
+   *   estimated from the frame size)
+   * @param {Constellation} [options.constellation] - LED layout (default: LED_GEOMETRY)
+   * @param {SiteMap} [options.siteMap] - Mapped tags for site localization
+   * @param {Object} [options.poseOutput] - PoseConverter options; pose events then
+   *   carry the converted pose as output
+   * @param {boolean} [options.mask] - Include the colour mask in frame events
+   * @param {boolean} [options.motion] - Gyroscope-assisted tracking (default false)
+   * @param {Function} [options.toPixel] - (nx, ny, width, height) → { x, y }: the
+   *   normalized coordinates of candidates and LED points in video pixels
+   *   (default: fractions of the frame). Must be affine (scale + offset per
+   *   axis) in worker mode, where it is sampled at (0, 0) and (1, 1) each frame
+   * @param {Function} [options.fromPixel] - Inverse of toPixel
+   */
+  constructor(source = null, options = {}) {
+    this.stream = null;
+    this.video = null;
+    if (typeof HTMLVideoElement !== 'undefined' && source instanceof HTMLVideoElement) {
+      this.video = source;
+      this.stream = source.srcObject || null;
+    } else if (source) {
+      this.stream = source;
+    }
+    this.constraints = options.constraints || {
+      video: {
+        facingMode: 'environment',
+        width: { ideal: 1920 },
+        height: { ideal: 1080 }
+      },
+      audio: false
+    };
+    this.toPixel = options.toPixel || null;
+    this.fromPixel = options.fromPixel || null;
+
+    const config = { downscale: 4, ...options.pipeline };
+    this.worker = options.worker ? LightTagLocator._createWorker(options.worker) : null;
+    if (this.worker) {
+      // Pipeline state lives in the worker; frame events carry what the page needs
+      this.blueFilter = null;
+      this.pipeline = null;
+      this.worker.onmessage = e => this._onWorkerMessage(e.data);
+      this.worker.onerror = e => {
+        this._busy = false;
+        console.error('LightTag worker error:', e.message);
+      };
+      this.worker.postMessage({ type: 'init', config });
+    } else {
+      this.blueFilter = LightTagLocator._createFilter(options.canvas || document.createElement('canvas'));
+      this.pipeline = new DetectionPipeline({ ...config, blueFilter: this.blueFilter });
+    }
+
+    this.motionFusion = new MotionSensorFusion();
+    this.motionEnabled = !!options.motion;
+    this.poseConverter = null;
+    this.intrinsics = null;
+    this.constellation = LED_GEOMETRY;
+    this.mask = false;
+    this.droppedFrames = 0;
+
+    this.running = false;
+    this.opened = false;
+    this.width = 0;
+    this.height = 0;
+    this.state = 'idle'; // idle | scanning | candidate | locked | tracking
+
+    this._listeners = new Map(LIGHTTAG_EVENTS.map(type => [type, []]));
+    this._ownsStream = false;
+    this._frameRequest = null;
+    this._offscreen = null;
+    this._offCtx = null;
+    this._motionActive = false;
+    this._busy = false;           // A frame is in the worker
+    this._generation = 0;         // Bumped on reset; older worker results are dropped
+    this._sentTimestamp = null;   // Last frame handed to the worker
+    this._resetClock = false;
+    this._onFrame = (now, metadata) => this._processFrame(now, metadata);
+
+    this.configure(options);
+  }
+
+  // --- Events ---
+
+  /**
+   * Subscribe to an event:
+   *   pose        { trackId, tagId, primary, pose, output, points, timestamp } per tag
+   *               with a pose this frame (output: converted pose, or null)
+   *   lost        { trackId, tagId } when a tracked tag is no longer followed
+   *   stateChange { state, previous, data } on detection state transitions
+   *               (idle | scanning | candidate | locked | tracking)
+   *   candidates  { candidates, count, center, timestamp } every frame (center: the
+   *               promising cluster while a tag is being acquired, else null)
+   *   frame       DetectionPipeline.frameSummary() plus { timestamp, width, height }
+   *               after each processed frame
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {LightTagLocator} this
+   */
+  on(type, listener) {
+    this._listenersOf(type).push(listener);
+    return this;
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {LightTagLocator} this
+   */
+  off(type, listener) {
+    const listeners = this._listenersOf(type);
+    const i = listeners.indexOf(listener);
+    if (i >= 0) listeners.splice(i, 1);
+    return this;
+  }
+
+  // --- Lifecycle ---
+
+  /**
+   * Prepare the source: open the camera if needed, wait for the first frame size
+   * and set the intrinsics. start() calls this; call it first to adjust settings
+   * that depend on the camera before any frame is processed.
+   * @returns {Promise<void>} Rejects when the camera can't be opened
+   */
+  async open() {
+    if (this.opened) return;
+
+    if (!this.stream && !(this.video && (this.video.currentSrc || this.video.src))) {
+      this.stream = await LightTagLocator._getUserMedia(this.constraints);
+      this._ownsStream = true;
+    }
+    if (!this.video) {
+      this.video = document.createElement('video');
+      this.video.muted = true;
+      this.video.playsInline = true;
+    }
+    if (this.stream && this.video.srcObject !== this.stream) this.video.srcObject = this.stream;
+    await this.video.play();
+
+    // Wait for video dimensions to be available
+    await new Promise(resolve => {
+      if (this.video.videoWidth > 0) return resolve();
+      this.video.addEventListener('loadedmetadata', resolve, { once: true });
+    });
+    if (this._ownsStream) await this._upgradeResolution();
+
+    this.width = this.video.videoWidth;
+    this.height = this.video.videoHeight;
+
+    // Full-res copy of the frame (page-thread refinement, calibration captures)
+    this._offscreen = document.createElement('canvas');
+    this._offscreen.width = this.width;
+    this._offscreen.height = this.height;
+    this._offCtx = this._offscreen.getContext('2d', { willReadFrequently: true });
+
+    this._applyIntrinsics();
+    this.opened = true;
+  }
+
+  /**
+   * Open the source if needed and start processing frames.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.running) return;
+    await this.open();
+    if (this.motionEnabled) await this.setMotionEnabled(true);
+
+    this.running = true;
+    this._restartClock();
+    this._setState('scanning');
+    this._requestFrame();
+  }
+
+  /**
+   * Stop processing and release the camera if the locator opened it. start()
+   * opens it again.
+   */
+  stop() {
+    this.running = false;
+    this._cancelFrame();
+
+    if (this._ownsStream && this.stream) {
+      this.stream.getTracks().forEach(t => t.stop());
+      this.stream = null;
+      this.video.srcObject = null;
+      this._ownsStream = false;
+    }
+    this.opened = false;
+
+    if (this.motionFusion.active) this.motionFusion.stop();
+    this._motionActive = false;
+    if (this.pipeline) this.pipeline.motionFusion = null;
+    this._resetPipeline();
+    this._setState('idle');
+  }
+
+  /**
+   * Drop all tracked tags and search again (keeps the configuration).
+   */
+  reset() {
+    this._resetPipeline();
+    if (this.running) this._setState('scanning');
+  }
+
+  /**
+   * Stop and shut down the worker. The locator can't be started again.
+   */
+  destroy() {
+    this.stop();
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this._listeners.forEach(listeners => listeners.splice(0));
+  }
+
+  // --- Configuration ---
+
+  /**
+   * Change module settings; only the given keys are touched.
+   * @param {Object} options
+   * @param {Object} [options.filter] - { threshold (0.02-0.5), adaptive (bool),
+   *   brightnessFloor, hue (degrees), hueRange (± degrees), satMin (0-1) }
+   * @param {Object} [options.matcher] - { sensitivity: 'low' | 'medium' | 'high' }
+   * @param {Object|null} [options.intrinsics] - { fx, fy, cx, cy, distortion? }, or
+   *   null to estimate them from the frame size
+   * @param {Constellation|null} [options.constellation] - null: the built-in LightTag
+   *   (tracking restarts, the filter moves to its LED colour)
+   * @param {SiteMap|null} [options.siteMap]
+   * @param {Object|null} [options.poseOutput] - PoseConverter options, or null
+   * @param {boolean} [options.mask] - Include the colour mask in frame events
+   * @returns {LightTagLocator} this
+   */
+  configure(options = {}) {
+    const modules = {};
+    if (options.filter) modules.filter = options.filter;
+    if (options.matcher) modules.matcher = options.matcher;
+    if (options.siteMap !== undefined) modules.siteMap = options.siteMap;
+    if (options.constellation !== undefined) {
+      this.constellation = options.constellation || LED_GEOMETRY;
+      modules.constellation = this.constellation;
+      this._generation++;
+    }
+    this._configurePipeline(modules);
+
+    if (options.intrinsics !== undefined) {
+      this.intrinsics = options.intrinsics;
+      if (this.opened) this._applyIntrinsics();
+    }
+    if (options.poseOutput !== undefined) {
+      this.poseConverter = options.poseOutput ? new PoseConverter(options.poseOutput) : null;
+    }
+    if (options.mask !== undefined) this.mask = !!options.mask;
+    if (modules.constellation && this.running) this._setState('scanning');
+    return this;
+  }
+
+  /**
+   * Turn gyroscope-assisted tracking on or off. On iOS enabling must run inside
+   * a user gesture (permission prompt).
+   * @param {boolean} enabled
+   * @returns {Promise<boolean>} Whether motion sensors are in use
+   */
+  async setMotionEnabled(enabled) {
+    this.motionEnabled = enabled;
+    if (enabled) {
+      this._motionActive = await this.motionFusion.start();
+      if (this._motionActive) this.motionFusion.reset();
+    } else {
+      this.motionFusion.stop();
+      this._motionActive = false;
+    }
+    if (this.pipeline) this.pipeline.motionFusion = this._motionActive ? this.motionFusion : null;
+    // Frame timestamps may switch clocks (see _frameTimestamp())
+    this._restartClock();
+    return this._motionActive;
+  }
+
+  /** Whether gyroscope samples currently drive the pose prediction */
+  get motionActive() {
+    return this._motionActive;
+  }
+
+  /**
+   * Draw the current video frame to the full-res offscreen canvas and return
+   * its context (sub-pixel refinement, ID sampling, calibration captures).
+   * @returns {CanvasRenderingContext2D|null}
+   */
+  getPixelContext() {
+    if (!this._offCtx) return null;
+    this._offCtx.drawImage(this.video, 0, 0, this._offscreen.width, this._offscreen.height);
+    return this._offCtx;
+  }
+
+  // --- Private methods ---
+
+  static _createFilter(canvas) {
+    let filter = new BlueFilter(canvas);
+    try {
+      filter.init();
+    } catch (e) {
+      // No WebGL (kiosk browsers, in-app webviews): run the same filter on the CPU
+      console.warn('BlueFilter WebGL init failed, falling back to CPU:', e.message);
+      filter = new CpuBlueFilter(canvas);
+      filter.init();
+    }
+    return filter;
+  }
+
+  /**
+   * @returns {Worker|null} null when workers or OffscreenCanvas are unavailable
+   */
+  static _createWorker(url) {
+    const supported = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+      (typeof VideoFrame !== 'undefined' || typeof createImageBitmap !== 'undefined');
+    if (!supported) {
+      console.warn('LightTag worker unavailable, running the pipeline on the page thread');
+      return null;
+    }
+    try {
+      return new Worker(typeof url === 'string' ? url : 'pipeline-worker.js');
+    } catch (e) {
+      // e.g. pages opened from file://
+      console.warn('LightTag worker failed to start, running the pipeline on the page thread:', e.message);
+      return null;
+    }
+  }
+
+  static async _getUserMedia(constraints) {
+    try {
+      return await navigator.mediaDevices.getUserMedia(constraints);
+    } catch (e) {
+      // Fallback to basic constraints
+      return navigator.mediaDevices.getUserMedia({ video: true, audio: false });
+    }
+  }
+
+  /**
+   * Ask the camera for up to 1920x1080 once it runs (some browsers only honour
+   * the ideal size through applyConstraints).
+   */
+  async _upgradeResolution() {
+    const track = this.stream.getVideoTracks()[0];
+    if (!track) return;
+    try {
+      const caps = track.getCapabilities ? track.getCapabilities() : {};
+      const maxW = caps.width ? caps.width.max : 1920;
+      const maxH = caps.height ? caps.height.max : 1080;
+      await track.applyConstraints({
+        width: { ideal: Math.min(maxW, 1920) },
+        height: { ideal: Math.min(maxH, 1080) }
+      });
+      // Wait for resolution to update
+      await new Promise(r => setTimeout(r, 300));
+    } catch (e) {
+      console.warn('applyConstraints failed:', e);
+    }
+  }
+
+  _applyIntrinsics() {
+    const k = this.intrinsics;
+    const valid = k && k.fx > 0 && k.fy > 0 && k.cx > 0 && k.cy > 0;
+    this._configurePipeline({ intrinsics: valid ? k : { width: this.width, height: this.height } });
+  }
+
+  /**
+   * DetectionPipeline.configure() here or in the worker (constellation and
+   * site map as JSON there).
+   */
+  _configurePipeline(options) {
+    if (Object.keys(options).length === 0) return;
+    if (!this.worker) {
+      this.pipeline.configure(options);
+      return;
+    }
+    const message = { ...options };
+    if (options.constellation) message.constellation = options.constellation.toJSON();
+    if (options.siteMap !== undefined) message.siteMap = options.siteMap ? options.siteMap.toJSON() : null;
+    this.worker.postMessage({ type: 'configure', options: message });
+  }
+
+  _resetPipeline() {
+    this._generation++;
+    this._sentTimestamp = null;
+    if (this.worker) {
+      this.worker.postMessage({ type: 'reset' });
+    } else {
+      this.pipeline.reset();
+    }
+  }
+
+  /**
+   * The next frame starts a new dt / gyro interval.
+   */
+  _restartClock() {
+    this._sentTimestamp = null;
+    if (this.worker) {
+      this._resetClock = true;
+    } else {
+      this.pipeline.lastTimestamp = null;
+    }
+  }
+
+  _requestFrame() {
+    if (!this.running) return;
+    if (this.video.requestVideoFrameCallback) {
+      this._frameRequest = { video: true, id: this.video.requestVideoFrameCallback(this._onFrame) };
+    } else {
+      this._frameRequest = { video: false, id: requestAnimationFrame(this._onFrame) };
+    }
+  }
+
+  _cancelFrame() {
+    const request = this._frameRequest;
+    if (!request) return;
+    if (!request.video) {
+      cancelAnimationFrame(request.id);
+    } else if (this.video.cancelVideoFrameCallback) {
+      this.video.cancelVideoFrameCallback(request.id);
+    }
+    this._frameRequest = null;
+  }
+
+  _processFrame(now, metadata) {
+    this._frameRequest = null;
+    if (!this.running) return;
+
+    const vw = this.video.videoWidth;
+    const vh = this.video.videoHeight;
+    const timestamp = this._frameTimestamp(now, metadata);
+    if (this._motionActive) this.motionFusion.recordFrame(timestamp);
+
+    if (this.worker) {
+      this._sendFrame(vw, vh, timestamp);
+    } else {
+      const tracks = [...this.pipeline.tracks];
+      const { toPixel, fromPixel } = this;
+      const result = this.pipeline.processFrame({
+        source: this.video,
+        width: vw,
+        height: vh,
+        getPixelContext: () => this.getPixelContext(),
+        toPixel: toPixel ? (nx, ny) => toPixel(nx, ny, vw, vh) : undefined,
+        fromPixel: fromPixel ? (x, y) => fromPixel(x, y, vw, vh) : undefined,
+        timestamp
+      });
+      this._dispatch(this.pipeline.frameSummary(result, tracks, { mask: this.mask }), timestamp, vw, vh);
+    }
+
+    this._requestFrame();
+  }
+
+  /**
+   * Hand the current frame to the worker, or drop it while the previous one is
+   * still being processed (queued frames would only add latency).
+   */
+  _sendFrame(width, height, timestamp) {
+    if (this._busy) {
+      this.droppedFrames++;
+      return;
+    }
+    this._busy = true;
+
+    let mapping = null;
+    if (this.toPixel) {
+      const a = this.toPixel(0, 0, width, height);
+      const b = this.toPixel(1, 1, width, height);
+      mapping = { x0: a.x, y0: a.y, sx: b.x - a.x, sy: b.y - a.y };
+    }
+    const rotation = this._motionActive && this._sentTimestamp !== null
+      ? this.motionFusion.rotationBetween(this._sentTimestamp, timestamp)
+      : null;
+    const message = {
+      type: 'frame',
+      width,
+      height,
+      timestamp,
+      generation: this._generation,
+      mapping,
+      motion: this._motionActive,
+      rotation,
+      resetClock: this._resetClock,
+      mask: this.mask
+    };
+    this._sentTimestamp = timestamp;
+    this._resetClock = false;
+
+    this._captureFrame(timestamp).then(frame => {
+      // Destroyed while capturing: nobody to hand the frame to
+      if (!this.worker) {
+        frame.close();
+        this._busy = false;
+        return;
+      }
+      try {
+        this.worker.postMessage({ ...message, frame }, [frame]);
+      } catch (e) {
+        // A failed post transfers nothing: the frame is still ours to release
+        frame.close();
+        this._busy = false;
+        console.warn('Frame transfer failed:', e);
+      }
+    }).catch(e => {
+      this._busy = false;
+      console.warn('Frame capture failed:', e);
+    });
+  }
+
+  /**
+   * @returns {Promise<VideoFrame|ImageBitmap>} Transferable copy of the current frame
+   */
+  async _captureFrame(timestamp) {
+    if (typeof VideoFrame !== 'undefined') {
+      try {
+        return new VideoFrame(this.video, { timestamp: Math.round(timestamp * 1000) });
+      } catch (e) {
+        // Element without a decodable frame yet: try the bitmap path
+      }
+    }
+    return createImageBitmap(this.video);
+  }
+
+  _onWorkerMessage(msg) {
+    this._busy = false;
+    if (msg.type === 'error') {
+      console.error('LightTag worker:', msg.message);
+      return;
+    }
+    if (!this.running || msg.generation !== this._generation) return;
+    this._dispatch(msg.summary, msg.timestamp, msg.width, msg.height);
+  }
+
+  /**
+   * Turn one frame summary into events.
+   */
+  _dispatch(summary, timestamp, width, height) {
+    const candidate = summary.stateChanges.find(c => c.data.candidateCenter);
+    this._emit('candidates', {
+      candidates: summary.candidates,
+      count: summary.candidateCount,
+      center: candidate ? candidate.data.candidateCenter : null,
+      timestamp
+    });
+
+    for (const change of summary.stateChanges) this._setState(change.state, change.data);
+    this._setState(summary.state);
+
+    for (const lost of summary.lost) this._emit('lost', lost);
+
+    const primary = summary.tags.find(tag => tag.primary);
+    for (const tag of summary.poses) {
+      this._emit('pose', {
+        trackId: tag.trackId,
+        tagId: tag.tagId,
+        primary: !!primary && primary.trackId === tag.trackId,
+        pose: tag.pose,
+        output: this.poseConverter ? this.poseConverter.convert(tag.pose) : null,
+        points: tag.points,
+        timestamp
+      });
+    }
+
+    this._emit('frame', { ...summary, timestamp, width, height });
+  }
+
+  /**
+   * Capture time of the current frame (ms) for the trackers' dt.
+   * requestVideoFrameCallback metadata gives the camera capture time (or the
+   * media timestamp), so dropped or late callbacks don't distort velocities;
+   * the requestAnimationFrame fallback only has the callback time.
+   */
+  _frameTimestamp(now, metadata) {
+    if (!metadata) return now;
+    if (typeof metadata.captureTime === 'number') return metadata.captureTime;
+    // mediaTime runs on the stream's clock; motion events need the page clock
+    if (typeof metadata.mediaTime === 'number' && !this._motionActive) return metadata.mediaTime * 1000;
+    return now;
+  }
+
+  _setState(state, data = {}) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this._emit('stateChange', { state, previous, data });
+  }
+
+  _listenersOf(type) {
+    const listeners = this._listeners.get(type);
+    if (!listeners) throw new Error(`Unknown LightTagLocator event "${type}"`);
+    return listeners;
+  }
+
+  /**
+   * Call each listener; a throwing listener is logged and doesn't stop the loop.
+   */
+  _emit(type, event) {
+    for (const listener of [...this._listeners.get(type)]) {
+      try {
+        listener(event);
+      } catch (e) {
+        console.error(`LightTagLocator ${type} listener failed:`, e);
+      }
+    }
+  }
+}
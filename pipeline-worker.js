@@ -0,0 +1,137 @@
+// ===================================================================
+// Detection Pipeline Worker
+// Runs DetectionPipeline off the main thread. Frames arrive as transferred
+// VideoFrame / ImageBitmap objects, are filtered on an OffscreenCanvas
+// (WebGL, or the CPU filter without it) and answered with the pipeline's
+// frameSummary(). Started by LightTagLocator ({ worker: true })
+//
+// Messages in:  { type: 'init', config }   DetectionPipeline config (plain data)
+//               { type: 'configure', options }   see DetectionPipeline.configure();
+//                 constellation and siteMap as their JSON documents
+//               { type: 'reset' }
+//               { type: 'frame', frame, width, height, timestamp, generation,
+//                 mapping, motion, rotation, resetClock, mask }
+// Messages out: { type: 'result', summary, generation, timestamp, width, height }
+//               { type: 'error', message, generation }
+// ===================================================================
+
+importScripts(
+  'blue-filter.js',
+  'blue-filter-cpu.js',
+  'peak-detector.js',
+  'blob-detector.js',
+  'constellation.js',
+  'geometry-matcher.js',
+  'pnp-solver.js',
+  'kalman.js',
+  'pose-filter.js',
+  'data-bar-locator.js',
+  'id-decoder.js',
+  'tag-track.js',
+  'site-map.js',
+  'pipeline.js'
+);
+
+let pipeline = null;
+let pixelCanvas = null;
+let pixelCtx = null;
+
+self.onmessage = e => {
+  const msg = e.data;
+  switch (msg.type) {
+    case 'init':
+      pipeline = createPipeline(msg.config || {});
+      break;
+    case 'configure':
+      pipeline.configure(reviveOptions(msg.options));
+      break;
+    case 'reset':
+      pipeline.reset();
+      break;
+    case 'frame':
+      processFrame(msg);
+      break;
+  }
+};
+
+function createPipeline(config) {
+  let blueFilter = new BlueFilter(new OffscreenCanvas(1, 1));
+  try {
+    blueFilter.init();
+  } catch (e) {
+    // No WebGL in workers on this browser: same filter on the CPU
+    blueFilter = new CpuBlueFilter(null);
+    blueFilter.init();
+  }
+  return new DetectionPipeline({ ...config, blueFilter });
+}
+
+/**
+ * Constellation and site map travel as their JSON documents.
+ */
+function reviveOptions(options) {
+  return {
+    ...options,
+    constellation: options.constellation ? Constellation.fromJSON(options.constellation) : undefined,
+    siteMap: options.siteMap ? SiteMap.fromJSON(options.siteMap) : options.siteMap
+  };
+}
+
+function processFrame(msg) {
+  const { frame, width, height, timestamp, generation } = msg;
+  const tracks = [...pipeline.tracks];
+
+  // Gyro rotation since the previous frame, integrated on the main thread
+  pipeline.motionFusion = msg.motion ? { rotationBetween: () => msg.rotation } : null;
+  if (msg.resetClock) pipeline.lastTimestamp = null;
+
+  try {
+    const result = pipeline.processFrame({
+      source: frame,
+      width,
+      height,
+      getPixelContext: () => pixelContext(frame, width, height),
+      ...affineMapping(msg.mapping),
+      timestamp
+    });
+    self.postMessage({
+      type: 'result',
+      summary: pipeline.frameSummary(result, tracks, { mask: msg.mask }),
+      generation,
+      timestamp,
+      width,
+      height
+    });
+  } catch (e) {
+    self.postMessage({ type: 'error', message: String(e && e.message || e), generation });
+  } finally {
+    frame.close();
+  }
+}
+
+/**
+ * Full-res copy of the frame for sub-pixel refinement and ID sampling.
+ */
+function pixelContext(frame, width, height) {
+  if (!pixelCanvas) {
+    pixelCanvas = new OffscreenCanvas(width, height);
+    pixelCtx = pixelCanvas.getContext('2d', { willReadFrequently: true });
+  }
+  if (pixelCanvas.width !== width || pixelCanvas.height !== height) {
+    pixelCanvas.width = width;
+    pixelCanvas.height = height;
+  }
+  pixelCtx.drawImage(frame, 0, 0, width, height);
+  return pixelCtx;
+}
+
+/**
+ * Normalized ↔ pixel mapping from { x0, y0, sx, sy } (pixel = x0 + n · sx).
+ */
+function affineMapping(m) {
+  if (!m) return {};
+  return {
+    toPixel: (nx, ny) => ({ x: m.x0 + nx * m.sx, y: m.y0 + ny * m.sy }),
+    fromPixel: (x, y) => ({ x: (x - m.x0) / m.sx, y: (y - m.y0) / m.sy })
+  };
+}
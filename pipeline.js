@@ -0,0 +1,960 @@
+// ===================================================================
+// LED Detection Pipeline
+// BlueFilter → PeakDetector + BlobDetector → merge → GeometryMatcher
+//            → PnPSolver → PoseKalmanFilter → DataBarLocator → OpticalIdDecoder,
+//            with no DOM dependency. Each tag in view is a TagTrack; while
+//            tracking, LED search windows come from reprojecting its filter's
+//            predicted pose. With a SiteMap, mapped tags are solved jointly
+//            (SiteLocalizer) for the camera pose in the site frame.
+// Shared by app.js and the headless tools (tools/replay.js)
+// ===================================================================
+
+class DetectionPipeline {
+  /**
+   * @param {Object} [config]
+   * @param {BlueFilter} [config.blueFilter] - Filter instance (default: CpuBlueFilter)
+   * @param {string} [config.sensitivity] - GeometryMatcher sensitivity preset
+   * @param {number} [config.downscale] - BlueFilter downscale factor
+   * @param {number} [config.maxTags] - Tags detected and tracked at once
+   * @param {SiteMap} [config.siteMap] - Known tag poses for site localization
+   * @param {Constellation} [config.constellation] - LED layout (default: LED_GEOMETRY)
+   * @param {number} [config.minPartialPoints] - Identified LEDs enough to keep a tag
+   *   tracked and solved when some are hidden (default 4)
+   * @param {number} [config.degradedSigmaScale] - 1-sigma multiplier for such poses
+   * @param {number} [config.maxDegradedReprojError] - Acceptance limit for such poses
+   *   (RMS px, default 8)
+   */
+  constructor(config = {}) {
+    this.downscale = config.downscale || 4;
+    this.maxTags = config.maxTags || 4;
+    this.constellation = config.constellation || LED_GEOMETRY;
+    // Candidates kept per frame (each tag brings its LEDs plus bar ends);
+    // the matcher's search is time-bounded, so busy scenes can keep more
+    this.maxCandidates = config.maxCandidates || Math.max(40, 10 * this.maxTags);
+
+    this.blueFilter = config.blueFilter || null;
+    if (!this.blueFilter) {
+      this.blueFilter = new CpuBlueFilter(null);
+      this.blueFilter.init();
+    }
+
+    this.peakDetector = config.peakDetector || new PeakDetector({
+      nmsRadius: 3,
+      minPeakScore: 80,
+      minPointiness: 1.5,
+      minIsotropy: 0.3,
+      maxCandidates: Math.max(30, 10 * this.maxTags)
+    });
+
+    this.blobDetector = config.blobDetector || new BlobDetector({
+      minArea: 4,
+      maxArea: 300,
+      maxAspectRatio: 2.5
+    });
+
+    this.pnpSolver = config.pnpSolver || new PnPSolver();
+
+    // Geometric hypotheses are verified by PnP with the same intrinsics
+    this.geometryMatcher = config.geometryMatcher || new GeometryMatcher({
+      sensitivity: config.sensitivity || 'medium',
+      constellation: this.constellation,
+      pnpSolver: this.pnpSolver
+    });
+
+    // Per-tag modules, built for each TagTrack.
+    // Constant-velocity LED filters in normalized units over seconds:
+    // ~0.003 measurement sigma, gate at the 99.9% chi-square level
+    this.createTracker = config.createTracker || (() => new LEDTracker({
+      model: 'velocity',
+      processNoise: 20,
+      measurementNoise: 9e-6,
+      gateNis: 13.8,
+      maxLostFrames: 3,
+      ids: this.constellation.ids,
+      minPoints: this.minTrackedPoints
+    }));
+    // Pose measurements gated at the 99.9% chi-square level (6 DOF)
+    this.createPoseFilter = config.createPoseFilter || (() => new PoseKalmanFilter({ gateNis: 22.5 }));
+    this.createIdDecoder = config.createIdDecoder || (() => new OpticalIdDecoder());
+
+    // Optional MotionSensorFusion: gyro rotation between frames drives the pose
+    // filter's prediction (frames then need timestamps on the sensor clock)
+    this.motionFusion = config.motionFusion || null;
+
+    // Tracking search windows (pixels): gateSigma × predicted LED sigma, clamped
+    // between minSearchWindow and maxSearchWindow × the larger frame dimension
+    this.searchGateSigma = config.searchGateSigma || 3;
+    this.minSearchWindow = config.minSearchWindow || 8;
+    this.maxSearchWindow = config.maxSearchWindow || 0.05;
+    // Frame interval assumed when frames carry no timestamp (s)
+    this.defaultFrameInterval = config.defaultFrameInterval || 1 / 30;
+
+    // Data bars are located from the constellation's bar layout, when it has one
+    this.barLocator = config.barLocator || new DataBarLocator({ geometry: this.constellation.dataBars });
+
+    // Optional SiteMap: camera pose in the site frame from all mapped tags in view
+    this.siteMap = config.siteMap || null;
+    this.siteLocalizer = config.siteLocalizer || new SiteLocalizer(this.pnpSolver);
+
+    // Pose acceptance gate (RMS reprojection error, pixels)
+    this.maxReprojError = config.maxReprojError || 30;
+    // Tracking and solving go on with this many identified LEDs (e.g. one
+    // occluded); such poses are flagged degraded, their 1-sigma scaled up
+    this.minPartialPoints = config.minPartialPoints || 4;
+    this.degradedSigmaScale = config.degradedSigmaScale || 2;
+    // A partial or outlier-dropped pose has little redundancy left to expose a
+    // wrong fit, so it is held to the matcher's verification level instead
+    this.maxDegradedReprojError = config.maxDegradedReprojError || 8;
+
+    // While some tags are tracked, search for further ones every N frames
+    this.searchInterval = config.searchInterval || 5;
+    // Frames a lost track is remembered so a re-acquired tag keeps its identity
+    this.retainLostFrames = config.retainLostFrames || 30;
+
+    this.detectionState = 'scanning'; // scanning | candidate | locked | tracking
+    this.tracks = [];       // Active TagTracks, oldest first
+    this.lostTracks = [];   // Recently lost TagTracks
+    this.nextTrackId = 1;
+    this.frameIndex = 0;
+    this.lastDownscale = this.downscale;
+    this.lastCandidateCount = 0;
+    this.lastTimestamp = null;
+    this.frameDt = this.defaultFrameInterval;
+    this.frameRotation = null;
+    this.lastFrame = null;
+  }
+
+  /**
+   * Run one frame through the full pipeline.
+   * @param {Object} frame
+   * @param {HTMLVideoElement|VideoFrame|ImageBitmap|ImageData} frame.source - Frame passed
+   *   to BlueFilter.process()
+   * @param {number} frame.width - Full-resolution frame width (pixels)
+   * @param {number} frame.height - Full-resolution frame height (pixels)
+   * @param {Function} [frame.getPixelContext] - Returns an object with getImageData() over
+   *   the full-res frame, used for sub-pixel refinement (skipped if absent)
+   * @param {Function} [frame.toPixel] - Maps normalized (0-1) coords to PnP pixel coords
+   * @param {Function} [frame.fromPixel] - Inverse of toPixel
+   * @param {number} [frame.timestamp] - Capture time (ms), drives the pose filter's dt
+   * @returns {Object} { filterResult, peaks, blobs, candidates, tags, match, tracked, pose,
+   *   bars, barLevels, tagId, packet, site, state, stateChanges, error }. tags holds one
+   *   { trackId, tagId, match, tracked, points, pose, bars, barLevels, packet } per tag
+   *   handled this frame (points: the LED positions the pose was solved from); the
+   *   single-tag fields repeat the primary (longest tracked) tag's. site is the
+   *   SiteLocalizer result when a site map is set and a mapped tag has a pose
+   */
+  processFrame(frame) {
+    // Full-res pixels are read at most once per frame (refinement + ID sampling)
+    if (frame.getPixelContext) {
+      const getPixelContext = frame.getPixelContext;
+      let pixelContext;
+      frame = {
+        ...frame,
+        getPixelContext: () => (pixelContext !== undefined ? pixelContext : (pixelContext = getPixelContext()))
+      };
+    }
+
+    this.frameRotation = null;
+    if (typeof frame.timestamp === 'number') {
+      this.frameDt = this.lastTimestamp !== null
+        ? Math.max(0, frame.timestamp - this.lastTimestamp) / 1000
+        : this.defaultFrameInterval;
+      if (this.motionFusion && this.lastTimestamp !== null) {
+        this.frameRotation = this.motionFusion.rotationBetween(this.lastTimestamp, frame.timestamp);
+      }
+      this.lastTimestamp = frame.timestamp;
+    } else {
+      this.frameDt = this.defaultFrameInterval;
+    }
+    // Geometry only (no pixel buffers) for getPredictions() between frames
+    this.lastFrame = { width: frame.width, height: frame.height, toPixel: frame.toPixel, fromPixel: frame.fromPixel };
+
+    const result = {
+      filterResult: null,
+      peaks: [],
+      blobs: [],
+      candidates: [],
+      tags: [],
+      match: null,
+      tracked: null,
+      pose: null,
+      bars: null,
+      barLevels: null,
+      tagId: this.tracks.length > 0 ? this.tracks[0].tagId : null,
+      packet: null,
+      site: null,
+      state: this.detectionState,
+      stateChanges: [],
+      error: null
+    };
+
+    try {
+      result.filterResult = this.blueFilter.process(frame.source, this.downscale);
+    } catch (e) {
+      result.error = e;
+    }
+
+    const filterResult = result.filterResult;
+    if (!filterResult) return result;
+
+    // 記錄 downscale 值供自適應 NMS 使用
+    this.lastDownscale = filterResult.downscale;
+
+    // 峰值檢測（主要策略 — 能從連通藍色區域中提取 LED 局部峰值）
+    result.peaks = this.peakDetector.detect(
+      filterResult.mask,
+      filterResult.brightnessValues,
+      filterResult.blueDiffValues,
+      filterResult.width,
+      filterResult.height,
+      filterResult.downscale,
+      filterResult.bluePixels
+    );
+
+    // Blob 檢測（回退策略 — 適用於 LED 獨立分離的情況）
+    result.blobs = this.blobDetector.detect(
+      filterResult.mask,
+      filterResult.width,
+      filterResult.height,
+      filterResult.blueDiffValues,
+      filterResult.downscale,
+      filterResult.brightnessValues
+    );
+
+    // 合併兩種策略的候選
+    result.candidates = this.mergeCandidates(result.peaks, result.blobs);
+
+    this.detect(result.candidates, frame, result);
+    result.state = this.detectionState;
+
+    this.decodeId(frame, result);
+    this.localize(frame, result);
+
+    const primary = this.primaryTrack;
+    const tag = primary ? result.tags.find(t => t.trackId === primary.id) : null;
+    if (tag) {
+      result.tracked = tag.tracked;
+      result.pose = tag.pose;
+      result.bars = tag.bars;
+      result.barLevels = tag.barLevels;
+      result.packet = tag.packet;
+    }
+    result.tagId = primary ? primary.tagId : null;
+    return result;
+  }
+
+  /**
+   * The longest-tracked tag, or null when nothing is tracked.
+   * @returns {TagTrack|null}
+   */
+  get primaryTrack() {
+    return this.tracks.length > 0 ? this.tracks[0] : null;
+  }
+
+  /**
+   * LEDs a tag needs identified in a frame to stay tracked and get a pose.
+   * @returns {number}
+   */
+  get minTrackedPoints() {
+    return Math.min(this.minPartialPoints, this.constellation.size);
+  }
+
+  /**
+   * Feed each tag's data light bars to its ID decoder.
+   * Decoding only runs while a constellation is tracked (locate first, decode second):
+   * the bars are located by projecting the constellation's bar layout through the
+   * tag's pose, or read from manually set decoder regions. Other frames count as lost so a
+   * packet never spans a tracking gap.
+   */
+  decodeId(frame, result) {
+    for (const track of this.tracks) {
+      const tag = result.tags.find(t => t.trackId === track.id) || null;
+      const decoder = track.idDecoder;
+      const ctx = tag && tag.pose && frame.getPixelContext ? frame.getPixelContext() : null;
+
+      if (!ctx) {
+        if (decoder.frameCount > 0) decoder.pushLevels(null);
+      } else if (decoder.regions) {
+        tag.packet = decoder.sample(ctx, frame.width, frame.height);
+      } else {
+        const measured = this.barLocator.measure(tag.pose, this.pnpSolver, ctx, frame);
+        if (measured) {
+          tag.bars = measured.bars;
+          tag.barLevels = measured.levels;
+        }
+        tag.packet = decoder.pushLevels(measured ? measured.levels : null);
+      }
+
+      this.resolveIdentity(track);
+      if (tag) {
+        tag.trackId = track.id;
+        tag.tagId = track.tagId;
+      }
+    }
+  }
+
+  /**
+   * Camera pose in the site frame from this frame's mapped tags (identified by
+   * their decoded ID) into result.site.
+   */
+  localize(frame, result) {
+    if (!this.siteMap) return;
+    const { toPixel } = this.pixelMapping(frame);
+    const tags = result.tags
+      .filter(tag => tag.pose && tag.points && this.siteMap.has(tag.tagId))
+      .map(tag => ({
+        tagId: tag.tagId,
+        pose: tag.pose,
+        points: tag.points.map(p => ({ id: p.id, ...toPixel(p.x, p.y) }))
+      }));
+    result.site = tags.length > 0 ? this.siteLocalizer.solve(this.siteMap, tags, this.constellation.points3D) : null;
+  }
+
+  /**
+   * Keep a track's identity consistent with its decoded optical ID, which wins
+   * over track continuity: a track decoding the ID of a recently lost track takes
+   * over that track's id, and one whose ID changes (it was resumed onto the
+   * wrong tag) gets a fresh id.
+   */
+  resolveIdentity(track) {
+    const tagId = track.tagId;
+    if (tagId === null || tagId === track.knownTagId) return;
+
+    const lost = this.lostTracks.findIndex(t => t.tagId === tagId);
+    if (lost >= 0) {
+      track.id = this.lostTracks[lost].id;
+      this.lostTracks.splice(lost, 1);
+    } else if (track.knownTagId !== null) {
+      track.id = this.nextTrackId++;
+    }
+    track.knownTagId = tagId;
+  }
+
+  /**
+   * 合併峰值檢測和 blob 檢測的候選。
+   * 以峰值為主，補充距離所有峰值 > 2% 的 blob。
+   */
+  mergeCandidates(peaks, blobs) {
+    // 以峰值為主
+    const merged = [...peaks];
+
+    // 補充不與任何峰值重疊的 blob
+    const minSeparation = 0.02; // 2% 圖像尺寸
+    for (const blob of blobs) {
+      let tooClose = false;
+      for (const peak of merged) {
+        const dx = blob.x - peak.x;
+        const dy = blob.y - peak.y;
+        if (Math.sqrt(dx * dx + dy * dy) < minSeparation) {
+          tooClose = true;
+          break;
+        }
+      }
+      if (!tooClose) {
+        merged.push(blob);
+      }
+    }
+
+    // 按複合分數排序，取 top maxCandidates
+    // 注意：峰值候選用 realBrightness/brightness，blob 候選用 maxRealBrightness/maxBrightness
+    merged.sort((a, b) => {
+      const realBrightA = a.maxRealBrightness || a.realBrightness || 0;
+      const blueDiffA = a.maxBrightness || a.brightness || 0;
+      const sa = realBrightA * 0.5 + blueDiffA * 0.5;
+
+      const realBrightB = b.maxRealBrightness || b.realBrightness || 0;
+      const blueDiffB = b.maxBrightness || b.brightness || 0;
+      const sb = realBrightB * 0.5 + blueDiffB * 0.5;
+      return sb - sa;
+    });
+
+    return merged.slice(0, this.maxCandidates);
+  }
+
+  /**
+   * Detection/tracking state machine for one frame's candidates.
+   * Tracked tags claim their LEDs first; the remaining candidates are searched
+   * for new tags (every frame while nothing is tracked, else every
+   * searchInterval frames). Per-tag results are appended to result.tags and
+   * state transitions meant for the UI to result.stateChanges as { state, data }
+   * in the order they happen.
+   */
+  detect(blobs, frame, result) {
+    const candidateCount = blobs.length;
+    this.lastCandidateCount = candidateCount;
+    this.frameIndex++;
+    const emit = (state, data = {}) => result.stateChanges.push({ state, data });
+
+    this.lostTracks = this.lostTracks.filter(t => this.frameIndex - t.lostFrame <= this.retainLostFrames);
+
+    if (this.tracks.length > 0) {
+      // In tracking mode: match detected blobs to each tag's predicted LED positions
+      const used = new Set();
+      for (const track of [...this.tracks]) {
+        const tag = this.trackTag(track, blobs, used, frame);
+        if (tag) {
+          result.tags.push(tag);
+        } else if (!track.isTracking) {
+          this.loseTrack(track);
+        }
+      }
+
+      if (this.tracks.length === 0) {
+        // Tracking failed - fall back to full detection
+        this.detectionState = 'scanning';
+        emit('scanning');
+        return;
+      }
+
+      this.detectionState = 'tracking';
+      if (this.tracks.length < this.maxTags && this.frameIndex % this.searchInterval === 0) {
+        this.acquireTags(blobs.filter((_, i) => !used.has(i)), frame, result, emit);
+      }
+      return;
+    }
+
+    // Full detection mode
+    if (candidateCount < this.constellation.size) {
+      this.detectionState = 'scanning';
+      emit('scanning', { candidateCount });
+      return;
+    }
+
+    // Quick check for promising clusters
+    const quick = this.geometryMatcher.quickCheck(blobs);
+    if (quick.promising) {
+      emit('candidate', {
+        candidateCenter: quick.clusterCenter,
+        candidateCount
+      });
+    }
+
+    if (this.acquireTags(blobs, frame, result, emit) > 0) {
+      this.detectionState = 'tracking';
+    } else if (quick.promising) {
+      this.detectionState = 'candidate';
+    } else {
+      this.detectionState = 'scanning';
+      emit('scanning', { candidateCount });
+    }
+  }
+
+  /**
+   * Follow one tracked tag into this frame.
+   * @param {TagTrack} track
+   * @param {Array} blobs - This frame's candidates
+   * @param {Set<number>} used - Indices of blobs claimed by other tags (updated)
+   * @returns {Object|null} The tag's frame result, or null if it wasn't found
+   */
+  trackTag(track, blobs, used, frame) {
+    track.poseFilter.predict(this.frameDt, this.frameRotation);
+
+    const predictions = this.getPredictions(frame, track);
+    const claimed = new Set(used);
+    const matched = this.matchBlobsToPredictions(blobs, predictions, frame, claimed);
+
+    if (matched.length >= this.minTrackedPoints) {
+      // Sub-pixel refinement
+      const prior = track.poseFilter.getPose() || track.lastPose;
+      const refined = this.refineChecked(matched, frame, prior);
+      // Pose-predicted windows already gate the detections (and follow gyro
+      // rotations the per-LED motion model can't), so only gate on fallback
+      const gate = !predictions.some(p => p.window);
+      const trackResult = track.tracker.update(refined, this.frameDt, { gate });
+
+      if (trackResult.isTracking) {
+        claimed.forEach(i => used.add(i));
+        track.points = trackResult.tracked;
+        // Raw detections go to PnP (smoothing happens in pose space); LEDs the
+        // tracker gated out as outliers are replaced by its prediction, LEDs
+        // not found this frame are left out
+        const measurements = trackResult.tracked
+          .filter(p => p.detected || p.gated)
+          .map(p => (p.detected ? refined.find(r => r.id === p.id) : p));
+        const pose = this.solvePose(measurements, trackResult.stability, frame, track);
+        return this.tagResult(track, {
+          tracked: trackResult.tracked,
+          points: this.inlierPoints(measurements, pose),
+          pose
+        });
+      }
+    }
+
+    track.tracker.update([], this.frameDt);
+    return null;
+  }
+
+  /**
+   * Match new tags among the candidates not claimed by tracked ones.
+   * @returns {number} Number of tags acquired
+   */
+  acquireTags(blobs, frame, result, emit) {
+    if (blobs.length < this.constellation.size) return 0;
+
+    // Full geometry matching, away from the tags already tracked
+    const imageAspect = frame.width / frame.height;
+    const matches = this.geometryMatcher.matchAll(blobs, imageAspect, {
+      maxMatches: this.maxTags - this.tracks.length,
+      exclude: this.tracks.map(t => t.bounds(0.5)).filter(Boolean),
+      toPixel: this.pixelMapping(frame).toPixel
+    });
+    result.match = matches.length > 0 ? matches[0] : null;
+
+    for (const match of matches) {
+      // Sub-pixel refinement, held to the fit the matcher verified
+      const verified = !!match.pose;
+      const refined = this.refineChecked(match.points, frame, null, verified ? match.metrics.reprojError : undefined);
+
+      // Initialize the tag's tracker with the matched points
+      const track = this.startTrack(match);
+      const trackResult = track.tracker.update(refined);
+      track.points = trackResult.tracked;
+
+      emit('locked', { candidateCount: this.lastCandidateCount, trackId: track.id });
+
+      // Solve pose, within the matcher's verification limit
+      const pose = this.solvePose(refined, trackResult.stability, frame, track,
+        verified ? { maxReprojError: this.geometryMatcher.maxReprojError } : {});
+      result.tags.push(this.tagResult(track, {
+        match,
+        tracked: trackResult.tracked,
+        points: this.inlierPoints(refined, pose),
+        pose
+      }));
+
+      // Transition to tracking mode
+      emit('tracking', { candidateCount: this.lastCandidateCount, trackId: track.id });
+    }
+    return matches.length;
+  }
+
+  /**
+   * Track for a newly matched constellation. By track continuity, a recently
+   * lost tag near the match is resumed (keeping its id and decoded ID);
+   * otherwise a new track is started.
+   * @returns {TagTrack}
+   */
+  startTrack(match) {
+    const b = match.bounds;
+    const cx = (b.minX + b.maxX) / 2, cy = (b.minY + b.maxY) / 2;
+    const size = Math.max(b.maxX - b.minX, b.maxY - b.minY);
+
+    let best = -1;
+    let bestDist = Infinity;
+    this.lostTracks.forEach((t, i) => {
+      const lb = t.bounds();
+      if (!lb) return;
+      const dist = Math.hypot((lb.minX + lb.maxX) / 2 - cx, (lb.minY + lb.maxY) / 2 - cy);
+      const reach = Math.max(size, lb.maxX - lb.minX, lb.maxY - lb.minY);
+      if (dist < reach && dist < bestDist) {
+        bestDist = dist;
+        best = i;
+      }
+    });
+
+    let track;
+    if (best >= 0) {
+      track = this.lostTracks.splice(best, 1)[0];
+      track.restart();
+    } else {
+      track = new TagTrack(this.nextTrackId++, {
+        tracker: this.createTracker(),
+        poseFilter: this.createPoseFilter(),
+        idDecoder: this.createIdDecoder()
+      });
+    }
+    this.tracks.push(track);
+    return track;
+  }
+
+  /**
+   * Drop a track from tracking; it is remembered for retainLostFrames frames.
+   */
+  loseTrack(track) {
+    this.tracks.splice(this.tracks.indexOf(track), 1);
+    track.lostFrame = this.frameIndex;
+    this.lostTracks.push(track);
+  }
+
+  tagResult(track, fields) {
+    return {
+      trackId: track.id,
+      tagId: track.tagId,
+      match: null,
+      tracked: null,
+      points: null,
+      pose: null,
+      bars: null,
+      barLevels: null,
+      packet: null,
+      ...fields
+    };
+  }
+
+  /**
+   * Expected LED positions of a tag for the current frame (normalized).
+   * With a pose filter estimate the LEDs are reprojected from the predicted pose
+   * and carry a pixel search radius (window) sized from the pose covariance;
+   * otherwise the LEDTracker's last positions are used.
+   * @param {Object} [frame] - Frame with toPixel/fromPixel (default: last processed frame)
+   * @param {TagTrack} [track] - Tag to predict (default: the primary tag)
+   * @returns {Array<{id, x, y, window?}>}
+   */
+  getPredictions(frame = this.lastFrame, track = this.primaryTrack) {
+    if (!track) return [];
+    if (!track.poseFilter.initialized || !frame) return track.tracker.getPredictions(this.frameDt);
+
+    const { fromPixel } = this.pixelMapping(frame);
+    const maxWindow = this.maxSearchWindow * Math.max(frame.width, frame.height);
+    return track.poseFilter.projectPredictions(this.pnpSolver, this.constellation.points3D).map(p => {
+      const n = fromPixel(p.x, p.y);
+      const window = Math.min(maxWindow, Math.max(this.minSearchWindow, this.searchGateSigma * p.sigma));
+      return { id: p.id, x: n.x, y: n.y, window };
+    });
+  }
+
+  /**
+   * @returns {{ toPixel: Function, fromPixel: Function }} Normalized ↔ PnP pixel mapping
+   */
+  pixelMapping(frame) {
+    return {
+      toPixel: frame.toPixel || ((nx, ny) => ({ x: nx * frame.width, y: ny * frame.height })),
+      fromPixel: frame.fromPixel || ((x, y) => ({ x: x / frame.width, y: y / frame.height }))
+    };
+  }
+
+  /**
+   * For each predicted LED position, find the closest blob within its window.
+   * The tag's LEDs move together, so the image shift most predictions agree on
+   * is found first and blobs are paired with the shifted predictions, closest
+   * first: fast motion doesn't swap neighbouring LEDs, and a hidden LED's
+   * window can't take a blob that belongs to another LED.
+   * @param {Set<number>} [used] - Blob indices not to match (claimed ones are added)
+   */
+  matchBlobsToPredictions(blobs, predictions, frame, used = new Set()) {
+    const toPixel = frame ? this.pixelMapping(frame).toPixel : null;
+
+    // Predictions and blobs in the windows' units: pixels from the pose
+    // prediction, else normalized with a window of 5% of the image dimension
+    const preds = predictions.map(pred => {
+      const px = pred.window && toPixel ? toPixel(pred.x, pred.y) : null;
+      return px ? { x: px.x, y: px.y, window: pred.window, pixel: true } : { x: pred.x, y: pred.y, window: 0.05, pixel: false };
+    });
+    const blobPx = toPixel ? blobs.map(b => toPixel(b.x, b.y)) : null;
+    const position = (pred, i) => (pred.pixel ? blobPx[i] : blobs[i]);
+
+    // Blob-prediction pairs within the window
+    const pairs = [];
+    preds.forEach((pred, k) => {
+      for (let i = 0; i < blobs.length; i++) {
+        if (used.has(i)) continue;
+        const b = position(pred, i);
+        const dx = b.x - pred.x, dy = b.y - pred.y;
+        if (Math.hypot(dx, dy) < pred.window) pairs.push({ k, i, dx: dx / pred.window, dy: dy / pred.window });
+      }
+    });
+
+    // Common shift (in windows): the pair offset most other predictions confirm
+    // within a third of their window; no shift when nothing agrees
+    let shift = { dx: 0, dy: 0 };
+    let bestSupport = 0;
+    for (const candidate of pairs) {
+      const support = preds.filter((_, k) => pairs.some(q => q.k === k &&
+        Math.hypot(q.dx - candidate.dx, q.dy - candidate.dy) < 1 / 3)).length;
+      if (support > bestSupport || (support === bestSupport && support > 0 &&
+        Math.hypot(candidate.dx, candidate.dy) < Math.hypot(shift.dx, shift.dy))) {
+        bestSupport = support;
+        shift = candidate;
+      }
+    }
+
+    const ranked = pairs
+      .map(q => ({ ...q, cost: Math.hypot(q.dx - shift.dx, q.dy - shift.dy) }))
+      .sort((a, b) => a.cost - b.cost);
+    const assigned = new Map();
+    for (const { k, i } of ranked) {
+      if (assigned.has(k) || used.has(i)) continue;
+      assigned.set(k, i);
+      used.add(i);
+    }
+
+    // In prediction order
+    return predictions
+      .map((pred, k) => (assigned.has(k) ? { ...blobs[assigned.get(k)], id: pred.id } : null))
+      .filter(Boolean);
+  }
+
+  refinePositions(points, frame) {
+    const ctx = frame.getPixelContext ? frame.getPixelContext() : null;
+    if (!ctx) return points;
+
+    return this.blobDetector.refinePositions(points, ctx, frame.width, frame.height, 16);
+  }
+
+  /**
+   * Sub-pixel refinement that can't spoil a tag's fit: refinement may pull an
+   * LED onto nearby bloom, so unless the refined points fit the constellation
+   * within the solver's inlierFitError, the unrefined points are kept when they
+   * fit better.
+   * @param {Array<{id, x, y}>} points - Identified LED positions (normalized)
+   * @param {{ R, tvec }|null} prior - Expected pose, for partial constellations
+   * @param {number} [knownError] - The unrefined points' fit, if already solved (px)
+   * @returns {Array<{id, x, y}>}
+   */
+  refineChecked(points, frame, prior, knownError) {
+    const refined = this.refinePositions(points, frame);
+    if (refined === points) return points;
+
+    const refinedError = this.fitError(refined, frame, prior);
+    if (refinedError <= this.pnpSolver.inlierFitError) return refined;
+    const error = knownError !== undefined ? knownError : this.fitError(points, frame, prior);
+    return error < refinedError ? points : refined;
+  }
+
+  /**
+   * RMS reprojection error (px) of the constellation fitted to LED points with
+   * every point kept; Infinity if no pose fits.
+   */
+  fitError(points, frame, prior = null) {
+    const { objectPoints, imagePoints } = this.correspondences(points, frame);
+    if (objectPoints.length < 4) return Infinity;
+    const pose = this.pnpSolver.solve(objectPoints, imagePoints, { prior, rejectOutliers: false });
+    return pose.success ? pose.reprojError : Infinity;
+  }
+
+  /**
+   * Constellation points and PnP pixel positions of identified LEDs.
+   * @returns {{ objectPoints: Array<{id, x, y, z}>, imagePoints: Array<{x, y}> }}
+   */
+  correspondences(points, frame) {
+    const { toPixel } = this.pixelMapping(frame);
+    const objectPoints = [];
+    const imagePoints = [];
+    for (const p of points) {
+      const led = this.constellation.points3D.find(l => l.id === p.id);
+      if (!led) continue;
+      objectPoints.push({ id: led.id, x: led.x, y: led.y, z: led.z });
+      imagePoints.push(toPixel(p.x, p.y));
+    }
+    return { objectPoints, imagePoints };
+  }
+
+  /**
+   * Solve the 6DoF pose from LED positions and fuse it into a tag's pose filter.
+   * The returned pose's R/rvec/tvec/euler/distance are the filtered estimate; the
+   * raw PnP values are kept under `measured`, with the filter's innovation and NIS.
+   * reprojError / covariance / uncertainty describe the PnP measurement.
+   * With only part of the constellation (at least minTrackedPoints LEDs) the
+   * tag's predicted pose resolves what the missing LEDs would have, and the pose
+   * is marked degraded with its covariance scaled by degradedSigmaScale²; so is
+   * a pose the solver got by dropping an outlier LED (see PnPSolver.solve()).
+   * Degraded poses must reproject within maxDegradedReprojError.
+   * A measurement the pose filter's innovation gate rejects gives no pose.
+   * @param {TagTrack} [track] - Tag the points belong to (default: the primary tag)
+   * @param {Object} [options]
+   * @param {number} [options.maxReprojError] - Acceptance limit instead of maxReprojError
+   *   (e.g. the geometry matcher's for a newly matched tag)
+   * @returns {Object|null} Accepted pose (also stored as the track's lastPose), or null;
+   *   degraded tells partial poses, which also list their missingIds
+   */
+  solvePose(trackedPoints, stability, frame, track = this.primaryTrack, options = {}) {
+    if (trackedPoints.length < this.minTrackedPoints) return null;
+
+    const { objectPoints, imagePoints } = this.correspondences(trackedPoints, frame);
+    if (objectPoints.length < this.minTrackedPoints) return null;
+
+    const partial = objectPoints.length < this.constellation.size;
+    const prior = partial ? track.poseFilter.getPose() || track.lastPose : null;
+    let measured = this.pnpSolver.solve(objectPoints, imagePoints, { prior });
+    // An LED the solver rejected as an outlier counts as missing
+    const degraded = partial || !!measured.outlier;
+    if (measured.success && degraded) measured = this.degradePose(measured, trackedPoints);
+
+    let maxReprojError = options.maxReprojError || this.maxReprojError;
+    if (degraded) maxReprojError = Math.min(maxReprojError, this.maxDegradedReprojError);
+    if (measured.success && measured.reprojError < maxReprojError) {
+      const { innovation, nis, gated } = track.poseFilter.update(measured);
+      if (gated) return null;
+      const filtered = track.poseFilter.getPose();
+      const result = {
+        ...measured,
+        ...this.pnpSolver.describePose(filtered.R, filtered.tvec),
+        velocity: filtered.velocity,
+        angularVelocity: filtered.angularVelocity,
+        innovation,
+        nis,
+        degraded,
+        measured: this.pnpSolver.describePose(measured.R, measured.tvec)
+      };
+
+      track.lastPose = result;
+      track.poseStability = track.poseStability * 0.8 + stability * 0.2;
+
+      // 自適應峰值檢測器：根據主標籤距離調整 NMS 半徑
+      if (result.distance > 0 && track === this.primaryTrack) {
+        const distanceMM = result.distance * 1000;
+        const ledDiameterMM = this.constellation.ledDiameter;
+        // 計算 LED 在降採樣圖中的預期像素直徑（使用實際 downscale 值）
+        const ds = this.lastDownscale || 4;
+        const expectedPixels = (ledDiameterMM / distanceMM) * this.pnpSolver.fx / ds;
+        this.peakDetector.setExpectedLEDSize(expectedPixels);
+      }
+      return result;
+    }
+    return null;
+  }
+
+  /**
+   * The LED points a pose was solved from (without a rejected outlier).
+   */
+  inlierPoints(points, pose) {
+    return pose && pose.outlier ? points.filter(p => p.id !== pose.outlier.id) : points;
+  }
+
+  /**
+   * Inflate a partial-constellation PnP result's covariance and note the LEDs it lacks.
+   */
+  degradePose(measured, trackedPoints) {
+    const scale = this.degradedSigmaScale * this.degradedSigmaScale;
+    const seen = new Set(trackedPoints.map(p => p.id));
+    if (measured.outlier) seen.delete(measured.outlier.id);
+    const pose = { ...measured, missingIds: this.constellation.ids.filter(id => !seen.has(id)) };
+    if (measured.covariance) {
+      pose.covariance = measured.covariance.map(row => row.map(v => v * scale));
+      pose.uncertainty = this.pnpSolver.uncertainty(pose.covariance, measured.tvec,
+        measured.uncertainty.pixelNoise);
+    }
+    return pose;
+  }
+
+  /**
+   * Change module settings; only the given keys are touched.
+   * @param {Object} options
+   * @param {Object} [options.filter] - { threshold (0.02-0.5), adaptive (bool),
+   *   brightnessFloor, hue (degrees), hueRange (± degrees), satMin (0-1) }
+   * @param {Object} [options.matcher] - { sensitivity: 'low' | 'medium' | 'high' }
+   * @param {Object} [options.intrinsics] - { fx, fy, cx, cy, distortion? }, or
+   *   { width, height } to estimate them from the frame size
+   * @param {Constellation} [options.constellation] - See setConstellation()
+   * @param {SiteMap|null} [options.siteMap]
+   */
+  configure(options) {
+    const filter = options.filter;
+    if (filter) {
+      if (filter.threshold !== undefined) this.blueFilter.setThreshold(filter.threshold);
+      if (filter.adaptive !== undefined) this.blueFilter.adaptiveEnabled = !!filter.adaptive;
+      if (filter.brightnessFloor !== undefined) this.blueFilter.setBrightnessFloor(filter.brightnessFloor);
+      if (filter.hue !== undefined) this.blueFilter.setHueCenter(filter.hue / 360);
+      if (filter.hueRange !== undefined) this.blueFilter.setHueRange(filter.hueRange / 360);
+      if (filter.satMin !== undefined) this.blueFilter.setSatMin(filter.satMin);
+    }
+    if (options.matcher && options.matcher.sensitivity) {
+      this.geometryMatcher.setSensitivity(options.matcher.sensitivity);
+    }
+    const k = options.intrinsics;
+    if (k && k.fx > 0 && k.fy > 0 && k.cx > 0 && k.cy > 0) {
+      this.pnpSolver.setIntrinsics(k.fx, k.fy, k.cx, k.cy, k.distortion || {});
+    } else if (k && k.width > 0 && k.height > 0) {
+      this.pnpSolver.estimateIntrinsics(k.width, k.height);
+    }
+    if (options.constellation) this.setConstellation(options.constellation);
+    if (options.siteMap !== undefined) this.siteMap = options.siteMap;
+  }
+
+  /**
+   * Structured-clone friendly view of a processed frame for code outside the
+   * pipeline (UI rendering, the worker's reply): results plus every active
+   * tag's latest pose and predicted LEDs.
+   * @param {Object} result - processFrame() result
+   * @param {Array<TagTrack>} [previousTracks] - Tracks before the frame; those
+   *   no longer tracked are listed as lost
+   * @param {Object} [options]
+   * @param {boolean} [options.mask] - Include the colour mask (filter.mask,
+   *   filter.blueDiffValues)
+   * @returns {{ state, stateChanges, candidates, candidateCount, peakCount, blobCount,
+   *   topPeak, filter, threshold, tags, poses, lost, tracked, site, tagId, error }}
+   *   tags: { trackId, tagId, primary, pose, stability, points } per active track
+   *   (points: predicted LEDs, normalized); poses: { trackId, tagId, pose, points }
+   *   per tag solved this frame
+   */
+  frameSummary(result, previousTracks = [], options = {}) {
+    const primary = this.primaryTrack;
+    const filterResult = result.filterResult;
+    const topPeak = result.peaks[0];
+
+    return {
+      state: result.state,
+      stateChanges: result.stateChanges,
+      candidates: result.candidates.map(c => ({ x: c.x, y: c.y, area: c.area, peak: !!c.isPeak })),
+      candidateCount: this.lastCandidateCount,
+      peakCount: result.peaks.length,
+      blobCount: result.blobs.length,
+      topPeak: topPeak ? {
+        x: topPeak.x,
+        y: topPeak.y,
+        peakScore: topPeak.peakScore,
+        pointiness: topPeak.pointiness,
+        isotropy: topPeak.isotropy
+      } : null,
+      filter: filterResult ? {
+        width: filterResult.width,
+        height: filterResult.height,
+        ...(options.mask ? {
+          mask: filterResult.mask.slice(),
+          blueDiffValues: filterResult.blueDiffValues ? filterResult.blueDiffValues.slice() : null
+        } : {})
+      } : null,
+      threshold: this.blueFilter.threshold,
+      tags: this.tracks.map(track => ({
+        trackId: track.id,
+        tagId: track.tagId,
+        primary: track === primary,
+        pose: track.lastPose,
+        stability: track.poseStability,
+        points: this.getPredictions(undefined, track)
+      })),
+      poses: result.tags.filter(tag => tag.pose).map(tag => ({
+        trackId: tag.trackId,
+        tagId: tag.tagId,
+        pose: tag.pose,
+        points: tag.points
+      })),
+      lost: previousTracks
+        .filter(track => !this.tracks.includes(track))
+        .map(track => ({ trackId: track.id, tagId: track.tagId })),
+      tracked: result.tracked,
+      site: result.site,
+      tagId: result.tagId,
+      error: result.error ? String(result.error.message || result.error) : null
+    };
+  }
+
+  /**
+   * Switch to another LED layout. Tracks restart (their trackers follow the old
+   * ids) and the colour filter moves to the constellation's hue.
+   * @param {Constellation} constellation
+   */
+  setConstellation(constellation) {
+    this.constellation = constellation;
+    this.geometryMatcher.setConstellation(constellation);
+    this.barLocator.geometry = constellation.dataBars;
+    if (this.blueFilter.setHueCenter) {
+      this.blueFilter.setHueCenter(constellation.color.hue / 360);
+      if (constellation.color.hueRange !== null) this.blueFilter.setHueRange(constellation.color.hueRange / 360);
+    }
+    this.reset();
+  }
+
+  /**
+   * Reset tracking and pose state (keeps module configuration).
+   */
+  reset() {
+    this.tracks = [];
+    this.lostTracks = [];
+    this.nextTrackId = 1;
+    this.frameIndex = 0;
+    this.lastTimestamp = null;
+    this.lastFrame = null;
+    this.detectionState = 'scanning';
+  }
+}
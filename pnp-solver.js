@@ -1,7 +1,11 @@
 // ===================================================================
 // Pure JS PnP Solver
 // Perspective-n-Point pose estimation without OpenCV
-// DLT initial estimate + Levenberg-Marquardt refinement
+// Initial estimate: IPPE on the coplanar points (4 LEDs + off-plane LED5
+// to pick between the two planar hypotheses) or DLT for general 3D sets,
+// then Levenberg-Marquardt refinement under a Huber/Tukey M-estimator, with
+// a single outlying point dropped when the rest fit well and unambiguously
+// Optional Brown-Conrady lens distortion (k1, k2, k3 radial; p1, p2 tangential)
 // ===================================================================
 
 class PnPSolver {
@@ -11,6 +15,23 @@ class PnPSolver {
     this.fy = 1000;
     this.cx = 640;
     this.cy = 360;
+    // Brown-Conrady coefficients (OpenCV convention); all zero = pinhole
+    this.distortion = { k1: 0, k2: 0, p1: 0, p2: 0, k3: 0 };
+    // Lower bound on the pixel noise used for the pose covariance: with 5 points
+    // the residual-based estimate has only 4 degrees of freedom and can be ~0
+    this.minPixelNoise = 0.3;
+    // M-estimator on each point's reprojection error inside LM: 'huber' (linear
+    // beyond robustScale px), 'tukey' (ignores points beyond robustScale px) or
+    // null for plain least squares
+    this.robustLoss = 'huber';
+    this.robustScale = 2;
+    // solve() drops a single point that misses the others' pose by more than
+    // outlierThreshold px when those fit within inlierFitError px RMS
+    this.outlierThreshold = 4;
+    this.inlierFitError = 2;
+    // The two IPPE hypotheses count as tied when their reprojection errors are
+    // within this many px; only then does a prior pose pick between them
+    this.priorTieMargin = 0.5;
   }
 
   /**
@@ -19,12 +40,31 @@ class PnPSolver {
    * @param {number} fy - Focal length Y (pixels)
    * @param {number} cx - Principal point X
    * @param {number} cy - Principal point Y
+   * @param {Object} [distortion] - { k1, k2, k3, p1, p2 }; missing terms are 0,
+   *   omitting the argument selects a pure pinhole camera
    */
-  setIntrinsics(fx, fy, cx, cy) {
+  setIntrinsics(fx, fy, cx, cy, distortion = null) {
     this.fx = fx;
     this.fy = fy;
     this.cx = cx;
     this.cy = cy;
+
+    const d = distortion || {};
+    this.distortion = {
+      k1: d.k1 || 0,
+      k2: d.k2 || 0,
+      p1: d.p1 || 0,
+      p2: d.p2 || 0,
+      k3: d.k3 || 0
+    };
+  }
+
+  /**
+   * @returns {boolean} True if any distortion coefficient is non-zero
+   */
+  hasDistortion() {
+    const d = this.distortion;
+    return d.k1 !== 0 || d.k2 !== 0 || d.k3 !== 0 || d.p1 !== 0 || d.p2 !== 0;
   }
 
   /**
@@ -38,46 +78,113 @@ class PnPSolver {
     this.fy = f;
     this.cx = width / 2;
     this.cy = height / 2;
+    this.distortion = { k1: 0, k2: 0, p1: 0, p2: 0, k3: 0 };
   }
 
   /**
    * Solve PnP: find rotation and translation from 3D-2D point correspondences.
+   * Partial constellations work too: 4+ coplanar points go through IPPE (when
+   * the two planar hypotheses reproject within priorTieMargin of each other,
+   * the one nearer options.prior wins), and fewer than 6 points in general
+   * position are refined from options.prior.
    * @param {Array<{x,y,z}>} objectPoints - 3D world coordinates (mm)
    * @param {Array<{x,y}>} imagePoints - 2D image coordinates (pixels)
-   * @returns {{ success, rvec, tvec, euler, distance, reprojError }}
+   * With 5+ points, one point that doesn't fit the others (see outlierThreshold)
+   * is dropped and the pose solved from the rest, unless dropping another point
+   * would fit about as well (see _dropOutlier()).
+   * @param {Object} [options]
+   * @param {{ R, tvec }} [options.prior] - Expected pose (e.g. a tracker's prediction)
+   * @param {boolean} [options.rejectOutliers] - Allow dropping an outlier (default true)
+   * @returns {{ success, rvec, tvec, euler, distance, reprojError, residuals, outlier,
+   *   method, ambiguity, covariance, uncertainty }}
+   *   method: 'ippe' | 'dlt' | 'prior'. ambiguity (IPPE only): { chosen, errors, margin,
+   *   resolvedBy } — index of the winning planar hypothesis, each hypothesis' RMS
+   *   reprojection error (px, all points, before refinement), the loser-minus-winner
+   *   error gap and what picked the winner ('reprojection' | 'prior').
+   *   residuals: per input point { id, dx, dy, error, weight } — projected minus observed
+   *   (px), its length and the final M-estimator weight (0 for a dropped outlier).
+   *   outlier: { index, id, error } of the dropped point (error: its miss in px), or
+   *   null; reprojError and covariance then cover the remaining points.
+   *   covariance: 6x6 over [wx, wy, wz (rad, small rotation applied on the camera side:
+   *   R' = exp([w]x) R), tx, ty, tz (mm)], or null if the pose is degenerate.
+   *   uncertainty: 1-sigma { distance (m), angle (deg, total rotation), position [x, y, z] (mm),
+   *   pixelNoise (px, the noise level the covariance was scaled with) }
    */
-  solve(objectPoints, imagePoints) {
+  solve(objectPoints, imagePoints, options = {}) {
     if (objectPoints.length < 4 || objectPoints.length !== imagePoints.length) {
       return { success: false, error: 'Need at least 4 point correspondences' };
     }
 
-    const n = objectPoints.length;
-
-    // Step 1: Normalize image points
+    // Step 1: Normalize image points (still distorted); LM compares against these
     const normImgPts = imagePoints.map(p => ({
       x: (p.x - this.cx) / this.fx,
       y: (p.y - this.cy) / this.fy
     }));
 
-    // Step 2: DLT initial estimate
-    const initial = this._dltEstimate(objectPoints, normImgPts);
+    // Step 2: Initial estimate on undistorted points (IPPE / DLT are pinhole-only).
+    // The 12-parameter DLT needs 6+ points in general position; a plane with at
+    // most a couple of points off it (the 4+1 LightTag) goes through IPPE instead,
+    // and smaller non-planar sets (3 + LED5) start from the prior.
+    const prior = options.prior || null;
+    const idealPts = this.hasDistortion()
+      ? normImgPts.map(p => this._undistortNormalized(p.x, p.y))
+      : normImgPts;
+    const planar = objectPoints.filter(p => Math.abs(p.z) < 1e-9).length;
+    let initial;
+    let method;
+    if (planar >= 4 && (objectPoints.length < 6 || objectPoints.length - planar <= 2)) {
+      initial = this._ippeEstimate(objectPoints, idealPts, imagePoints, prior);
+      method = 'ippe';
+    } else if (objectPoints.length < 6) {
+      if (!prior) return { success: false, error: 'Need a prior pose for fewer than 6 non-coplanar points' };
+      initial = { R: prior.R, t: prior.tvec };
+      method = 'prior';
+    } else {
+      initial = this._dltEstimate(objectPoints, idealPts);
+      method = 'dlt';
+    }
     if (!initial) {
-      return { success: false, error: 'DLT failed' };
+      return { success: false, error: method === 'ippe' ? 'IPPE failed' : 'DLT failed' };
     }
 
-    // Step 3: Levenberg-Marquardt refinement
-    const refined = this._levenbergMarquardt(objectPoints, normImgPts, initial.R, initial.t);
+    // Steps 3-6: LM refinement, reprojection error, pose covariance
+    const result = {
+      ...this.refine(objectPoints, imagePoints, initial.R, initial.t),
+      outlier: null,
+      method,
+      ambiguity: initial.ambiguity || null
+    };
+    if (options.rejectOutliers === false || objectPoints.length < 5) return result;
+    return this._dropOutlier(objectPoints, imagePoints, result, initial.alternative) || result;
+  }
+
+  /**
+   * Refine a pose from an initial estimate (e.g. a known prior or a pose
+   * assembled from other solves) over any number of correspondences.
+   * @param {Array<{x,y,z}>} objectPoints - 3D coordinates (mm)
+   * @param {Array<{x,y}>} imagePoints - 2D image coordinates (pixels)
+   * @param {Array<Array<number>>} R0 - Initial rotation (object → camera)
+   * @param {Array<number>} t0 - Initial translation (mm)
+   * @returns {{ success, R, rvec, tvec, euler, distance, reprojError, residuals,
+   *   covariance, uncertainty }} (see solve())
+   */
+  refine(objectPoints, imagePoints, R0, t0) {
+    const normImgPts = imagePoints.map(p => ({
+      x: (p.x - this.cx) / this.fx,
+      y: (p.y - this.cy) / this.fy
+    }));
+
+    // Step 3: Levenberg-Marquardt refinement (distortion inside the residuals)
+    const refined = this._levenbergMarquardt(objectPoints, normImgPts, R0, t0);
 
     // Step 4: Compute reprojection error
     const reprojError = this._computeReprojError(objectPoints, imagePoints, refined.R, refined.t);
 
     // Step 5: Convert rotation matrix to Euler angles and Rodrigues vector
-    const euler = this._rotMatToEuler(refined.R);
-    const rvec = this._rotMatToRodrigues(refined.R);
-    const tvec = refined.t;
+    const { rvec, tvec, euler, distance } = this.describePose(refined.R, refined.t);
 
-    // Distance in meters
-    const distance = Math.sqrt(tvec[0] * tvec[0] + tvec[1] * tvec[1] + tvec[2] * tvec[2]) / 1000;
+    // Step 6: Pose covariance and 1-sigma uncertainties
+    const cov = this._poseCovariance(objectPoints, normImgPts, refined.R, tvec);
 
     return {
       success: true,
@@ -86,10 +193,129 @@ class PnPSolver {
       euler, // { roll, pitch, yaw } in degrees
       distance,
       reprojError,
-      R: refined.R
+      residuals: this._pointResiduals(objectPoints, imagePoints, refined.R, tvec),
+      R: refined.R,
+      covariance: cov ? cov.covariance : null,
+      uncertainty: cov ? this.uncertainty(cov.covariance, tvec, cov.pixelNoise) : null
+    };
+  }
+
+  /**
+   * Derived representations of a pose.
+   * @param {Array<Array<number>>} R - 3x3 rotation matrix
+   * @param {Array<number>} tvec - Translation (mm)
+   * @returns {{ R, rvec, tvec, euler, distance }} euler in degrees, distance in meters
+   */
+  describePose(R, tvec) {
+    return {
+      R,
+      rvec: this._rotMatToRodrigues(R),
+      tvec,
+      euler: this._rotMatToEuler(R),
+      distance: Math.sqrt(tvec[0] * tvec[0] + tvec[1] * tvec[1] + tvec[2] * tvec[2]) / 1000
+    };
+  }
+
+  /**
+   * 1-sigma summaries of a pose covariance, e.g. one rescaled by the caller.
+   * @param {Array<Array<number>>} C - 6x6 pose covariance (see solve())
+   * @param {Array<number>} t - Translation (mm)
+   * @param {number} pixelNoise - Noise level the covariance was scaled with (px)
+   * @returns {{ distance, angle, position, pixelNoise }} see solve()
+   */
+  uncertainty(C, t, pixelNoise) {
+    // Distance = |t|: propagate through the unit line-of-sight vector
+    const norm = Math.sqrt(t[0] * t[0] + t[1] * t[1] + t[2] * t[2]) || 1;
+    const g = [t[0] / norm, t[1] / norm, t[2] / norm];
+    let varDist = 0;
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) varDist += g[i] * C[3 + i][3 + j] * g[j];
+    }
+
+    return {
+      distance: Math.sqrt(Math.max(0, varDist)) / 1000,
+      angle: Math.sqrt(Math.max(0, C[0][0] + C[1][1] + C[2][2])) * 180 / Math.PI,
+      position: [0, 1, 2].map(i => Math.sqrt(Math.max(0, C[3 + i][3 + i]))),
+      pixelNoise
+    };
+  }
+
+  /**
+   * Project 3D object points into the image with a pose and the current intrinsics
+   * (including lens distortion).
+   * @param {Array<{x,y,z}>} objectPoints - Object coordinates (mm)
+   * @param {Array<Array<number>>} R - 3x3 rotation matrix
+   * @param {Array<number>} t - Translation (mm)
+   * @returns {Array<{x, y, z}|null>} Pixel coordinates plus camera depth (null if behind camera)
+   */
+  projectPoints(objectPoints, R, t) {
+    return objectPoints.map(p => {
+      const px = R[0][0] * p.x + R[0][1] * p.y + R[0][2] * p.z + t[0];
+      const py = R[1][0] * p.x + R[1][1] * p.y + R[1][2] * p.z + t[1];
+      const pz = R[2][0] * p.x + R[2][1] * p.y + R[2][2] * p.z + t[2];
+      if (pz <= 1e-6) return null;
+      const d = this._distortNormalized(px / pz, py / pz);
+      return {
+        x: this.fx * d.x + this.cx,
+        y: this.fy * d.y + this.cy,
+        z: pz
+      };
+    });
+  }
+
+  /**
+   * Remove lens distortion from a pixel coordinate.
+   * @param {number} x - Distorted pixel X
+   * @param {number} y - Distorted pixel Y
+   * @returns {{x, y}} Pixel coordinate an ideal pinhole camera would have seen
+   */
+  undistortPoint(x, y) {
+    if (!this.hasDistortion()) return { x, y };
+    const u = this._undistortNormalized((x - this.cx) / this.fx, (y - this.cy) / this.fy);
+    return { x: this.fx * u.x + this.cx, y: this.fy * u.y + this.cy };
+  }
+
+  // --- Lens distortion ---
+
+  /**
+   * Apply Brown-Conrady distortion to ideal normalized coordinates.
+   */
+  _distortNormalized(x, y) {
+    const { k1, k2, k3, p1, p2 } = this.distortion;
+    if (k1 === 0 && k2 === 0 && k3 === 0 && p1 === 0 && p2 === 0) return { x, y };
+
+    const r2 = x * x + y * y;
+    const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+    return {
+      x: x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+      y: y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y
     };
   }
 
+  /**
+   * Invert _distortNormalized() by fixed-point iteration (as OpenCV undistortPoints).
+   */
+  _undistortNormalized(xd, yd) {
+    const { k1, k2, k3, p1, p2 } = this.distortion;
+    let x = xd, y = yd;
+
+    for (let iter = 0; iter < 20; iter++) {
+      const r2 = x * x + y * y;
+      const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+      if (radial <= 0) break; // outside the model's valid range
+      const dx = 2 * p1 * x * y + p2 * (r2 + 2 * x * x);
+      const dy = p1 * (r2 + 2 * y * y) + 2 * p2 * x * y;
+      const nx = (xd - dx) / radial;
+      const ny = (yd - dy) / radial;
+      const change = Math.abs(nx - x) + Math.abs(ny - y);
+      x = nx;
+      y = ny;
+      if (change < 1e-12) break;
+    }
+
+    return { x, y };
+  }
+
   // --- DLT (Direct Linear Transform) ---
 
   _dltEstimate(objPts, normImgPts) {
@@ -147,6 +373,234 @@ class PnPSolver {
     return { R, t: t_scaled };
   }
 
+  // --- IPPE (Infinitesimal Plane-based Pose Estimation) ---
+
+  /**
+   * Planar pose hypotheses from the z = 0 points (Collins & Bartoli 2014),
+   * disambiguated by the reprojection error of all points — the off-plane
+   * points (LED5) separate the two mirror-like planar solutions. Only when the
+   * errors are within priorTieMargin is the rotation nearer the prior (if
+   * given) chosen instead.
+   * @param {Array<{x,y,z}>} objPts
+   * @param {Array<{x,y}>} normImgPts - Undistorted normalized image points
+   * @param {Array<{x,y}>} imagePoints - Pixel points (for the error report)
+   * @param {{ R, tvec }|null} [prior]
+   * @returns {{ R, t, ambiguity: { chosen, errors, margin, resolvedBy }, alternative }|null}
+   *   alternative: { R, t } of the losing hypothesis, or null
+   */
+  _ippeEstimate(objPts, normImgPts, imagePoints, prior = null) {
+    const planarIdx = [];
+    objPts.forEach((p, i) => {
+      if (Math.abs(p.z) < 1e-9) planarIdx.push(i);
+    });
+
+    // Center the plane points: IPPE takes the homography Jacobian at the model origin
+    let mx = 0, my = 0;
+    for (const i of planarIdx) {
+      mx += objPts[i].x;
+      my += objPts[i].y;
+    }
+    mx /= planarIdx.length;
+    my /= planarIdx.length;
+    const model = planarIdx.map(i => ({ x: objPts[i].x - mx, y: objPts[i].y - my }));
+    const img = planarIdx.map(i => normImgPts[i]);
+
+    const H = this._homography(model, img);
+    if (!H) return null;
+
+    // Image of the model origin and the homography's Jacobian there
+    const p = H[0][2], q = H[1][2];
+    const J = [
+      [H[0][0] - H[2][0] * p, H[0][1] - H[2][1] * p],
+      [H[1][0] - H[2][0] * q, H[1][1] - H[2][1] * q]
+    ];
+
+    const rotations = this._ippeRotations(J, p, q);
+    if (!rotations) return null;
+
+    const hypotheses = [];
+    for (const Rc of rotations) {
+      const tc = this._planarTranslation(model, img, Rc);
+      if (!tc) continue;
+      // Undo the centering: X_cam = R (X - m) + tc
+      const t = [
+        tc[0] - (Rc[0][0] * mx + Rc[0][1] * my),
+        tc[1] - (Rc[1][0] * mx + Rc[1][1] * my),
+        tc[2] - (Rc[2][0] * mx + Rc[2][1] * my)
+      ];
+      hypotheses.push({ R: Rc, t, error: this._computeReprojError(objPts, imagePoints, Rc, t) });
+    }
+    if (hypotheses.length === 0) return null;
+
+    let chosen = 0;
+    let resolvedBy = 'reprojection';
+    const errors = hypotheses.map(h => h.error);
+    const margin = errors.length > 1 ? Math.abs(errors[1] - errors[0]) : Infinity;
+    if (hypotheses.length > 1) {
+      if (prior && margin <= this.priorTieMargin) {
+        const angles = hypotheses.map(h => this._rotationAngle(h.R, prior.R));
+        if (angles[1] < angles[0]) chosen = 1;
+        resolvedBy = 'prior';
+      } else if (errors[1] < errors[0]) {
+        chosen = 1;
+      }
+    }
+
+    return {
+      R: hypotheses[chosen].R,
+      t: hypotheses[chosen].t,
+      ambiguity: {
+        chosen,
+        errors,
+        margin,
+        resolvedBy
+      },
+      alternative: hypotheses.length > 1 ? hypotheses[1 - chosen] : null
+    };
+  }
+
+  /**
+   * The two IPPE rotations for a homography Jacobian J at the image point (p, q).
+   * @returns {Array<Array<Array<number>>>|null} [R1, R2]
+   */
+  _ippeRotations(J, p, q) {
+    // Rv: rotation taking the optical axis onto the ray through (p, q)
+    const norm = Math.sqrt(p * p + q * q + 1);
+    const v = [p / norm, q / norm, 1 / norm];
+    const s = Math.sqrt(v[0] * v[0] + v[1] * v[1]);
+    let Rv;
+    if (s < 1e-12) {
+      Rv = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    } else {
+      // Axis z × v, angle acos(v_z)
+      const angle = Math.acos(Math.max(-1, Math.min(1, v[2])));
+      Rv = this._rodrigues([-v[1] / s * angle, v[0] / s * angle, 0]);
+    }
+
+    // B = [I2 | -(p, q)] * Rv[:, 0:2]
+    const B = [
+      [Rv[0][0] - p * Rv[2][0], Rv[0][1] - p * Rv[2][1]],
+      [Rv[1][0] - q * Rv[2][0], Rv[1][1] - q * Rv[2][1]]
+    ];
+    const det = B[0][0] * B[1][1] - B[0][1] * B[1][0];
+    if (Math.abs(det) < 1e-15) return null;
+    const Binv = [
+      [B[1][1] / det, -B[0][1] / det],
+      [-B[1][0] / det, B[0][0] / det]
+    ];
+
+    // A = B^-1 J; gamma = its largest singular value
+    const A = [
+      [Binv[0][0] * J[0][0] + Binv[0][1] * J[1][0], Binv[0][0] * J[0][1] + Binv[0][1] * J[1][1]],
+      [Binv[1][0] * J[0][0] + Binv[1][1] * J[1][0], Binv[1][0] * J[0][1] + Binv[1][1] * J[1][1]]
+    ];
+    const ata00 = A[0][0] * A[0][0] + A[1][0] * A[1][0];
+    const ata01 = A[0][0] * A[0][1] + A[1][0] * A[1][1];
+    const ata11 = A[0][1] * A[0][1] + A[1][1] * A[1][1];
+    const gamma = Math.sqrt(0.5 * (ata00 + ata11 +
+      Math.sqrt((ata00 - ata11) * (ata00 - ata11) + 4 * ata01 * ata01)));
+    if (!(gamma > 0)) return null;
+
+    // Top-left 2x2 of the rotation; complete the first two columns to unit length
+    const r00 = A[0][0] / gamma, r01 = A[0][1] / gamma;
+    const r10 = A[1][0] / gamma, r11 = A[1][1] / gamma;
+    const b0 = Math.sqrt(Math.max(0, 1 - r00 * r00 - r10 * r10));
+    let b1 = Math.sqrt(Math.max(0, 1 - r01 * r01 - r11 * r11));
+    if (-r00 * r01 - r10 * r11 < 0) b1 = -b1;
+
+    const build = sign => {
+      const c0 = [r00, r10, sign * b0];
+      const c1 = [r01, r11, sign * b1];
+      const c2 = [
+        c0[1] * c1[2] - c0[2] * c1[1],
+        c0[2] * c1[0] - c0[0] * c1[2],
+        c0[0] * c1[1] - c0[1] * c1[0]
+      ];
+      const Rt = [
+        [c0[0], c1[0], c2[0]],
+        [c0[1], c1[1], c2[1]],
+        [c0[2], c1[2], c2[2]]
+      ];
+      return this._mat3x3Mul(Rv, Rt);
+    };
+
+    return [build(1), build(-1)];
+  }
+
+  /**
+   * Least-squares translation for a known rotation from z = 0 model points.
+   * Each point gives  t_x - u t_z = u (r3 · X) - r1 · X  (and the same for v).
+   */
+  _planarTranslation(model, img, R) {
+    const AtA = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const Atb = [0, 0, 0];
+    const add = (row, b) => {
+      for (let i = 0; i < 3; i++) {
+        Atb[i] += row[i] * b;
+        for (let j = 0; j < 3; j++) AtA[i][j] += row[i] * row[j];
+      }
+    };
+
+    for (let i = 0; i < model.length; i++) {
+      const X = model[i].x, Y = model[i].y;
+      const u = img[i].x, v = img[i].y;
+      const r1 = R[0][0] * X + R[0][1] * Y;
+      const r2 = R[1][0] * X + R[1][1] * Y;
+      const r3 = R[2][0] * X + R[2][1] * Y;
+      add([1, 0, -u], u * r3 - r1);
+      add([0, 1, -v], v * r3 - r2);
+    }
+
+    const t = this._solveLinear(AtA, Atb);
+    if (!t || !(t[2] > 0)) return null;
+    return t;
+  }
+
+  /**
+   * Normalized DLT homography from plane points (x, y) to image points.
+   * @returns {Array<Array<number>>|null} 3x3 with H[2][2] = 1
+   */
+  _homography(model, img) {
+    const n = model.length;
+
+    // Hartley normalization of both sets
+    const normalizer = pts => {
+      let cx = 0, cy = 0;
+      for (const p of pts) {
+        cx += p.x;
+        cy += p.y;
+      }
+      cx /= n;
+      cy /= n;
+      let d = 0;
+      for (const p of pts) d += Math.hypot(p.x - cx, p.y - cy);
+      const s = d > 0 ? Math.SQRT2 * n / d : 1;
+      return { s, cx, cy };
+    };
+    const nm = normalizer(model);
+    const ni = normalizer(img);
+
+    const A = [];
+    for (let i = 0; i < n; i++) {
+      const X = nm.s * (model[i].x - nm.cx), Y = nm.s * (model[i].y - nm.cy);
+      const u = ni.s * (img[i].x - ni.cx), v = ni.s * (img[i].y - ni.cy);
+      A.push([X, Y, 1, 0, 0, 0, -u * X, -u * Y, -u]);
+      A.push([0, 0, 0, X, Y, 1, -v * X, -v * Y, -v]);
+    }
+
+    const { V } = this._svd(A);
+    const h = V.map(row => row[row.length - 1]);
+    const Hn = [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], h[8]]];
+
+    // H = Ti^-1 * Hn * Tm
+    const Tm = [[nm.s, 0, -nm.s * nm.cx], [0, nm.s, -nm.s * nm.cy], [0, 0, 1]];
+    const TiInv = [[1 / ni.s, 0, ni.cx], [0, 1 / ni.s, ni.cy], [0, 0, 1]];
+    const H = this._mat3x3Mul(this._mat3x3Mul(TiInv, Hn), Tm);
+    if (Math.abs(H[2][2]) < 1e-12) return null;
+    const k = 1 / H[2][2];
+    return H.map(row => row.map(x => x * k));
+  }
+
   // --- Levenberg-Marquardt Refinement ---
 
   _levenbergMarquardt(objPts, normImgPts, R0, t0, maxIter = 30) {
@@ -159,9 +613,14 @@ class PnPSolver {
       const R = this._rodrigues(rvec);
       const { residuals, J } = this._computeJacobian(objPts, normImgPts, R, tvec, rvec);
 
-      // Normal equations: (J^T J + lambda * diag(J^T J)) * delta = J^T * residuals
-      const JtJ = this._matMulTranspose(J);
-      const Jtr = this._matVecMulTranspose(J, residuals);
+      // Iteratively reweighted: each point's rows scaled by √w of its current error
+      const weights = this._robustWeights(residuals);
+      const Jw = J.map((row, i) => row.map(v => v * Math.sqrt(weights[i >> 1])));
+      const rw = residuals.map((r, i) => r * Math.sqrt(weights[i >> 1]));
+
+      // Normal equations: (J^T W J + lambda * diag(J^T W J)) * delta = -J^T W * residuals
+      const JtJ = this._matMulTranspose(Jw);
+      const Jtr = this._matVecMulTranspose(Jw, rw);
 
       // Add damping
       for (let i = 0; i < 6; i++) {
@@ -169,24 +628,24 @@ class PnPSolver {
       }
 
       // Solve 6x6 linear system
-      const delta = this._solve6x6(JtJ, Jtr);
+      const delta = this._solveLinear(JtJ, Jtr);
       if (!delta) break;
 
-      // Update parameters
-      const newRvec = [rvec[0] + delta[0], rvec[1] + delta[1], rvec[2] + delta[2]];
-      const newTvec = [tvec[0] + delta[3], tvec[1] + delta[4], tvec[2] + delta[5]];
+      // Update parameters (J is d(residual)/d(param), so step against J^T r)
+      const newRvec = [rvec[0] - delta[0], rvec[1] - delta[1], rvec[2] - delta[2]];
+      const newTvec = [tvec[0] - delta[3], tvec[1] - delta[4], tvec[2] - delta[5]];
 
       // Compute new error
       const newR = this._rodrigues(newRvec);
       const newResiduals = this._computeResiduals(objPts, normImgPts, newR, newTvec);
-      const oldErr = residuals.reduce((s, r) => s + r * r, 0);
-      const newErr = newResiduals.reduce((s, r) => s + r * r, 0);
+      const oldErr = this._robustCost(residuals);
+      const newErr = this._robustCost(newResiduals);
 
       if (newErr < oldErr) {
         rvec = newRvec;
         tvec = newTvec;
         lambda *= 0.5;
-        if (Math.abs(oldErr - newErr) < 1e-10) break;
+        if (Math.abs(oldErr - newErr) < 1e-4) break;
       } else {
         lambda *= 2;
       }
@@ -195,6 +654,200 @@ class PnPSolver {
     return { R: this._rodrigues(rvec), t: tvec };
   }
 
+  // --- Uncertainty ---
+
+  /**
+   * Pose covariance sigma^2 (J^T J)^-1 at the solution, with J in pixels over a
+   * local rotation perturbation + translation. sigma is the measured residual
+   * noise (RMS over the 2n - 6 degrees of freedom), floored at minPixelNoise.
+   * @returns {{ covariance, pixelNoise }|null}
+   */
+  _poseCovariance(objPts, normImgPts, R, t) {
+    const n = objPts.length;
+    const eps = 1e-6;
+    const residuals = this._computeResiduals(objPts, normImgPts, R, t);
+    const scale = i => (i % 2 === 0 ? this.fx : this.fy);
+
+    const J = [];
+    for (let i = 0; i < 2 * n; i++) J.push(new Array(6).fill(0));
+    for (let j = 0; j < 6; j++) {
+      let Rp = R;
+      const tp = [...t];
+      if (j < 3) {
+        const w = [0, 0, 0];
+        w[j] = eps;
+        Rp = this._mat3x3Mul(this._rodrigues(w), R);
+      } else {
+        tp[j - 3] += eps;
+      }
+      const rp = this._computeResiduals(objPts, normImgPts, Rp, tp);
+      for (let i = 0; i < 2 * n; i++) {
+        J[i][j] = scale(i) * (rp[i] - residuals[i]) / eps;
+      }
+    }
+
+    let ssr = 0;
+    for (let i = 0; i < 2 * n; i++) {
+      const r = scale(i) * residuals[i];
+      ssr += r * r;
+    }
+    const dof = 2 * n - 6;
+    const measured = dof > 0 ? Math.sqrt(ssr / dof) : 0;
+    const sigma = Math.max(measured, this.minPixelNoise);
+
+    // Invert J^T J column by column
+    const JtJ = this._matMulTranspose(J);
+    const covariance = [];
+    for (let i = 0; i < 6; i++) covariance.push(new Array(6).fill(0));
+    for (let col = 0; col < 6; col++) {
+      const e = new Array(6).fill(0);
+      e[col] = 1;
+      const x = this._solveLinear(JtJ, e);
+      if (!x || !x.every(isFinite)) return null;
+      for (let row = 0; row < 6; row++) covariance[row][col] = x[row] * sigma * sigma;
+    }
+
+    return { covariance, pixelNoise: sigma };
+  }
+
+  /**
+   * If some point reprojects beyond inlierFitError (the fit spreads an outlier's
+   * error over all points), re-solve without each point in turn, starting from
+   * the full pose, and keep the best fit, provided it is within inlierFitError
+   * and the left-out point misses it by more than outlierThreshold.
+   * Under IPPE a coplanar drop leaves the off-plane point (LED5) to tell the
+   * planar hypotheses apart, so a refit the other hypothesis fits within
+   * priorTieMargin as well is ambiguous and rejected. The off-plane point is
+   * dropped instead when the coplanar points alone fit clearly better (their
+   * own planar ambiguity resolved as in _ippeEstimate()); when that fit and the
+   * best coplanar drop tie, nothing is dropped.
+   * @param {{ R, t }|null} [alternative] - Losing IPPE hypothesis of the full solve
+   * @returns {Object|null} solve() result without the point, or null to keep all
+   */
+  _dropOutlier(objectPoints, imagePoints, result, alternative = null) {
+    if (!result.residuals.some(r => r.error > this.inlierFitError)) return null;
+
+    let best = null;
+    const offPlane = [];
+    for (let drop = 0; drop < objectPoints.length; drop++) {
+      if (result.method === 'ippe' && Math.abs(objectPoints[drop].z) >= 1e-9) {
+        offPlane.push(drop);
+        continue;
+      }
+      const keep = (_, i) => i !== drop;
+      const keptObj = objectPoints.filter(keep);
+      const keptImg = imagePoints.filter(keep);
+      const refit = this.solve(keptObj, keptImg, {
+        prior: { R: result.R, tvec: result.tvec },
+        rejectOutliers: false
+      });
+      if (!refit.success || !(refit.reprojError <= this.inlierFitError)) continue;
+      if (best && refit.reprojError >= best.refit.reprojError) continue;
+      if (alternative && this._ambiguousRefit(keptObj, keptImg, refit, alternative)) continue;
+      best = { drop, refit };
+    }
+
+    // A single off-plane point competes through the coplanar points' own fit
+    if (offPlane.length === 1) {
+      const keep = (_, i) => i !== offPlane[0];
+      const planarFit = this.solve(objectPoints.filter(keep), imagePoints.filter(keep), {
+        prior: { R: result.R, tvec: result.tvec },
+        rejectOutliers: false
+      });
+      if (planarFit.success && planarFit.reprojError <= this.inlierFitError) {
+        const gap = best ? best.refit.reprojError - planarFit.reprojError : Infinity;
+        if (Math.abs(gap) <= this.priorTieMargin) return null;
+        if (gap > 0) best = { drop: offPlane[0], refit: planarFit };
+      }
+    }
+    if (!best) return null;
+
+    // Residuals of every input point under the refit pose; the dropped one unweighted
+    const { drop, refit } = best;
+    const residuals = this._pointResiduals(objectPoints, imagePoints, refit.R, refit.tvec);
+    if (!(residuals[drop].error > this.outlierThreshold)) return null;
+    residuals[drop].weight = 0;
+
+    return {
+      ...refit,
+      residuals,
+      outlier: { index: drop, id: residuals[drop].id, error: residuals[drop].error }
+    };
+  }
+
+  /**
+   * Whether the points left after a drop also fit the other planar hypothesis:
+   * refined from it, they settle in a distinct pose (over 1°) that reprojects
+   * within priorTieMargin of the refit.
+   */
+  _ambiguousRefit(objPts, imgPts, refit, alternative) {
+    const other = this.refine(objPts, imgPts, alternative.R, alternative.t);
+    if (!other.success || this._rotationAngle(other.R, refit.R) < Math.PI / 180) return false;
+    return other.reprojError - refit.reprojError <= this.priorTieMargin;
+  }
+
+  /**
+   * Per-point pixel residuals (see solve()), weighted as in the last LM step.
+   */
+  _pointResiduals(objPts, imgPts, R, t) {
+    const normImgPts = imgPts.map(p => ({
+      x: (p.x - this.cx) / this.fx,
+      y: (p.y - this.cy) / this.fy
+    }));
+    const residuals = this._computeResiduals(objPts, normImgPts, R, t);
+    const weights = this._robustWeights(residuals);
+    return objPts.map((p, i) => {
+      const dx = residuals[2 * i] * this.fx;
+      const dy = residuals[2 * i + 1] * this.fy;
+      return { id: p.id !== undefined ? p.id : null, dx, dy, error: Math.sqrt(dx * dx + dy * dy), weight: weights[i] };
+    });
+  }
+
+  /**
+   * M-estimator weight per point from its pixel reprojection error (IRLS:
+   * w = ψ(e)/e). Tukey falls back to equal weights if it would leave fewer
+   * than 3 points, which can't hold a pose.
+   */
+  _robustWeights(residuals) {
+    const n = residuals.length / 2;
+    const weights = new Array(n).fill(1);
+    if (!this.robustLoss) return weights;
+
+    const k = this.robustScale;
+    let active = 0;
+    for (let i = 0; i < n; i++) {
+      const e = Math.hypot(residuals[2 * i] * this.fx, residuals[2 * i + 1] * this.fy);
+      if (this.robustLoss === 'tukey') {
+        const u = e / k;
+        weights[i] = u < 1 ? (1 - u * u) * (1 - u * u) : 0;
+      } else if (e > k) {
+        weights[i] = k / e;
+      }
+      if (weights[i] > 0) active++;
+    }
+    return active >= 3 ? weights : weights.fill(1);
+  }
+
+  /**
+   * Robust cost Σ ρ(e) over the points' pixel errors (px²), matching _robustWeights().
+   */
+  _robustCost(residuals) {
+    const k = this.robustScale;
+    let cost = 0;
+    for (let i = 0; i < residuals.length; i += 2) {
+      const e2 = Math.pow(residuals[i] * this.fx, 2) + Math.pow(residuals[i + 1] * this.fy, 2);
+      if (this.robustLoss === 'tukey') {
+        const u2 = Math.min(1, e2 / (k * k));
+        cost += (k * k / 6) * (1 - Math.pow(1 - u2, 3));
+      } else if (this.robustLoss === 'huber' && e2 > k * k) {
+        cost += k * (Math.sqrt(e2) - k / 2);
+      } else {
+        cost += e2 / 2;
+      }
+    }
+    return cost;
+  }
+
   _computeResiduals(objPts, normImgPts, R, t) {
     const residuals = [];
     for (let i = 0; i < objPts.length; i++) {
@@ -208,38 +861,24 @@ class PnPSolver {
         continue;
       }
 
-      const u_proj = px / pz;
-      const v_proj = py / pz;
+      const proj = this._distortNormalized(px / pz, py / pz);
 
-      residuals.push(u_proj - normImgPts[i].x);
-      residuals.push(v_proj - normImgPts[i].y);
+      residuals.push(proj.x - normImgPts[i].x);
+      residuals.push(proj.y - normImgPts[i].y);
     }
     return residuals;
   }
 
   _computeJacobian(objPts, normImgPts, R, t, rvec) {
     const n = objPts.length;
-    const residuals = [];
     const J = []; // 2n x 6 Jacobian
 
     const eps = 1e-6;
 
-    // Compute residuals at current parameters
-    for (let i = 0; i < n; i++) {
-      const X = objPts[i].x, Y = objPts[i].y, Z = objPts[i].z;
-      const px = R[0][0] * X + R[0][1] * Y + R[0][2] * Z + t[0];
-      const py = R[1][0] * X + R[1][1] * Y + R[1][2] * Z + t[1];
-      const pz = R[2][0] * X + R[2][1] * Y + R[2][2] * Z + t[2];
-
-      const invZ = Math.abs(pz) > 1e-10 ? 1.0 / pz : 0;
-      const u_proj = px * invZ;
-      const v_proj = py * invZ;
-
-      residuals.push(u_proj - normImgPts[i].x);
-      residuals.push(v_proj - normImgPts[i].y);
-    }
+    // Residuals at current parameters (distorted normalized coordinates)
+    const residuals = this._computeResiduals(objPts, normImgPts, R, t);
 
-    // Numerical Jacobian (finite differences)
+    // Numerical Jacobian (finite differences) through projection + distortion
     const params = [...rvec, ...t];
     for (let i = 0; i < 2 * n; i++) {
       J.push(new Array(6).fill(0));
@@ -251,19 +890,10 @@ class PnPSolver {
 
       const Rp = this._rodrigues([paramPlus[0], paramPlus[1], paramPlus[2]]);
       const tp = [paramPlus[3], paramPlus[4], paramPlus[5]];
+      const rp = this._computeResiduals(objPts, normImgPts, Rp, tp);
 
-      for (let i = 0; i < n; i++) {
-        const X = objPts[i].x, Y = objPts[i].y, Z = objPts[i].z;
-        const px = Rp[0][0] * X + Rp[0][1] * Y + Rp[0][2] * Z + tp[0];
-        const py = Rp[1][0] * X + Rp[1][1] * Y + Rp[1][2] * Z + tp[1];
-        const pz = Rp[2][0] * X + Rp[2][1] * Y + Rp[2][2] * Z + tp[2];
-
-        const invZ = Math.abs(pz) > 1e-10 ? 1.0 / pz : 0;
-        const u_p = px * invZ;
-        const v_p = py * invZ;
-
-        J[2 * i][j] = (u_p - normImgPts[i].x - residuals[2 * i]) / eps;
-        J[2 * i + 1][j] = (v_p - normImgPts[i].y - residuals[2 * i + 1]) / eps;
+      for (let i = 0; i < 2 * n; i++) {
+        J[i][j] = (rp[i] - residuals[i]) / eps;
       }
     }
 
@@ -304,6 +934,24 @@ class PnPSolver {
       return [0, 0, 0];
     }
 
+    // Near 180° the antisymmetric part vanishes (the upright facing pose is
+    // exactly this case): take the axis from the symmetric part instead
+    if (Math.PI - theta < 1e-3) {
+      const i = R[0][0] >= R[1][1] && R[0][0] >= R[2][2] ? 0 : (R[1][1] >= R[2][2] ? 1 : 2);
+      const axis = [0, 0, 0];
+      axis[i] = Math.sqrt(Math.max(0, (R[i][i] + 1) / 2));
+      for (let j = 0; j < 3; j++) {
+        if (j !== i) axis[j] = (R[i][j] + R[j][i]) / (4 * axis[i]);
+      }
+      // Sign so the (tiny) antisymmetric part agrees with sin(theta) > 0
+      const anti = [R[2][1] - R[1][2], R[0][2] - R[2][0], R[1][0] - R[0][1]];
+      if (anti[0] * axis[0] + anti[1] * axis[1] + anti[2] * axis[2] < 0) {
+        for (let j = 0; j < 3; j++) axis[j] = -axis[j];
+      }
+      const len = Math.hypot(axis[0], axis[1], axis[2]);
+      return axis.map(a => (a / len) * theta);
+    }
+
     const factor = theta / (2 * Math.sin(theta));
     return [
       factor * (R[2][1] - R[1][2]),
@@ -361,9 +1009,10 @@ class PnPSolver {
     // Jacobi eigendecomposition of AtA
     const { eigenvalues, eigenvectors } = this._jacobiEigen(AtA, n);
 
-    // Sort by eigenvalue (ascending - we want smallest)
+    // Sort by eigenvalue, descending (SVD convention: the last column of V
+    // belongs to the smallest singular value, i.e. the null space)
     const indices = eigenvalues.map((v, i) => i);
-    indices.sort((a, b) => eigenvalues[a] - eigenvalues[b]);
+    indices.sort((a, b) => eigenvalues[b] - eigenvalues[a]);
 
     // V matrix (columns are eigenvectors, sorted by eigenvalue)
     const V = [];
@@ -377,7 +1026,7 @@ class PnPSolver {
   /**
    * Jacobi eigendecomposition for symmetric matrices.
    */
-  _jacobiEigen(A, n, maxIter = 100) {
+  _jacobiEigen(A, n, maxIter = 1000) {
     // Copy A
     const S = A.map(row => [...row]);
     // V starts as identity
@@ -500,6 +1149,17 @@ class PnPSolver {
          + M[0][2] * (M[1][0] * M[2][1] - M[1][1] * M[2][0]);
   }
 
+  /**
+   * Angle of the rotation between A and B (radians): acos((tr(A·Bᵀ) − 1) / 2).
+   */
+  _rotationAngle(A, B) {
+    let trace = 0;
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) trace += A[i][j] * B[i][j];
+    }
+    return Math.acos(Math.max(-1, Math.min(1, (trace - 1) / 2)));
+  }
+
   _matNorm(M) {
     let sum = 0;
     for (const row of M) for (const v of row) sum += v * v;
@@ -540,10 +1200,10 @@ class PnPSolver {
   }
 
   /**
-   * Solve 6x6 linear system Ax = b via Gaussian elimination with partial pivoting.
+   * Solve a small (3x3, 6x6) linear system Ax = b via Gaussian elimination with partial pivoting.
    */
-  _solve6x6(A, b) {
-    const n = 6;
+  _solveLinear(A, b) {
+    const n = b.length;
     // Augmented matrix
     const aug = A.map((row, i) => [...row, b[i]]);
 
@@ -602,8 +1262,9 @@ class PnPSolver {
 
       if (Math.abs(pz) < 1e-10) continue;
 
-      const u_proj = this.fx * (px / pz) + this.cx;
-      const v_proj = this.fy * (py / pz) + this.cy;
+      const d = this._distortNormalized(px / pz, py / pz);
+      const u_proj = this.fx * d.x + this.cx;
+      const v_proj = this.fy * d.y + this.cy;
 
       const dx = u_proj - imgPts[i].x;
       const dy = v_proj - imgPts[i].y;
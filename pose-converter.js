@@ -0,0 +1,222 @@
+// ===================================================================
+// Pose Output Conventions
+// Turns the solver's tag-in-camera pose (OpenCV camera axes, mm) into the
+// frame, axes, handedness, units and rotation forms an integration needs:
+// camera-in-tag for placing a virtual camera, OpenGL axes for WebXR /
+// Three.js, left-handed output for engines such as Unity
+// ===================================================================
+
+const POSE_LENGTH_UNITS = { mm: 1, cm: 10, m: 1000, in: 25.4 };
+const POSE_EULER_ORDERS = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+
+class PoseConverter {
+  /**
+   * Input poses follow PnPSolver: X_cam = R · X_tag + tvec (mm), camera x right,
+   * y down, z forward; tag +X right, +Y up, +Z toward the camera.
+   * @param {Object} [options]
+   * @param {string} [options.frame] - 'tag-in-camera' (default): the tag's pose in the
+   *   camera frame | 'camera-in-tag': the camera's pose in the tag frame
+   * @param {string} [options.axes] - Camera axes: 'opencv' (default; looks along +z,
+   *   y down) | 'opengl' (looks along −z, y up, as WebXR and Three.js cameras)
+   * @param {string} [options.handedness] - 'right' (default) | 'left' (z mirrored in both
+   *   frames, so a right-handed OpenGL result becomes Unity's +z-forward, y-up frame)
+   * @param {string} [options.units] - Position units: 'mm' (default) | 'cm' | 'm' | 'in'
+   * @param {string} [options.angleUnits] - 'deg' (default) | 'rad' (Euler and axis-angle)
+   * @param {string} [options.eulerOrder] - Order of the rotation matrix product, as in
+   *   Three.js: 'XYZ' means R = Rx · Ry · Rz (default 'ZYX', PnPSolver's roll/pitch/yaw)
+   */
+  constructor(options = {}) {
+    this.frame = PoseConverter._choice('frame', options.frame, ['tag-in-camera', 'camera-in-tag']);
+    this.axes = PoseConverter._choice('axes', options.axes, ['opencv', 'opengl']);
+    this.handedness = PoseConverter._choice('handedness', options.handedness, ['right', 'left']);
+    this.units = PoseConverter._choice('units', options.units, Object.keys(POSE_LENGTH_UNITS));
+    this.angleUnits = PoseConverter._choice('angleUnits', options.angleUnits, ['deg', 'rad']);
+    this.eulerOrder = PoseConverter._choice('eulerOrder', options.eulerOrder || 'ZYX', POSE_EULER_ORDERS);
+  }
+
+  /**
+   * Convert a pose.
+   * @param {{ R, tvec }} pose - PnPSolver / pipeline pose
+   * @returns {{ frame, axes, handedness, units, angleUnits, position, rotation, matrix,
+   *   elements, quaternion, axisAngle, euler }}
+   *   position [x, y, z] in units; rotation 3x3 (child → parent axes); matrix 4x4 rows
+   *   [rotation | position]; elements the same matrix column-major (WebGL,
+   *   Three.js Matrix4.fromArray); quaternion { x, y, z, w } (w ≥ 0); axisAngle
+   *   { axis [x, y, z], angle }; euler { order, x, y, z }
+   */
+  convert(pose) {
+    let R = pose.R.map(row => [...row]);
+    let t = [...pose.tvec];
+
+    // OpenGL camera axes: y and z flipped on the camera side
+    if (this.axes === 'opengl') {
+      R = [R[0], R[1].map(v => -v), R[2].map(v => -v)];
+      t = [t[0], -t[1], -t[2]];
+    }
+
+    // Camera in the tag frame: the inverse transform
+    if (this.frame === 'camera-in-tag') {
+      const Rt = [0, 1, 2].map(j => [R[0][j], R[1][j], R[2][j]]);
+      t = Rt.map(row => -(row[0] * t[0] + row[1] * t[1] + row[2] * t[2]));
+      R = Rt;
+    }
+
+    // Left-handed: mirror z in both frames (R' = S R S, S = diag(1, 1, −1))
+    if (this.handedness === 'left') {
+      R = R.map((row, i) => row.map((v, j) => ((i === 2) !== (j === 2) ? -v : v)));
+      t = [t[0], t[1], -t[2]];
+    }
+
+    const scale = 1 / POSE_LENGTH_UNITS[this.units];
+    const position = t.map(v => v * scale);
+    const angle = this.angleUnits === 'deg' ? 180 / Math.PI : 1;
+    const quaternion = PoseConverter.quaternionFromMatrix(R);
+    const axisAngle = PoseConverter.axisAngleFromQuaternion(quaternion);
+    const euler = PoseConverter.eulerFromMatrix(R, this.eulerOrder);
+    const matrix = [
+      [R[0][0], R[0][1], R[0][2], position[0]],
+      [R[1][0], R[1][1], R[1][2], position[1]],
+      [R[2][0], R[2][1], R[2][2], position[2]],
+      [0, 0, 0, 1]
+    ];
+
+    return {
+      frame: this.frame,
+      axes: this.axes,
+      handedness: this.handedness,
+      units: this.units,
+      angleUnits: this.angleUnits,
+      position,
+      rotation: R,
+      matrix,
+      elements: [0, 1, 2, 3].flatMap(j => matrix.map(row => row[j])),
+      quaternion,
+      axisAngle: { axis: axisAngle.axis, angle: axisAngle.angle * angle },
+      euler: { order: euler.order, x: euler.x * angle, y: euler.y * angle, z: euler.z * angle }
+    };
+  }
+
+  /**
+   * Unit quaternion of a rotation matrix (Shepperd's method), w ≥ 0.
+   * @param {Array<Array<number>>} R
+   * @returns {{ x, y, z, w }}
+   */
+  static quaternionFromMatrix(R) {
+    const trace = R[0][0] + R[1][1] + R[2][2];
+    let q;
+    if (trace > 0) {
+      const s = 2 * Math.sqrt(trace + 1);
+      q = { w: s / 4, x: (R[2][1] - R[1][2]) / s, y: (R[0][2] - R[2][0]) / s, z: (R[1][0] - R[0][1]) / s };
+    } else if (R[0][0] > R[1][1] && R[0][0] > R[2][2]) {
+      const s = 2 * Math.sqrt(1 + R[0][0] - R[1][1] - R[2][2]);
+      q = { w: (R[2][1] - R[1][2]) / s, x: s / 4, y: (R[0][1] + R[1][0]) / s, z: (R[0][2] + R[2][0]) / s };
+    } else if (R[1][1] > R[2][2]) {
+      const s = 2 * Math.sqrt(1 + R[1][1] - R[0][0] - R[2][2]);
+      q = { w: (R[0][2] - R[2][0]) / s, x: (R[0][1] + R[1][0]) / s, y: s / 4, z: (R[1][2] + R[2][1]) / s };
+    } else {
+      const s = 2 * Math.sqrt(1 + R[2][2] - R[0][0] - R[1][1]);
+      q = { w: (R[1][0] - R[0][1]) / s, x: (R[0][2] + R[2][0]) / s, y: (R[1][2] + R[2][1]) / s, z: s / 4 };
+    }
+
+    const norm = Math.hypot(q.x, q.y, q.z, q.w);
+    const sign = q.w < 0 ? -1 : 1;
+    return { x: sign * q.x / norm, y: sign * q.y / norm, z: sign * q.z / norm, w: sign * q.w / norm };
+  }
+
+  /**
+   * @param {{ x, y, z, w }} q - Unit quaternion
+   * @returns {{ axis: Array<number>, angle: number }} angle in radians, 0 … π
+   *   (axis [1, 0, 0] for the identity)
+   */
+  static axisAngleFromQuaternion(q) {
+    const s = Math.hypot(q.x, q.y, q.z);
+    if (s < 1e-12) return { axis: [1, 0, 0], angle: 0 };
+    return { axis: [q.x / s, q.y / s, q.z / s], angle: 2 * Math.atan2(s, q.w) };
+  }
+
+  /**
+   * Euler angles (radians) with R = R_a · R_b · R_c for order 'abc'. At gimbal
+   * lock the last angle is set to 0.
+   * @param {Array<Array<number>>} R
+   * @param {string} [order] - One of POSE_EULER_ORDERS
+   * @returns {{ order, x, y, z }}
+   */
+  static eulerFromMatrix(R, order = 'ZYX') {
+    const clamp = v => Math.max(-1, Math.min(1, v));
+    const locked = v => Math.abs(v) >= 0.9999999;
+    let x = 0, y = 0, z = 0;
+
+    switch (order) {
+      case 'XYZ':
+        y = Math.asin(clamp(R[0][2]));
+        if (!locked(R[0][2])) {
+          x = Math.atan2(-R[1][2], R[2][2]);
+          z = Math.atan2(-R[0][1], R[0][0]);
+        } else {
+          x = Math.atan2(R[2][1], R[1][1]);
+        }
+        break;
+      case 'XZY':
+        z = Math.asin(-clamp(R[0][1]));
+        if (!locked(R[0][1])) {
+          x = Math.atan2(R[2][1], R[1][1]);
+          y = Math.atan2(R[0][2], R[0][0]);
+        } else {
+          x = Math.atan2(-R[1][2], R[2][2]);
+        }
+        break;
+      case 'YXZ':
+        x = Math.asin(-clamp(R[1][2]));
+        if (!locked(R[1][2])) {
+          y = Math.atan2(R[0][2], R[2][2]);
+          z = Math.atan2(R[1][0], R[1][1]);
+        } else {
+          y = Math.atan2(-R[2][0], R[0][0]);
+        }
+        break;
+      case 'YZX':
+        z = Math.asin(clamp(R[1][0]));
+        if (!locked(R[1][0])) {
+          x = Math.atan2(-R[1][2], R[1][1]);
+          y = Math.atan2(-R[2][0], R[0][0]);
+        } else {
+          y = Math.atan2(R[0][2], R[2][2]);
+        }
+        break;
+      case 'ZXY':
+        x = Math.asin(clamp(R[2][1]));
+        if (!locked(R[2][1])) {
+          y = Math.atan2(-R[2][0], R[2][2]);
+          z = Math.atan2(-R[0][1], R[1][1]);
+        } else {
+          z = Math.atan2(R[1][0], R[0][0]);
+        }
+        break;
+      case 'ZYX':
+        y = Math.asin(-clamp(R[2][0]));
+        if (!locked(R[2][0])) {
+          x = Math.atan2(R[2][1], R[2][2]);
+          z = Math.atan2(R[1][0], R[0][0]);
+        } else {
+          z = Math.atan2(-R[0][1], R[1][1]);
+        }
+        break;
+      default:
+        throw new Error(`Unknown Euler order ${order}`);
+    }
+    return { order, x, y, z };
+  }
+
+  // --- Private methods ---
+
+  /**
+   * Validate an option against its allowed values (the first is the default).
+   */
+  static _choice(name, value, allowed) {
+    if (value === undefined || value === null) return allowed[0];
+    if (!allowed.includes(value)) {
+      throw new Error(`Invalid pose ${name} "${value}" (expected ${allowed.join(' | ')})`);
+    }
+    return value;
+  }
+}
@@ -0,0 +1,389 @@
+// ===================================================================
+// 6DoF Pose Kalman Filter
+// Constant-velocity error-state EKF over translation and rotation, fed by
+// PnP poses; predicts LED image positions by reprojecting the predicted pose
+// ===================================================================
+
+class PoseKalmanFilter {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.accelNoise] - Translational acceleration noise (mm/s²)
+   * @param {number} [config.angularAccelNoise] - Angular acceleration noise (rad/s²)
+   * @param {number} [config.initialVelocitySigma] - Prior 1-sigma velocity at init (mm/s)
+   * @param {number} [config.initialAngularVelocitySigma] - Prior 1-sigma angular rate at init (rad/s)
+   * @param {number} [config.maxDt] - Longest prediction step (s); longer gaps are clamped
+   * @param {number} [config.gateNis] - Reject measurements whose innovation NIS exceeds
+   *   this (chi-square, 6 DOF; 22.5 ≈ 99.9%); 0 disables gating
+   * @param {number} [config.maxGated] - Consecutive rejected measurements after which the
+   *   filter restarts from the next one (its own state is then the likely outlier)
+   */
+  constructor(config = {}) {
+    this.accelNoise = config.accelNoise || 2000;
+    this.angularAccelNoise = config.angularAccelNoise || 20;
+    this.initialVelocitySigma = config.initialVelocitySigma || 500;
+    this.initialAngularVelocitySigma = config.initialAngularVelocitySigma || 3;
+    this.maxDt = config.maxDt || 0.5;
+    this.gateNis = config.gateNis !== undefined ? config.gateNis : 0;
+    this.maxGated = config.maxGated || 3;
+    this.reset();
+  }
+
+  /**
+   * Forget the state; the next update() re-initializes from its measurement.
+   */
+  reset() {
+    // State: position t (mm), velocity v (mm/s), angular velocity w (rad/s, camera frame)
+    // around the nominal rotation R. The covariance P is 12x12 over
+    // [t, v, dtheta, w], dtheta being a small rotation applied on the camera side
+    // (R_true = exp([dtheta]x) R), matching PnPSolver's pose covariance.
+    this.t = [0, 0, 0];
+    this.v = [0, 0, 0];
+    this.R = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    this.w = [0, 0, 0];
+    this.P = null;
+    this.initialized = false;
+    this.innovation = null;
+    this.nis = null;
+    this.gatedCount = 0;
+  }
+
+  /**
+   * Advance the state by dt seconds (constant velocity).
+   * With a measured camera rotation (gyro, see MotionSensorFusion) the
+   * rotation comes from the sensor instead of the angular velocity state: the
+   * whole tag pose, and the velocity, turn with the camera. The angular
+   * velocity state is then left as is.
+   * @param {number} dt - Seconds since the last predict/update
+   * @param {{ R, sigma }} [cameraRotation] - X_cam(now) = R · X_cam(before); sigma in rad
+   */
+  predict(dt, cameraRotation = null) {
+    if (!this.initialized) return;
+    dt = Math.min(Math.max(dt, 0), this.maxDt);
+    if (dt === 0 && !cameraRotation) return;
+
+    // F = [[I, dt I], [0, I]] blocks for (t, v) and (dtheta, w); with a gyro
+    // rotation G: t' = G t + v dt, v' = G v, dtheta' = G dtheta, w' = w
+    const F = PoseKalmanFilter._identity(12);
+    if (cameraRotation) {
+      const G = cameraRotation.R;
+      const Gt = PoseKalmanFilter._mul(G, [[this.t[0]], [this.t[1]], [this.t[2]]]);
+      const Gv = PoseKalmanFilter._mul(G, [[this.v[0]], [this.v[1]], [this.v[2]]]);
+      for (let i = 0; i < 3; i++) {
+        this.t[i] = Gt[i][0] + Gv[i][0] * dt;
+        this.v[i] = Gv[i][0];
+      }
+      this.R = PoseKalmanFilter._mul(G, this.R);
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+          F[i][j] = G[i][j];
+          F[i][3 + j] = G[i][j] * dt;
+          F[3 + i][3 + j] = G[i][j];
+          F[6 + i][6 + j] = G[i][j];
+        }
+      }
+    } else {
+      for (let i = 0; i < 3; i++) this.t[i] += this.v[i] * dt;
+      this.R = PoseKalmanFilter._mul(PoseKalmanFilter._exp([this.w[0] * dt, this.w[1] * dt, this.w[2] * dt]), this.R);
+      for (let i = 0; i < 3; i++) {
+        F[i][3 + i] = dt;
+        F[6 + i][9 + i] = dt;
+      }
+    }
+
+    // Q: white-noise acceleration per axis
+    const Q = PoseKalmanFilter._zeros(12);
+    const dt2 = dt * dt, dt3 = dt2 * dt;
+    for (let i = 0; i < 3; i++) {
+      const qa = this.accelNoise * this.accelNoise;
+      const qr = this.angularAccelNoise * this.angularAccelNoise;
+      Q[i][i] = qa * dt3 / 3;
+      Q[i][3 + i] = Q[3 + i][i] = qa * dt2 / 2;
+      Q[3 + i][3 + i] = qa * dt;
+      Q[6 + i][6 + i] = qr * dt3 / 3;
+      Q[6 + i][9 + i] = Q[9 + i][6 + i] = qr * dt2 / 2;
+      Q[9 + i][9 + i] = qr * dt;
+      if (cameraRotation) {
+        // The sensor replaces the angular motion model: its own error instead
+        Q[6 + i][6 + i] = cameraRotation.sigma * cameraRotation.sigma;
+        Q[6 + i][9 + i] = Q[9 + i][6 + i] = 0;
+      }
+    }
+
+    const FP = PoseKalmanFilter._mul(F, this.P);
+    this.P = PoseKalmanFilter._add(PoseKalmanFilter._mul(FP, PoseKalmanFilter._transpose(F)), Q);
+  }
+
+  /**
+   * Fuse a PnP pose measurement.
+   * @param {{ R, tvec, covariance? }} pose - PnPSolver result; covariance is the 6x6
+   *   [dtheta, t] measurement covariance (a loose default is used if absent)
+   * A measurement failing the innovation gate (see gateNis) leaves the state as
+   * predicted and is reported with gated: true; after maxGated of them in a row
+   * the filter restarts from the next measurement.
+   * @returns {{ innovation: Array<number>, nis: number, gated: boolean }} Innovation
+   *   [dtheta (rad), t (mm)] and its normalized squared magnitude (chi-square, 6 DOF)
+   */
+  update(pose) {
+    const Rm = pose.covariance || PoseKalmanFilter._diag([1e-3, 1e-3, 1e-3, 25, 25, 400]);
+
+    if (this.initialized && this.gatedCount >= this.maxGated) this.reset();
+    if (!this.initialized) {
+      this.t = [...pose.tvec];
+      this.v = [0, 0, 0];
+      this.R = pose.R.map(row => [...row]);
+      this.w = [0, 0, 0];
+      this.P = PoseKalmanFilter._zeros(12);
+      const sv = this.initialVelocitySigma, sw = this.initialAngularVelocitySigma;
+      for (let i = 0; i < 3; i++) {
+        this.P[i][i] = Rm[3 + i][3 + i];
+        this.P[3 + i][3 + i] = sv * sv;
+        this.P[6 + i][6 + i] = Rm[i][i];
+        this.P[9 + i][9 + i] = sw * sw;
+      }
+      this.initialized = true;
+      this.innovation = [0, 0, 0, 0, 0, 0];
+      this.nis = 0;
+      return { innovation: this.innovation, nis: 0, gated: false };
+    }
+
+    // Innovation y = [log(R_meas R^T), t_meas - t]
+    const dR = PoseKalmanFilter._mul(pose.R, PoseKalmanFilter._transpose(this.R));
+    const dtheta = PoseKalmanFilter._log(dR);
+    const y = [
+      dtheta[0], dtheta[1], dtheta[2],
+      pose.tvec[0] - this.t[0], pose.tvec[1] - this.t[1], pose.tvec[2] - this.t[2]
+    ];
+
+    // H picks [dtheta, t] out of [t, v, dtheta, w]
+    const H = [];
+    for (let i = 0; i < 6; i++) H.push(new Array(12).fill(0));
+    for (let i = 0; i < 3; i++) {
+      H[i][6 + i] = 1;
+      H[3 + i][i] = 1;
+    }
+
+    const Ht = PoseKalmanFilter._transpose(H);
+    const PHt = PoseKalmanFilter._mul(this.P, Ht);
+    const S = PoseKalmanFilter._add(PoseKalmanFilter._mul(H, PHt), Rm);
+    const Sinv = PoseKalmanFilter._inverse(S);
+    if (!Sinv) return { innovation: y, nis: Infinity, gated: false };
+
+    let nis = 0;
+    for (let i = 0; i < 6; i++) {
+      for (let j = 0; j < 6; j++) nis += y[i] * Sinv[i][j] * y[j];
+    }
+    this.innovation = y;
+    this.nis = nis;
+    if (this.gateNis > 0 && nis > this.gateNis) {
+      this.gatedCount++;
+      return { innovation: y, nis, gated: true };
+    }
+    this.gatedCount = 0;
+
+    const K = PoseKalmanFilter._mul(PHt, Sinv);
+    const dx = K.map(row => row.reduce((s, k, j) => s + k * y[j], 0));
+
+    for (let i = 0; i < 3; i++) {
+      this.t[i] += dx[i];
+      this.v[i] += dx[3 + i];
+      this.w[i] += dx[9 + i];
+    }
+    this.R = PoseKalmanFilter._mul(PoseKalmanFilter._exp([dx[6], dx[7], dx[8]]), this.R);
+
+    // Joseph form keeps P symmetric positive semi-definite
+    const IKH = PoseKalmanFilter._identity(12);
+    const KH = PoseKalmanFilter._mul(K, H);
+    for (let i = 0; i < 12; i++) {
+      for (let j = 0; j < 12; j++) IKH[i][j] -= KH[i][j];
+    }
+    const KRKt = PoseKalmanFilter._mul(PoseKalmanFilter._mul(K, Rm), PoseKalmanFilter._transpose(K));
+    this.P = PoseKalmanFilter._add(
+      PoseKalmanFilter._mul(PoseKalmanFilter._mul(IKH, this.P), PoseKalmanFilter._transpose(IKH)),
+      KRKt
+    );
+
+    return { innovation: y, nis, gated: false };
+  }
+
+  /**
+   * Current pose estimate.
+   * @returns {{ R, tvec, velocity, angularVelocity, covariance }|null} covariance is the
+   *   6x6 [dtheta, t] block of P (same layout as PnPSolver's)
+   */
+  getPose() {
+    if (!this.initialized) return null;
+    const idx = [6, 7, 8, 0, 1, 2];
+    return {
+      R: this.R.map(row => [...row]),
+      tvec: [...this.t],
+      velocity: [...this.v],
+      angularVelocity: [...this.w],
+      covariance: idx.map(i => idx.map(j => this.P[i][j]))
+    };
+  }
+
+  /**
+   * Predicted image positions of object points, with a per-point pixel sigma from
+   * the pose covariance (largest axis of the projected 2x2 covariance).
+   * @param {PnPSolver} solver - Supplies intrinsics / projection
+   * @param {Array<{id, x, y, z}>} objectPoints
+   * @returns {Array<{ id, x, y, sigma }>} Pixel coordinates (points behind the camera omitted)
+   */
+  projectPredictions(solver, objectPoints) {
+    if (!this.initialized) return [];
+
+    const base = solver.projectPoints(objectPoints, this.R, this.t);
+    const cov = this.getPose().covariance;
+    const eps = [1e-4, 1e-4, 1e-4, 0.1, 0.1, 0.1];
+
+    // Projection Jacobian over [dtheta, t], one column per parameter
+    const columns = eps.map((e, k) => {
+      let R = this.R;
+      const t = [...this.t];
+      if (k < 3) {
+        const d = [0, 0, 0];
+        d[k] = e;
+        R = PoseKalmanFilter._mul(PoseKalmanFilter._exp(d), R);
+      } else {
+        t[k - 3] += e;
+      }
+      return solver.projectPoints(objectPoints, R, t);
+    });
+
+    const predictions = [];
+    objectPoints.forEach((p, i) => {
+      if (!base[i]) return;
+      const Jx = [], Jy = [];
+      for (let k = 0; k < 6; k++) {
+        const q = columns[k][i] || base[i];
+        Jx.push((q.x - base[i].x) / eps[k]);
+        Jy.push((q.y - base[i].y) / eps[k]);
+      }
+      const quad = (a, b) => {
+        let s = 0;
+        for (let r = 0; r < 6; r++) {
+          for (let c = 0; c < 6; c++) s += a[r] * cov[r][c] * b[c];
+        }
+        return s;
+      };
+      const sxx = quad(Jx, Jx), syy = quad(Jy, Jy), sxy = quad(Jx, Jy);
+      const maxEig = 0.5 * (sxx + syy + Math.sqrt((sxx - syy) * (sxx - syy) + 4 * sxy * sxy));
+      predictions.push({ id: p.id, x: base[i].x, y: base[i].y, sigma: Math.sqrt(Math.max(0, maxEig)) });
+    });
+    return predictions;
+  }
+
+  // --- Matrix helpers ---
+
+  static _zeros(n) {
+    const M = [];
+    for (let i = 0; i < n; i++) M.push(new Array(n).fill(0));
+    return M;
+  }
+
+  static _identity(n) {
+    const M = PoseKalmanFilter._zeros(n);
+    for (let i = 0; i < n; i++) M[i][i] = 1;
+    return M;
+  }
+
+  static _diag(values) {
+    const M = PoseKalmanFilter._zeros(values.length);
+    values.forEach((v, i) => { M[i][i] = v; });
+    return M;
+  }
+
+  static _transpose(A) {
+    return A[0].map((_, j) => A.map(row => row[j]));
+  }
+
+  static _mul(A, B) {
+    const n = A.length, m = B[0].length, k = B.length;
+    const C = [];
+    for (let i = 0; i < n; i++) {
+      const row = new Array(m).fill(0);
+      for (let l = 0; l < k; l++) {
+        const a = A[i][l];
+        if (a === 0) continue;
+        for (let j = 0; j < m; j++) row[j] += a * B[l][j];
+      }
+      C.push(row);
+    }
+    return C;
+  }
+
+  static _add(A, B) {
+    return A.map((row, i) => row.map((v, j) => v + B[i][j]));
+  }
+
+  /**
+   * Gauss-Jordan inverse with partial pivoting, or null if singular.
+   */
+  static _inverse(A) {
+    const n = A.length;
+    const aug = A.map((row, i) => {
+      const e = new Array(n).fill(0);
+      e[i] = 1;
+      return [...row, ...e];
+    });
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(aug[r][col]) > Math.abs(aug[pivot][col])) pivot = r;
+      }
+      if (Math.abs(aug[pivot][col]) < 1e-18) return null;
+      [aug[col], aug[pivot]] = [aug[pivot], aug[col]];
+      const inv = 1 / aug[col][col];
+      for (let j = 0; j < 2 * n; j++) aug[col][j] *= inv;
+      for (let r = 0; r < n; r++) {
+        if (r === col || aug[r][col] === 0) continue;
+        const f = aug[r][col];
+        for (let j = 0; j < 2 * n; j++) aug[r][j] -= f * aug[col][j];
+      }
+    }
+    return aug.map(row => row.slice(n));
+  }
+
+  /**
+   * Rotation vector → rotation matrix.
+   */
+  static _exp(r) {
+    const theta = Math.sqrt(r[0] * r[0] + r[1] * r[1] + r[2] * r[2]);
+    if (theta < 1e-12) {
+      return [[1, -r[2], r[1]], [r[2], 1, -r[0]], [-r[1], r[0], 1]];
+    }
+    const k = [r[0] / theta, r[1] / theta, r[2] / theta];
+    const c = Math.cos(theta), s = Math.sin(theta), v = 1 - c;
+    return [
+      [c + k[0] * k[0] * v, k[0] * k[1] * v - k[2] * s, k[0] * k[2] * v + k[1] * s],
+      [k[1] * k[0] * v + k[2] * s, c + k[1] * k[1] * v, k[1] * k[2] * v - k[0] * s],
+      [k[2] * k[0] * v - k[1] * s, k[2] * k[1] * v + k[0] * s, c + k[2] * k[2] * v]
+    ];
+  }
+
+  /**
+   * Rotation matrix → rotation vector (innovations are small, but a flipped
+   * measurement can be near 180°, handled via the symmetric part).
+   */
+  static _log(R) {
+    const cosT = Math.max(-1, Math.min(1, (R[0][0] + R[1][1] + R[2][2] - 1) / 2));
+    const theta = Math.acos(cosT);
+    const anti = [R[2][1] - R[1][2], R[0][2] - R[2][0], R[1][0] - R[0][1]];
+    if (theta < 1e-9) return [anti[0] / 2, anti[1] / 2, anti[2] / 2];
+    if (Math.PI - theta < 1e-3) {
+      const i = R[0][0] >= R[1][1] && R[0][0] >= R[2][2] ? 0 : (R[1][1] >= R[2][2] ? 1 : 2);
+      const axis = [0, 0, 0];
+      axis[i] = Math.sqrt(Math.max(0, (R[i][i] + 1) / 2));
+      for (let j = 0; j < 3; j++) {
+        if (j !== i) axis[j] = (R[i][j] + R[j][i]) / (4 * axis[i]);
+      }
+      if (anti[0] * axis[0] + anti[1] * axis[1] + anti[2] * axis[2] < 0) {
+        for (let j = 0; j < 3; j++) axis[j] = -axis[j];
+      }
+      const len = Math.hypot(axis[0], axis[1], axis[2]);
+      return axis.map(a => (a / len) * theta);
+    }
+    const f = theta / (2 * Math.sin(theta));
+    return [anti[0] * f, anti[1] * f, anti[2] * f];
+  }
+}
@@ -0,0 +1,302 @@
+// ===================================================================
+// Site Map + Multi-tag Camera Localization
+// A site map lists tag IDs with their pose in a site (world) frame; the
+// localizer stacks the LED correspondences of every mapped tag in view
+// into one PnP/LM problem and reports the camera pose in that frame
+// ===================================================================
+
+const SITE_MAP_FORMAT = 'lighttag-site-map';
+const SITE_MAP_VERSION = 1;
+
+class SiteMap {
+  /**
+   * @param {Array<{ id, R, t, label? }>} [tags] - Tag poses: X_world = R · X_tag + t (mm)
+   * @param {string} [name]
+   */
+  constructor(tags = [], name = '') {
+    this.name = name;
+    this.tags = new Map();
+    for (const tag of tags) this.set(tag);
+  }
+
+  /**
+   * Parse a site map document.
+   * {
+   *   "format": "lighttag-site-map", "version": 1, "name": "...",
+   *   "tags": [{ "id": 48879 | "BEEF", "position": [x, y, z] (mm),
+   *              "rotation": [[3x3]] | "rvec": [x, y, z] (rad), "label": "..." }]
+   * }
+   * rotation / rvec turn tag coordinates into site coordinates (identity if omitted).
+   * @param {string|Object} doc - JSON text or parsed object
+   * @returns {SiteMap}
+   */
+  static fromJSON(doc) {
+    if (typeof doc === 'string') doc = JSON.parse(doc);
+    if (!doc || doc.format !== SITE_MAP_FORMAT || !Array.isArray(doc.tags)) {
+      throw new Error('Not a LightTag site map');
+    }
+    if (doc.version > SITE_MAP_VERSION) {
+      throw new Error(`Unsupported site map version ${doc.version}`);
+    }
+
+    const tags = doc.tags.map((entry, i) => {
+      const tag = SiteMap._parseTag(entry);
+      if (!tag) throw new Error(`Invalid site map tag #${i + 1}`);
+      return tag;
+    });
+    return new SiteMap(tags, typeof doc.name === 'string' ? doc.name : '');
+  }
+
+  /**
+   * @returns {Object} Site map document (see fromJSON()), ready for JSON.stringify()
+   */
+  toJSON() {
+    return {
+      format: SITE_MAP_FORMAT,
+      version: SITE_MAP_VERSION,
+      name: this.name,
+      tags: [...this.tags.values()].map(tag => ({
+        id: tag.id,
+        position: tag.t,
+        rotation: tag.R,
+        ...(tag.label ? { label: tag.label } : {})
+      }))
+    };
+  }
+
+  /**
+   * Add or replace a tag.
+   */
+  set(tag) {
+    this.tags.set(tag.id, { id: tag.id, R: tag.R, t: tag.t, label: tag.label || '' });
+  }
+
+  has(tagId) {
+    return tagId !== null && tagId !== undefined && this.tags.has(tagId);
+  }
+
+  get(tagId) {
+    return this.tags.get(tagId) || null;
+  }
+
+  get size() {
+    return this.tags.size;
+  }
+
+  /**
+   * A tag's LED positions in site coordinates.
+   * @param {number} tagId
+   * @param {Array<{id, x, y, z}>} [points3D] - Tag-frame points (default: LED_GEOMETRY)
+   * @returns {Array<{id, x, y, z}>|null}
+   */
+  worldPoints(tagId, points3D = LED_GEOMETRY.points3D) {
+    const tag = this.get(tagId);
+    if (!tag) return null;
+    const { R, t } = tag;
+    return points3D.map(p => ({
+      id: p.id,
+      x: R[0][0] * p.x + R[0][1] * p.y + R[0][2] * p.z + t[0],
+      y: R[1][0] * p.x + R[1][1] * p.y + R[1][2] * p.z + t[1],
+      z: R[2][0] * p.x + R[2][1] * p.y + R[2][2] * p.z + t[2]
+    }));
+  }
+
+  // --- Private methods ---
+
+  /**
+   * Normalize one tag entry, or null if it is unusable.
+   */
+  static _parseTag(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+
+    let id = entry.id;
+    if (typeof id === 'string') id = /^(0x)?[0-9a-f]{1,4}$/i.test(id) ? parseInt(id.replace(/^0x/i, ''), 16) : NaN;
+    if (!Number.isInteger(id) || id < 0 || id > 0xFFFF) return null;
+
+    const finite = v => Array.isArray(v) && v.length === 3 && v.every(x => typeof x === 'number' && isFinite(x));
+    if (!finite(entry.position)) return null;
+
+    let R = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    if (entry.rotation !== undefined) {
+      if (!Array.isArray(entry.rotation) || entry.rotation.length !== 3 || !entry.rotation.every(finite)) return null;
+      R = entry.rotation.map(row => [...row]);
+    } else if (entry.rvec !== undefined) {
+      if (!finite(entry.rvec)) return null;
+      R = SiteMap._rotationFromVector(entry.rvec);
+    }
+    if (!SiteMap._isRotation(R)) return null;
+
+    return {
+      id,
+      R,
+      t: [...entry.position],
+      label: typeof entry.label === 'string' ? entry.label : ''
+    };
+  }
+
+  /**
+   * Rotation vector (axis · angle, rad) → rotation matrix (Rodrigues).
+   */
+  static _rotationFromVector(r) {
+    const theta = Math.sqrt(r[0] * r[0] + r[1] * r[1] + r[2] * r[2]);
+    if (theta < 1e-12) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    const k = [r[0] / theta, r[1] / theta, r[2] / theta];
+    const c = Math.cos(theta), s = Math.sin(theta), v = 1 - c;
+    return [
+      [c + k[0] * k[0] * v, k[0] * k[1] * v - k[2] * s, k[0] * k[2] * v + k[1] * s],
+      [k[1] * k[0] * v + k[2] * s, c + k[1] * k[1] * v, k[1] * k[2] * v - k[0] * s],
+      [k[2] * k[0] * v - k[1] * s, k[2] * k[1] * v + k[0] * s, c + k[2] * k[2] * v]
+    ];
+  }
+
+  /**
+   * Orthonormal with determinant +1 (to 1e-3).
+   */
+  static _isRotation(R) {
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        const dot = R[0][i] * R[0][j] + R[1][i] * R[1][j] + R[2][i] * R[2][j];
+        if (Math.abs(dot - (i === j ? 1 : 0)) > 1e-3) return false;
+      }
+    }
+    const det = R[0][0] * (R[1][1] * R[2][2] - R[1][2] * R[2][1])
+      - R[0][1] * (R[1][0] * R[2][2] - R[1][2] * R[2][0])
+      + R[0][2] * (R[1][0] * R[2][1] - R[1][1] * R[2][0]);
+    return det > 0;
+  }
+}
+
+class SiteLocalizer {
+  /**
+   * @param {PnPSolver} pnpSolver - Solver with the camera intrinsics
+   * @param {Object} [config]
+   * @param {number} [config.maxReprojError] - Reject joint solutions above this RMS (px)
+   */
+  constructor(pnpSolver, config = {}) {
+    this.pnpSolver = pnpSolver;
+    this.maxReprojError = config.maxReprojError || 30;
+  }
+
+  /**
+   * Camera pose in the site frame from every mapped tag in view.
+   * Each tag's own pose seeds a candidate start (camera-from-site =
+   * camera-from-tag · tag-from-site); the one reprojecting all LEDs best is
+   * refined by LM over the stacked correspondences.
+   * @param {SiteMap} siteMap
+   * @param {Array<{ tagId, points: Array<{id, x, y}>, pose: { R, tvec } }>} tags -
+   *   LED image points (pixels) and single-tag pose per visible tag
+   * @param {Array<{id, x, y, z}>} [points3D] - Tag-frame LED layout (default: LED_GEOMETRY)
+   * @returns {Object|null} { success, tagIds, pointCount, R, tvec (site → camera),
+   *   position (camera center in the site frame, mm), orientation (camera → site
+   *   rotation), euler (of orientation, degrees), reprojError, covariance (6x6 over
+   *   [w, t] of the site → camera pose, see PnPSolver.solve()), uncertainty
+   *   (incl. position 1-sigma in the site frame, mm) }, or null if no mapped tag
+   *   has a pose
+   */
+  solve(siteMap, tags, points3D = LED_GEOMETRY.points3D) {
+    const objectPoints = [];
+    const imagePoints = [];
+    const seeds = [];
+    const tagIds = [];
+
+    for (const tag of tags) {
+      if (!tag.pose || !siteMap.has(tag.tagId) || tagIds.includes(tag.tagId)) continue;
+      const world = siteMap.worldPoints(tag.tagId, points3D);
+      for (const p of tag.points) {
+        const w = world.find(l => l.id === p.id);
+        if (!w) continue;
+        objectPoints.push({ x: w.x, y: w.y, z: w.z });
+        imagePoints.push({ x: p.x, y: p.y });
+      }
+      tagIds.push(tag.tagId);
+
+      // camera-from-site: R_cs = R_ct · R_stᵀ, t_cs = t_ct − R_cs · t_st
+      const { R: Rst, t: tst } = siteMap.get(tag.tagId);
+      const Rcs = SiteLocalizer._mul(tag.pose.R, SiteLocalizer._transpose(Rst));
+      const Rt = SiteLocalizer._apply(Rcs, tst);
+      seeds.push({ R: Rcs, t: tag.pose.tvec.map((v, i) => v - Rt[i]) });
+    }
+
+    if (seeds.length === 0 || objectPoints.length < 4) return null;
+
+    const solver = this.pnpSolver;
+    let start = seeds[0];
+    let bestError = Infinity;
+    for (const seed of seeds) {
+      const error = this._reprojError(objectPoints, imagePoints, seed.R, seed.t);
+      if (error < bestError) {
+        bestError = error;
+        start = seed;
+      }
+    }
+
+    const pose = solver.refine(objectPoints, imagePoints, start.R, start.t);
+    if (!pose.success || !(pose.reprojError < this.maxReprojError)) {
+      return { success: false, tagIds, pointCount: objectPoints.length, reprojError: pose.reprojError };
+    }
+
+    // Camera in the site frame: C = −Rᵀ t, orientation Rᵀ
+    const Rt = SiteLocalizer._transpose(pose.R);
+    const position = SiteLocalizer._apply(Rt, pose.tvec).map(v => -v);
+    const orientation = solver.describePose(Rt, position);
+
+    return {
+      ...pose,
+      tagIds,
+      pointCount: objectPoints.length,
+      position,
+      orientation: Rt,
+      euler: orientation.euler,
+      uncertainty: pose.uncertainty && pose.covariance
+        ? { ...pose.uncertainty, position: SiteLocalizer._positionSigma(pose.covariance, pose.R, pose.tvec) }
+        : pose.uncertainty
+    };
+  }
+
+  // --- Private methods ---
+
+  /**
+   * RMS pixel reprojection error of a pose; Infinity if a point falls behind the camera.
+   */
+  _reprojError(objectPoints, imagePoints, R, t) {
+    const projected = this.pnpSolver.projectPoints(objectPoints, R, t);
+    let sumSq = 0;
+    for (let i = 0; i < projected.length; i++) {
+      if (!projected[i]) return Infinity;
+      const dx = projected[i].x - imagePoints[i].x;
+      const dy = projected[i].y - imagePoints[i].y;
+      sumSq += dx * dx + dy * dy;
+    }
+    return Math.sqrt(sumSq / projected.length);
+  }
+
+  /**
+   * 1-sigma of C = −Rᵀ t under R' = exp([w]x) R, t' = t + dt:
+   * dC/dw = −Rᵀ [t]x, dC/dt = −Rᵀ.
+   */
+  static _positionSigma(C, R, t) {
+    const Rt = SiteLocalizer._transpose(R);
+    const tx = [[0, -t[2], t[1]], [t[2], 0, -t[0]], [-t[1], t[0], 0]];
+    const Jw = SiteLocalizer._mul(Rt, tx).map(row => row.map(v => -v));
+    const J = [0, 1, 2].map(i => [...Jw[i], -Rt[i][0], -Rt[i][1], -Rt[i][2]]);
+    return J.map(row => {
+      let v = 0;
+      for (let a = 0; a < 6; a++) {
+        for (let b = 0; b < 6; b++) v += row[a] * C[a][b] * row[b];
+      }
+      return Math.sqrt(Math.max(0, v));
+    });
+  }
+
+  static _mul(A, B) {
+    return A.map(row => [0, 1, 2].map(j => row[0] * B[0][j] + row[1] * B[1][j] + row[2] * B[2][j]));
+  }
+
+  static _transpose(A) {
+    return [0, 1, 2].map(j => [A[0][j], A[1][j], A[2][j]]);
+  }
+
+  static _apply(A, v) {
+    return A.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+  }
+}
@@ -0,0 +1,59 @@
+// ===================================================================
+// Per-tag Tracking State
+// One TagTrack per LightTag in view: its LED tracker, pose filter and ID
+// decoder, plus what DetectionPipeline needs to keep the tag's identity
+// across frames and short losses
+// ===================================================================
+
+class TagTrack {
+  /**
+   * @param {number} id - Track id, unique within the pipeline
+   * @param {Object} modules
+   * @param {LEDTracker} modules.tracker
+   * @param {PoseKalmanFilter} modules.poseFilter
+   * @param {OpticalIdDecoder} modules.idDecoder
+   */
+  constructor(id, modules) {
+    this.id = id;
+    this.tracker = modules.tracker;
+    this.poseFilter = modules.poseFilter;
+    this.idDecoder = modules.idDecoder;
+
+    this.lastPose = null;
+    this.poseStability = 0;
+    this.points = null;       // Latest tracked LED points (normalized)
+    this.lostFrame = null;    // Pipeline frame index when the track was lost
+    this.knownTagId = null;   // Optical ID the track was last identified by
+  }
+
+  /** Decoded optical ID, or null */
+  get tagId() {
+    return this.idDecoder.tagId;
+  }
+
+  /** Whether the LED tracker still follows the constellation */
+  get isTracking() {
+    return this.tracker.isTracking;
+  }
+
+  /**
+   * Normalized bounding box of the latest LED points.
+   * @param {number} [margin] - Grow each side by this fraction of the box size
+   * @returns {{ minX, minY, maxX, maxY }|null}
+   */
+  bounds(margin = 0) {
+    if (!this.points || this.points.length === 0) return null;
+    return GeometryMatcher.boundsOf(this.points, margin);
+  }
+
+  /**
+   * Start following a (re)acquired constellation. Motion state restarts; the
+   * identity and decoder history are kept, with the gap marked as lost frames.
+   */
+  restart() {
+    this.tracker.reset();
+    this.poseFilter.reset();
+    if (this.idDecoder.frameCount > 0) this.idDecoder.pushLevels(null);
+    this.lostFrame = null;
+  }
+}
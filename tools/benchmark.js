@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+// ===================================================================
+// Accuracy benchmark
+// Runs the DetectionPipeline over a labelled dataset (synthetic or
+// recorded) and reports error / detection / dropout / LED size + SNR
+// per distance bucket against the PRD §9 v1 gate
+//
+// Usage:
+//   node tools/benchmark.js [options] <dataset dir | labels.json>
+//
+// Options:
+//   --out <dir>            Output directory for frames.csv, summary.csv and
+//                          report.html (default: <dataset>/benchmark)
+//   --bucket <m>           Distance bucket width in meters (default 1)
+//   --fps <n>              Frame rate when labels carry no timestamps (default 30)
+//   --downscale <n>        BlueFilter downscale factor (default 4)
+//   --sensitivity <level>  GeometryMatcher preset: low | medium | high
+//   --intrinsics fx,fy,cx,cy[,k1,k2,p1,p2,k3]
+//                          Override the intrinsics stored in labels.json
+//   --no-refine            Skip full-res sub-pixel refinement
+//   --imu <log.ndjson>     Feed recorded/synthetic motion sensor samples to the
+//                          pipeline (tools/synth.js --imu writes <dataset>/imu.ndjson)
+//
+// labels.json (as written by tools/synth.js):
+//   { intrinsics?: { fx, fy, cx, cy, distortion?: { k1, k2, p1, p2, k3 } }, fps?, frames: [{ file, distance?,
+//     sequence?, timestamp?, R | rvec, tvec (mm, tag in camera),
+//     imagePoints?: [{ id, x, y, diameterPx? }] }] }
+// ===================================================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createReplay, validIntrinsics } = require('./replay');
+const { readFrame } = require('./frames');
+
+// PRD §9 v1 gate
+const GATE = {
+  minDistance: 2,        // m
+  maxDistance: 5,        // m
+  maxMeanErrorCm: 10,
+  minContinuousSec: 3
+};
+
+function parseArgs(argv) {
+  const options = { inputs: [], bucket: 1, fps: 30 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--out': options.out = next(); break;
+      case '--bucket': options.bucket = parseFloat(next()); break;
+      case '--fps': options.fps = parseFloat(next()); break;
+      case '--downscale': options.downscale = parseFloat(next()); break;
+      case '--sensitivity': options.sensitivity = next(); break;
+      case '--intrinsics': options.intrinsics = next().split(',').map(Number); break;
+      case '--no-refine': options.refine = false; break;
+      case '--imu': options.imu = next(); break;
+      case '-h':
+      case '--help': options.help = true; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        options.inputs.push(arg);
+    }
+  }
+  if (!(options.bucket > 0)) throw new Error('--bucket must be > 0');
+  if (options.intrinsics && !validIntrinsics(options.intrinsics)) {
+    throw new Error('--intrinsics expects fx,fy,cx,cy[,k1,k2,p1,p2,k3]');
+  }
+  return options;
+}
+
+// --- Small math helpers ---
+
+function rodrigues(rvec) {
+  const theta = Math.hypot(rvec[0], rvec[1], rvec[2]);
+  if (theta < 1e-12) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  const k = rvec.map(v => v / theta);
+  const c = Math.cos(theta), s = Math.sin(theta), v = 1 - c;
+  return [
+    [c + k[0] * k[0] * v, k[0] * k[1] * v - k[2] * s, k[0] * k[2] * v + k[1] * s],
+    [k[1] * k[0] * v + k[2] * s, c + k[1] * k[1] * v, k[1] * k[2] * v - k[0] * s],
+    [k[2] * k[0] * v - k[1] * s, k[2] * k[1] * v + k[0] * s, c + k[2] * k[2] * v]
+  ];
+}
+
+/**
+ * Angle (degrees) of the relative rotation between two rotation matrices.
+ */
+function rotationError(Ra, Rb) {
+  let trace = 0;
+  for (let i = 0; i < 3; i++)
+    for (let k = 0; k < 3; k++)
+      trace += Ra[k][i] * Rb[k][i];
+  return Math.acos(Math.max(-1, Math.min(1, (trace - 1) / 2))) * 180 / Math.PI;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1));
+  return sorted[idx];
+}
+
+/**
+ * LED peak SNR measured on the frame: (peak - background mean) / background std,
+ * with the background taken from a ring well outside the LED's glare.
+ */
+function measureSNR(image, x, y, diameterPx) {
+  const { data, width, height } = image;
+  const value = (px, py) => {
+    const i = (py * width + px) * 4;
+    return Math.max(data[i], data[i + 1], data[i + 2]);
+  };
+
+  const cx = Math.round(x), cy = Math.round(y);
+  if (cx < 0 || cy < 0 || cx >= width || cy >= height) return null;
+
+  let peak = 0;
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      const px = cx + dx, py = cy + dy;
+      if (px >= 0 && py >= 0 && px < width && py < height) peak = Math.max(peak, value(px, py));
+    }
+  }
+
+  const inner = Math.max(8, Math.ceil(3 * (diameterPx || 0)));
+  const outer = inner + 6;
+  let sum = 0, sum2 = 0, n = 0;
+  for (let dy = -outer; dy <= outer; dy++) {
+    for (let dx = -outer; dx <= outer; dx++) {
+      const r = Math.hypot(dx, dy);
+      if (r < inner || r > outer) continue;
+      const px = cx + dx, py = cy + dy;
+      if (px < 0 || py < 0 || px >= width || py >= height) continue;
+      const v = value(px, py);
+      sum += v;
+      sum2 += v * v;
+      n++;
+    }
+  }
+  if (n < 8) return null;
+  const bg = sum / n;
+  const std = Math.sqrt(Math.max(0, sum2 / n - bg * bg));
+  return (peak - bg) / Math.max(1, std);
+}
+
+/**
+ * Measured LED diameter (full-res pixels) from the candidate nearest each LED.
+ */
+function measureDiameter(record, points, downscale) {
+  const diameters = [];
+  for (const p of points) {
+    let best = null, bestDist = Infinity;
+    for (const c of record.candidates) {
+      const d = Math.hypot(c.x * record.width - p.x, c.y * record.height - p.y);
+      if (d < bestDist) {
+        bestDist = d;
+        best = c;
+      }
+    }
+    // Only count a candidate that plausibly is this LED
+    if (best && bestDist < Math.max(6, 2 * (p.diameterPx || 0))) {
+      diameters.push(2 * Math.sqrt(best.area / Math.PI) * downscale);
+    }
+  }
+  return mean(diameters);
+}
+
+// --- Benchmark ---
+
+/**
+ * Load labels.json from a dataset directory or the file itself.
+ * @returns {{ labels: Object, dir: string }}
+ */
+function loadLabels(input) {
+  const file = fs.statSync(input).isDirectory() ? path.join(input, 'labels.json') : input;
+  const labels = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(labels.frames)) throw new Error(`${file}: missing "frames" array`);
+  return { labels, dir: path.dirname(file) };
+}
+
+/**
+ * Run the pipeline over every labelled frame.
+ * Frames are processed in file order; the pipeline is reset whenever the
+ * label's sequence changes so separate clips never share tracking state.
+ * @param {Object} labels - Parsed labels.json
+ * @param {string} dir - Directory the frame files are relative to
+ * @param {Object} options - Parsed CLI options
+ * @returns {Array<Object>} Per-frame rows
+ */
+function runBenchmark(labels, dir, options) {
+  const fps = labels.fps || options.fps;
+  let intrinsics = options.intrinsics;
+  if (!intrinsics && labels.intrinsics) {
+    const k = labels.intrinsics;
+    const d = k.distortion || {};
+    intrinsics = [k.fx, k.fy, k.cx, k.cy, d.k1 || 0, d.k2 || 0, d.p1 || 0, d.p2 || 0, d.k3 || 0];
+  }
+  const replay = createReplay({ ...options, intrinsics });
+  const downscale = options.downscale || 4;
+
+  const rows = [];
+  let sequence;
+  let sequenceStart = 0;
+
+  labels.frames.forEach((label, index) => {
+    const seq = label.sequence !== undefined ? label.sequence : 0;
+    if (seq !== sequence) {
+      replay.pipeline.reset();
+      sequence = seq;
+      sequenceStart = index;
+    }
+
+    const image = readFrame(path.join(dir, label.file), options);
+    const timestamp = label.timestamp !== undefined
+      ? label.timestamp
+      : ((index - sequenceStart) / fps) * 1000;
+    const record = replay.step(image, { file: label.file, timestamp });
+
+    const trueR = label.R || rodrigues(label.rvec);
+    const trueT = label.tvec;
+    const distance = label.distance !== undefined
+      ? label.distance
+      : Math.hypot(trueT[0], trueT[1], trueT[2]) / 1000;
+
+    const row = {
+      file: label.file,
+      sequence: seq,
+      timestamp,
+      distance,
+      bucket: Math.round(distance / options.bucket) * options.bucket,
+      state: record.state,
+      detected: !!record.pose,
+      matched: !!record.match,
+      candidates: record.candidates.length,
+      positionErrorCm: null,
+      rotationErrorDeg: null,
+      reprojError: null,
+      estDistance: null,
+      ledDiameterPx: null,
+      measuredDiameterPx: null,
+      snr: null
+    };
+
+    if (record.pose) {
+      const t = record.pose.tvec;
+      row.positionErrorCm = Math.hypot(t[0] - trueT[0], t[1] - trueT[1], t[2] - trueT[2]) / 10;
+      row.rotationErrorDeg = rotationError(rodrigues(record.pose.rvec), trueR);
+      row.reprojError = record.pose.reprojError;
+      row.estDistance = record.pose.distance;
+    }
+
+    // LED size and SNR at the labelled image points (or the tracked ones)
+    const points = label.imagePoints && label.imagePoints.length
+      ? label.imagePoints
+      : (record.tracked || []).map(p => ({ id: p.id, x: p.px, y: p.py }));
+    if (points.length) {
+      row.ledDiameterPx = mean(points.filter(p => p.diameterPx).map(p => p.diameterPx));
+      row.measuredDiameterPx = measureDiameter(record, points, downscale);
+      row.snr = mean(points.map(p => measureSNR(image, p.x, p.y, p.diameterPx)).filter(v => v !== null));
+    }
+
+    rows.push(row);
+  });
+
+  return rows;
+}
+
+/**
+ * Detection runs within each sequence.
+ * @returns {{ longestRunSec, durationSec, dropouts: Array<number> }} dropouts = lengths (frames)
+ */
+function streaks(rows) {
+  const dropouts = [];
+  let longestRunSec = 0;
+  let durationSec = 0;
+
+  const bySequence = new Map();
+  for (const row of rows) {
+    if (!bySequence.has(row.sequence)) bySequence.set(row.sequence, []);
+    bySequence.get(row.sequence).push(row);
+  }
+
+  for (const seqRows of bySequence.values()) {
+    const frameSec = seqRows.length > 1
+      ? (seqRows[seqRows.length - 1].timestamp - seqRows[0].timestamp) / (seqRows.length - 1) / 1000
+      : 0;
+    durationSec += seqRows.length * frameSec;
+
+    let runStart = null;
+    let gap = 0;
+    seqRows.forEach((row, i) => {
+      if (row.detected) {
+        if (gap > 0) dropouts.push(gap);
+        gap = 0;
+        if (runStart === null) runStart = i;
+        longestRunSec = Math.max(longestRunSec, (i - runStart + 1) * frameSec);
+      } else {
+        // Leading misses are acquisition time, not a dropout
+        if (runStart !== null) gap++;
+        runStart = null;
+      }
+    });
+    if (gap > 0) dropouts.push(gap);
+  }
+
+  return { longestRunSec, durationSec, dropouts };
+}
+
+/**
+ * Aggregate per-frame rows into per-bucket statistics plus the v1 gate verdict.
+ */
+function summarize(rows) {
+  const buckets = new Map();
+  for (const row of rows) {
+    if (!buckets.has(row.bucket)) buckets.set(row.bucket, []);
+    buckets.get(row.bucket).push(row);
+  }
+
+  const summary = [...buckets.keys()].sort((a, b) => a - b).map(bucket => {
+    const bucketRows = buckets.get(bucket);
+    const detected = bucketRows.filter(r => r.detected);
+    const posErr = detected.map(r => r.positionErrorCm);
+    const run = streaks(bucketRows);
+    const pick = key => bucketRows.map(r => r[key]).filter(v => v !== null);
+
+    return {
+      bucket,
+      frames: bucketRows.length,
+      detected: detected.length,
+      detectionRate: detected.length / bucketRows.length,
+      matchRate: bucketRows.filter(r => r.matched).length / bucketRows.length,
+      meanPositionErrorCm: mean(posErr),
+      medianPositionErrorCm: percentile(posErr, 0.5),
+      p95PositionErrorCm: percentile(posErr, 0.95),
+      meanRotationErrorDeg: mean(detected.map(r => r.rotationErrorDeg)),
+      meanReprojError: mean(detected.map(r => r.reprojError)),
+      dropouts: run.dropouts.length,
+      maxDropoutFrames: run.dropouts.length ? Math.max(...run.dropouts) : 0,
+      longestRunSec: run.longestRunSec,
+      durationSec: run.durationSec,
+      ledDiameterPx: mean(pick('ledDiameterPx')),
+      measuredDiameterPx: mean(pick('measuredDiameterPx')),
+      snr: mean(pick('snr'))
+    };
+  });
+
+  // v1 gate over the 2–5 m range
+  const inRange = summary.filter(s => s.bucket >= GATE.minDistance && s.bucket <= GATE.maxDistance);
+  const gateRows = rows.filter(r => r.detected && r.bucket >= GATE.minDistance && r.bucket <= GATE.maxDistance);
+  const meanErrorCm = mean(gateRows.map(r => r.positionErrorCm));
+  const continuous = inRange.length > 0 && inRange.every(s => s.longestRunSec >= GATE.minContinuousSec);
+  const tooShort = inRange.some(s => s.durationSec < GATE.minContinuousSec);
+
+  const gate = {
+    ...GATE,
+    buckets: inRange.map(s => s.bucket),
+    meanErrorCm,
+    errorPass: meanErrorCm !== null && meanErrorCm <= GATE.maxMeanErrorCm,
+    continuousPass: continuous,
+    note: inRange.length === 0
+      ? 'no frames in the gate range'
+      : tooShort ? `some clips are shorter than ${GATE.minContinuousSec} s` : ''
+  };
+  gate.pass = gate.errorPass && gate.continuousPass;
+
+  return { summary, gate };
+}
+
+// --- Output ---
+
+const FRAME_COLUMNS = [
+  'file', 'sequence', 'timestamp', 'distance', 'bucket', 'state', 'detected', 'matched',
+  'candidates', 'positionErrorCm', 'rotationErrorDeg', 'reprojError', 'estDistance',
+  'ledDiameterPx', 'measuredDiameterPx', 'snr'
+];
+
+const SUMMARY_COLUMNS = [
+  'bucket', 'frames', 'detected', 'detectionRate', 'matchRate', 'meanPositionErrorCm',
+  'medianPositionErrorCm', 'p95PositionErrorCm', 'meanRotationErrorDeg', 'meanReprojError',
+  'dropouts', 'maxDropoutFrames', 'longestRunSec', 'durationSec', 'ledDiameterPx',
+  'measuredDiameterPx', 'snr'
+];
+
+function formatValue(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'number') return Number.isInteger(v) ? String(v) : v.toFixed(3);
+  if (typeof v === 'boolean') return v ? '1' : '0';
+  return String(v);
+}
+
+function toCSV(rows, columns) {
+  const escape = s => (/[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+  return [columns.join(',')]
+    .concat(rows.map(row => columns.map(c => escape(formatValue(row[c]))).join(',')))
+    .join('\n') + '\n';
+}
+
+function escapeHTML(s) {
+  return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+/**
+ * Inline SVG line chart of one summary column against distance.
+ */
+function chartSVG(summary, key, label, limit) {
+  const W = 420, H = 220, pad = 40;
+  const points = summary.filter(s => s[key] !== null);
+  if (!points.length) return `<p>${escapeHTML(label)}: no data</p>`;
+
+  const xMax = Math.max(...summary.map(s => s.bucket), 1);
+  const yMax = Math.max(...points.map(s => s[key]), limit || 0) * 1.1 || 1;
+  const sx = x => pad + (x / xMax) * (W - 2 * pad);
+  const sy = y => H - pad - (y / yMax) * (H - 2 * pad);
+
+  const path = points.map((s, i) => `${i ? 'L' : 'M'}${sx(s.bucket).toFixed(1)},${sy(s[key]).toFixed(1)}`).join(' ');
+  const dots = points.map(s =>
+    `<circle cx="${sx(s.bucket).toFixed(1)}" cy="${sy(s[key]).toFixed(1)}" r="3"><title>${s.bucket} m: ${formatValue(s[key])}</title></circle>`
+  ).join('');
+  const limitLine = limit !== undefined
+    ? `<line x1="${pad}" x2="${W - pad}" y1="${sy(limit)}" y2="${sy(limit)}" stroke="#c33" stroke-dasharray="4 3"/>`
+    : '';
+  const ticks = summary.map(s =>
+    `<text x="${sx(s.bucket)}" y="${H - pad + 14}" text-anchor="middle">${s.bucket}</text>`
+  ).join('');
+
+  return `<svg width="${W}" height="${H}" font-size="10" font-family="sans-serif">
+  <text x="${W / 2}" y="14" text-anchor="middle" font-size="12">${escapeHTML(label)}</text>
+  <line x1="${pad}" y1="${H - pad}" x2="${W - pad}" y2="${H - pad}" stroke="#888"/>
+  <line x1="${pad}" y1="${pad / 2}" x2="${pad}" y2="${H - pad}" stroke="#888"/>
+  <text x="${pad - 4}" y="${sy(yMax / 1.1) + 4}" text-anchor="end">${formatValue(yMax / 1.1)}</text>
+  <text x="${pad - 4}" y="${H - pad + 4}" text-anchor="end">0</text>
+  ${ticks}
+  <text x="${W / 2}" y="${H - 6}" text-anchor="middle">distance (m)</text>
+  ${limitLine}
+  <path d="${path}" fill="none" stroke="#2a6fdb" stroke-width="2"/>
+  <g fill="#2a6fdb">${dots}</g>
+</svg>`;
+}
+
+function toHTML(summary, gate, meta) {
+  const header = SUMMARY_COLUMNS.map(c => `<th>${c}</th>`).join('');
+  const body = summary.map(s =>
+    `<tr>${SUMMARY_COLUMNS.map(c => `<td>${formatValue(s[c])}</td>`).join('')}</tr>`
+  ).join('\n');
+  const verdict = gate.pass ? 'PASS' : 'FAIL';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>LightTag benchmark</title>
+<style>
+  body { font-family: sans-serif; margin: 24px; color: #222; }
+  table { border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: right; }
+  th { background: #f0f0f0; }
+  .pass { color: #197a2c; } .fail { color: #c33; }
+  .charts { display: flex; flex-wrap: wrap; gap: 16px; margin: 16px 0; }
+</style>
+</head>
+<body>
+<h1>LightTag benchmark</h1>
+<p>${escapeHTML(meta.dataset)} — ${meta.frames} frames — ${escapeHTML(meta.date)}</p>
+<h2>v1 gate (PRD §9): <span class="${gate.pass ? 'pass' : 'fail'}">${verdict}</span></h2>
+<ul>
+  <li>Mean position error at ${gate.minDistance}–${gate.maxDistance} m:
+    ${gate.meanErrorCm === null ? 'n/a' : gate.meanErrorCm.toFixed(2) + ' cm'}
+    (≤ ${gate.maxMeanErrorCm} cm) — <span class="${gate.errorPass ? 'pass' : 'fail'}">${gate.errorPass ? 'pass' : 'fail'}</span></li>
+  <li>${gate.minContinuousSec} s without dropouts in every bucket —
+    <span class="${gate.continuousPass ? 'pass' : 'fail'}">${gate.continuousPass ? 'pass' : 'fail'}</span></li>
+  ${gate.note ? `<li>Note: ${escapeHTML(gate.note)}</li>` : ''}
+</ul>
+<div class="charts">
+${chartSVG(summary, 'meanPositionErrorCm', 'Mean position error (cm)', gate.maxMeanErrorCm)}
+${chartSVG(summary, 'meanRotationErrorDeg', 'Mean rotation error (deg)')}
+${chartSVG(summary, 'detectionRate', 'Detection rate')}
+${chartSVG(summary, 'ledDiameterPx', 'LED diameter (px)')}
+${chartSVG(summary, 'snr', 'LED SNR')}
+</div>
+<table>
+<tr>${header}</tr>
+${body}
+</table>
+</body>
+</html>
+`;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  if (options.help || options.inputs.length !== 1) {
+    console.error('Usage: node tools/benchmark.js [--out dir] [--bucket m] [--fps n] [--downscale n] ' +
+      '[--sensitivity level] [--intrinsics fx,fy,cx,cy[,k1,k2,p1,p2,k3]] [--no-refine] [--imu log] ' +
+      '<dataset dir | labels.json>');
+    process.exit(options.help ? 0 : 2);
+  }
+
+  const { labels, dir } = loadLabels(options.inputs[0]);
+  const rows = runBenchmark(labels, dir, options);
+  const { summary, gate } = summarize(rows);
+
+  const out = options.out || path.join(dir, 'benchmark');
+  fs.mkdirSync(out, { recursive: true });
+  fs.writeFileSync(path.join(out, 'frames.csv'), toCSV(rows, FRAME_COLUMNS));
+  fs.writeFileSync(path.join(out, 'summary.csv'), toCSV(summary, SUMMARY_COLUMNS));
+  fs.writeFileSync(path.join(out, 'report.html'), toHTML(summary, gate, {
+    dataset: options.inputs[0],
+    frames: rows.length,
+    date: new Date().toISOString()
+  }));
+
+  for (const s of summary) {
+    console.error(`${String(s.bucket).padStart(5)} m  detect ${(s.detectionRate * 100).toFixed(0).padStart(3)}%  ` +
+      `err ${s.meanPositionErrorCm === null ? '   n/a' : s.meanPositionErrorCm.toFixed(1).padStart(6)} cm  ` +
+      `dropouts ${s.dropouts}  LED ${s.ledDiameterPx === null ? 'n/a' : s.ledDiameterPx.toFixed(1)} px  ` +
+      `SNR ${s.snr === null ? 'n/a' : s.snr.toFixed(1)}`);
+  }
+  console.error(`v1 gate: ${gate.pass ? 'PASS' : 'FAIL'}${gate.note ? ` (${gate.note})` : ''} — wrote ${out}`);
+  process.exit(gate.pass ? 0 : 1);
+}
+
+if (require.main === module) main();
+
+module.exports = { runBenchmark, summarize, loadLabels, parseArgs };
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// ===================================================================
+// Offline camera calibration
+// Detects a checkerboard in each frame, runs CameraCalibrator and
+// prints the intrinsics + distortion as JSON
+//
+// Usage:
+//   node tools/calibrate.js [options] <frame.png|dir>...
+//
+// Options:
+//   --cols <n>             Inner corners per row (default 9)
+//   --rows <n>             Inner corners per column (default 6)
+//   --square <mm>          Square size (default 25)
+//   --raw-size <WxH>       Size of raw RGBA dumps without a sidecar .json
+//   --out <file>           Write the JSON to a file instead of stdout
+// ===================================================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadModules } = require('./load-modules');
+const { listFrameFiles, readFrame } = require('./frames');
+
+function parseArgs(argv) {
+  const options = { inputs: [], cols: 9, rows: 6, square: 25 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--cols': options.cols = parseInt(next(), 10); break;
+      case '--rows': options.rows = parseInt(next(), 10); break;
+      case '--square': options.square = parseFloat(next()); break;
+      case '--raw-size': options.rawSize = next(); break;
+      case '--out': options.out = next(); break;
+      case '-h':
+      case '--help': options.help = true; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        options.inputs.push(arg);
+    }
+  }
+  return options;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  if (options.help || options.inputs.length === 0) {
+    console.error('Usage: node tools/calibrate.js [--cols n] [--rows n] [--square mm] ' +
+      '[--raw-size WxH] [--out file] <frames...>');
+    process.exit(options.help ? 0 : 2);
+  }
+
+  const { CameraCalibrator } = loadModules();
+  const calibrator = new CameraCalibrator({
+    target: 'checkerboard',
+    cols: options.cols,
+    rows: options.rows,
+    squareSize: options.square
+  });
+
+  for (const file of listFrameFiles(options.inputs)) {
+    const res = calibrator.addCheckerboardFrame(readFrame(file, options));
+    console.error(`${path.basename(file)}: ${res.added ? 'added' : res.reason}`);
+  }
+
+  const result = calibrator.calibrate();
+  if (!result.success) {
+    console.error(`Calibration failed: ${result.error}`);
+    process.exit(1);
+  }
+
+  const json = JSON.stringify(result, null, 2) + '\n';
+  if (options.out) fs.writeFileSync(options.out, json);
+  else process.stdout.write(json);
+  console.error(`RMS reprojection error ${result.rms.toFixed(3)} px over ${result.views} views`);
+}
+
+if (require.main === module) main();
+
+module.exports = { parseArgs };
@@ -0,0 +1,90 @@
+// ===================================================================
+// Frame input helpers for the Node tools
+// Reads PNG files, raw RGBA dumps and directories of either
+// ===================================================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { decodePNG } = require('./png');
+
+const FRAME_EXTENSIONS = ['.png', '.rgba', '.raw'];
+
+/**
+ * Expand file/directory arguments into a sorted list of frame files.
+ * @param {Array<string>} inputs
+ * @returns {Array<string>}
+ */
+function listFrameFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    const stat = fs.statSync(input);
+    if (stat.isDirectory()) {
+      const entries = fs.readdirSync(input)
+        .filter(name => FRAME_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      for (const name of entries) files.push(path.join(input, name));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+/**
+ * Read one frame as RGBA8.
+ * Raw dumps (.rgba/.raw) are tightly packed RGBA and need a size, either from
+ * options.rawSize ("WxH") or a sidecar JSON file ({ "width", "height" }).
+ * @param {string} file
+ * @param {Object} [options]
+ * @param {string} [options.rawSize]
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+function readFrame(file, options = {}) {
+  const ext = path.extname(file).toLowerCase();
+  const buf = fs.readFileSync(file);
+
+  if (ext === '.png') return decodePNG(buf);
+
+  let size = null;
+  if (options.rawSize) {
+    const m = /^(\d+)x(\d+)$/i.exec(options.rawSize);
+    if (m) size = { width: +m[1], height: +m[2] };
+  }
+  const sidecar = file.slice(0, -ext.length) + '.json';
+  if (!size && fs.existsSync(sidecar)) {
+    const meta = JSON.parse(fs.readFileSync(sidecar, 'utf8'));
+    size = { width: meta.width, height: meta.height };
+  }
+  if (!size) throw new Error(`Raw frame ${file} needs --raw-size WxH or a sidecar .json`);
+  if (buf.length !== size.width * size.height * 4) {
+    throw new Error(`Raw frame ${file} is ${buf.length} bytes, expected ${size.width}x${size.height}x4`);
+  }
+
+  return {
+    data: new Uint8ClampedArray(buf.buffer, buf.byteOffset, buf.length),
+    width: size.width,
+    height: size.height
+  };
+}
+
+/**
+ * Wrap RGBA frame data in a minimal 2D-context stand-in so
+ * BlobDetector.refinePositions() can call getImageData() on it.
+ * @param {{ data, width, height }} image
+ */
+function imageDataContext(image) {
+  return {
+    getImageData(x0, y0, w, h) {
+      const out = new Uint8ClampedArray(w * h * 4);
+      for (let y = 0; y < h; y++) {
+        const src = ((y0 + y) * image.width + x0) * 4;
+        out.set(image.data.subarray(src, src + w * 4), y * w * 4);
+      }
+      return { data: out, width: w, height: h };
+    }
+  };
+}
+
+module.exports = { listFrameFiles, readFrame, imageDataContext };
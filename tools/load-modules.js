@@ -0,0 +1,86 @@
+// ===================================================================
+// Load the browser detection modules into Node
+// Runs the same <script> files index.html loads inside one vm context
+// and hands back their top-level classes/constants
+// ===================================================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// DOM-free modules, in index.html load order
+const MODULE_FILES = [
+  'blue-filter.js',
+  'blue-filter-cpu.js',
+  'peak-detector.js',
+  'blob-detector.js',
+  'constellation.js',
+  'geometry-matcher.js',
+  'pnp-solver.js',
+  'pose-converter.js',
+  'kalman.js',
+  'pose-filter.js',
+  'imu-fusion.js',
+  'data-bar-locator.js',
+  'id-decoder.js',
+  'tag-track.js',
+  'site-map.js',
+  'pipeline.js',
+  'checkerboard-detector.js',
+  'camera-calibrator.js',
+  'intrinsics-store.js'
+];
+
+// Top-level bindings exported to Node callers
+const EXPORTS = [
+  'BlueFilter',
+  'CpuBlueFilter',
+  'PeakDetector',
+  'BlobDetector',
+  'CONSTELLATION_FORMAT',
+  'DEFAULT_CONSTELLATION',
+  'Constellation',
+  'LED_GEOMETRY',
+  'GeometryMatcher',
+  'PnPSolver',
+  'PoseConverter',
+  'SimpleKalman',
+  'LEDTracker',
+  'PoseKalmanFilter',
+  'MotionSensorFusion',
+  'DataBarLocator',
+  'OpticalIdDecoder',
+  'crc16Ibm',
+  'TagTrack',
+  'SITE_MAP_FORMAT',
+  'SiteMap',
+  'SiteLocalizer',
+  'DetectionPipeline',
+  'CheckerboardDetector',
+  'CameraCalibrator',
+  'IntrinsicsProfileStore'
+];
+
+let cached = null;
+
+/**
+ * @returns {Object} Map of export name → class/constant from the browser modules
+ */
+function loadModules() {
+  if (cached) return cached;
+
+  const context = vm.createContext({ console, performance, Math, Date });
+  for (const file of MODULE_FILES) {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  }
+
+  cached = vm.runInContext(`({ ${EXPORTS.join(', ')} })`, context);
+  return cached;
+}
+
+module.exports = { loadModules, MODULE_FILES };
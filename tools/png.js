@@ -0,0 +1,210 @@
+// ===================================================================
+// Minimal PNG codec for the Node tools
+// Non-interlaced PNG ↔ RGBA8 ImageData-like { data, width, height }
+// Uses only Node's built-in zlib
+// ===================================================================
+
+'use strict';
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each PNG color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Decode a PNG buffer.
+ * @param {Buffer} buf - PNG file contents
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }} RGBA8 pixels
+ */
+function decodePNG(buf) {
+  if (buf.length < 8 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  while (offset < buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const type = buf.toString('ascii', offset + 4, offset + 8);
+    const chunk = buf.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) throw new Error('PNG missing IHDR');
+  if (header.interlace) throw new Error('Interlaced PNG not supported');
+  const channels = CHANNELS[header.colorType];
+  if (!channels) throw new Error(`Unsupported PNG color type ${header.colorType}`);
+  if (header.colorType === 3 && !palette) throw new Error('PNG palette missing');
+
+  const { width, height, bitDepth, colorType } = header;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const bpp = Math.max(1, bitsPerPixel >> 3); // filter byte distance
+  const pixels = unfilter(raw, stride, height, bpp);
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+
+  // Read sample k (0-based) of a row as an 8-bit value (16-bit keeps the high byte)
+  const sample = (row, k) => {
+    if (bitDepth === 8) return pixels[row + k];
+    if (bitDepth === 16) return pixels[row + k * 2];
+    const bitPos = k * bitDepth;
+    const byte = pixels[row + (bitPos >> 3)];
+    const shift = 8 - bitDepth - (bitPos & 7);
+    return (byte >> shift) & maxSample;
+  };
+  const scale = v => (colorType === 3 ? v : Math.round((v * 255) / maxSample));
+
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const k = x * channels;
+
+      if (colorType === 3) {
+        const index = sample(row, k);
+        data[o] = palette[index * 3];
+        data[o + 1] = palette[index * 3 + 1];
+        data[o + 2] = palette[index * 3 + 2];
+        data[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        const g = scale(sample(row, k));
+        data[o] = data[o + 1] = data[o + 2] = g;
+        data[o + 3] = colorType === 4 ? scale(sample(row, k + 1)) : 255;
+      } else {
+        data[o] = scale(sample(row, k));
+        data[o + 1] = scale(sample(row, k + 1));
+        data[o + 2] = scale(sample(row, k + 2));
+        data[o + 3] = colorType === 6 ? scale(sample(row, k + 3)) : 255;
+      }
+    }
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Reverse the per-scanline PNG filters.
+ */
+function unfilter(raw, stride, height, bpp) {
+  const out = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    const prev = dst - stride;
+
+    for (let i = 0; i < stride; i++) {
+      const x = raw[src + i];
+      const a = i >= bpp ? out[dst + i - bpp] : 0;
+      const b = y > 0 ? out[prev + i] : 0;
+      const c = i >= bpp && y > 0 ? out[prev + i - bpp] : 0;
+
+      let value;
+      switch (filter) {
+        case 0: value = x; break;
+        case 1: value = x + a; break;
+        case 2: value = x + b; break;
+        case 3: value = x + ((a + b) >> 1); break;
+        case 4: {
+          const p = a + b - c;
+          const pa = Math.abs(p - a);
+          const pb = Math.abs(p - b);
+          const pc = Math.abs(p - c);
+          value = x + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+          break;
+        }
+        default:
+          throw new Error(`Bad PNG filter type ${filter}`);
+      }
+      out[dst + i] = value & 0xff;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Encode RGBA8 pixels as a PNG (color type 6, no filtering).
+ * @param {{ data, width, height }} image
+ * @returns {Buffer} PNG file contents
+ */
+function encodePNG(image) {
+  const { data, width, height } = image;
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 6;  // RGBA
+  ihdr[10] = 0; // compression
+  ihdr[11] = 0; // filter
+  ihdr[12] = 0; // interlace
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+let CRC_TABLE = null;
+
+function crc32(buf) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = { decodePNG, encodePNG };
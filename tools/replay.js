@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+// ===================================================================
+// Headless frame replay
+// Feeds recorded RGBA frames through the full DetectionPipeline and
+// prints one JSON line per frame (candidates, matched IDs, pose, and
+// every tracked tag under "tags")
+//
+// Usage:
+//   node tools/replay.js [options] <frame.png|frame.rgba|dir>...
+//
+// Options:
+//   --fps <n>              Frame rate used for timestamps (default 30)
+//   --downscale <n>        BlueFilter downscale factor (default 4)
+//   --sensitivity <level>  GeometryMatcher preset: low | medium | high
+//   --max-tags <n>         Tags detected and tracked at once (default 4)
+//   --site-map <file>      Site map JSON; records the camera pose in the site
+//                          frame from the mapped tags in view ("site")
+//   --constellation <file> LED constellation JSON (default: the 5-LED LightTag)
+//   --intrinsics fx,fy,cx,cy[,k1,k2,p1,p2,k3]
+//                          Camera intrinsics and optional Brown-Conrady
+//                          distortion (default: estimated from size, no distortion)
+//   --raw-size <WxH>       Size of raw RGBA dumps without a sidecar .json
+//   --no-refine            Skip full-res sub-pixel refinement
+//   --imu <log.ndjson>     Replay recorded motion sensor samples (MotionSensorFusion
+//                          log); frame timestamps come from its "frame" entries,
+//                          matched by file name or else by order
+//   --pose-frame <frame>   Also record each pose converted by PoseConverter
+//                          ("output"): tag-in-camera | camera-in-tag
+//   --pose-axes <axes>     Camera axes of the converted pose: opencv | opengl
+//   --handedness <h>       right | left
+//   --units <u>            mm | cm | m | in
+//   --euler-order <order>  XYZ | XZY | YXZ | YZX | ZXY | ZYX (default ZYX)
+//   --angle-units <u>      deg | rad
+//                          Any of the six enables the converted output
+//   --out <file>           Write NDJSON to a file instead of stdout
+// ===================================================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadModules } = require('./load-modules');
+const { listFrameFiles, readFrame, imageDataContext } = require('./frames');
+
+/**
+ * Create a replay session around a fresh DetectionPipeline.
+ * @param {Object} [options] - Parsed CLI options (see usage above)
+ * @returns {{ pipeline: DetectionPipeline, step: Function }}
+ */
+function createReplay(options = {}) {
+  const { DetectionPipeline, MotionSensorFusion, SiteMap, Constellation, PoseConverter } = loadModules();
+  const pipeline = new DetectionPipeline({
+    sensitivity: options.sensitivity || 'medium',
+    downscale: options.downscale || 4,
+    maxTags: options.maxTags,
+    siteMap: options.siteMap ? SiteMap.fromJSON(fs.readFileSync(options.siteMap, 'utf8')) : null
+  });
+  if (options.constellation) {
+    pipeline.setConstellation(Constellation.fromJSON(fs.readFileSync(options.constellation, 'utf8')));
+  }
+
+  // Recorded IMU log: sensor samples for the pipeline, frame times on the sensor clock
+  let loggedFrames = null;
+  if (options.imu) {
+    pipeline.motionFusion = new MotionSensorFusion();
+    loggedFrames = pipeline.motionFusion.loadLog(loadMotionLog(options.imu));
+  }
+
+  const converter = options.poseOutput ? new PoseConverter(options.poseOutput) : null;
+  const fps = options.fps || 30;
+  let frameIndex = 0;
+  let lastSize = null;
+
+  /**
+   * Process one RGBA frame.
+   * @param {{ data, width, height }} image
+   * @param {Object} [meta] - Extra fields copied into the output record
+   * @returns {Object} JSON-serializable frame record
+   */
+  function step(image, meta = {}) {
+    const size = `${image.width}x${image.height}`;
+    if (size !== lastSize) {
+      if (options.intrinsics) {
+        const [fx, fy, cx, cy, k1, k2, p1, p2, k3] = options.intrinsics;
+        pipeline.pnpSolver.setIntrinsics(fx, fy, cx, cy, { k1, k2, p1, p2, k3 });
+      } else {
+        pipeline.pnpSolver.estimateIntrinsics(image.width, image.height);
+      }
+      lastSize = size;
+    }
+
+    let timestamp = meta.timestamp !== undefined ? meta.timestamp : (frameIndex / fps) * 1000;
+    if (loggedFrames) {
+      const name = meta.file ? path.basename(meta.file) : null;
+      const entry = loggedFrames.find(f => f.file && f.file === name) ||
+        (loggedFrames.every(f => !f.file) ? loggedFrames[frameIndex] : null);
+      if (entry) timestamp = entry.t;
+    }
+    const result = pipeline.processFrame({
+      source: image,
+      width: image.width,
+      height: image.height,
+      getPixelContext: options.refine === false ? null : () => imageDataContext(image),
+      timestamp
+    });
+
+    const record = {
+      frame: frameIndex,
+      timestamp,
+      ...meta,
+      width: image.width,
+      height: image.height,
+      state: result.state,
+      candidates: result.candidates.map(c => ({
+        x: c.x,
+        y: c.y,
+        area: c.area,
+        brightness: c.maxRealBrightness || c.realBrightness || 0,
+        blueDiff: c.maxBrightness || c.brightness || 0,
+        peak: !!c.isPeak
+      })),
+      match: result.match && result.match.success ? {
+        ids: result.match.points.map(p => p.id),
+        score: result.match.score,
+        metrics: result.match.metrics
+      } : null,
+      tracked: result.tracked ? result.tracked.map(p => ({
+        id: p.id,
+        x: p.x,
+        y: p.y,
+        px: p.x * image.width,
+        py: p.y * image.height,
+        detected: !!p.detected
+      })) : null,
+      pose: poseRecord(result.pose, converter),
+      barLevels: result.barLevels,
+      tagId: result.tagId,
+      tags: result.tags.map(tag => ({
+        trackId: tag.trackId,
+        tagId: tag.tagId,
+        acquired: !!tag.match,
+        tracked: tag.tracked ? tag.tracked.map(p => ({ id: p.id, px: p.x * image.width, py: p.y * image.height })) : null,
+        pose: poseRecord(tag.pose, converter)
+      })),
+      site: result.site ? {
+        success: result.site.success,
+        tagIds: result.site.tagIds,
+        pointCount: result.site.pointCount,
+        reprojError: result.site.reprojError,
+        position: result.site.position,
+        euler: result.site.euler,
+        uncertainty: result.site.uncertainty
+      } : null
+    };
+    if (result.error) record.error = String(result.error.message || result.error);
+
+    frameIndex++;
+    return record;
+  }
+
+  return { pipeline, step };
+}
+
+/**
+ * JSON-serializable subset of a pipeline pose.
+ * @param {Object|null} pose
+ * @param {PoseConverter} [converter] - Adds the converted pose as "output"
+ */
+function poseRecord(pose, converter = null) {
+  if (!pose) return null;
+  return {
+    tvec: pose.tvec,
+    rvec: pose.rvec,
+    euler: pose.euler,
+    distance: pose.distance,
+    reprojError: pose.reprojError,
+    residuals: pose.residuals,
+    outlier: pose.outlier,
+    method: pose.method,
+    ambiguity: pose.ambiguity,
+    uncertainty: pose.uncertainty,
+    degraded: pose.degraded,
+    missingIds: pose.missingIds,
+    velocity: pose.velocity,
+    nis: pose.nis,
+    measured: {
+      tvec: pose.measured.tvec,
+      rvec: pose.measured.rvec,
+      euler: pose.measured.euler
+    },
+    ...(converter ? { output: converter.convert(pose) } : {})
+  };
+}
+
+/**
+ * Parse a MotionSensorFusion NDJSON log (blank lines ignored).
+ * @param {string} file
+ * @returns {Array<Object>} Entries
+ */
+function loadMotionLog(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${file}:${i + 1}: invalid JSON`);
+      }
+    });
+}
+
+/**
+ * fx,fy,cx,cy must be positive; up to five distortion terms may follow.
+ */
+function validIntrinsics(values) {
+  return values.length >= 4 && values.length <= 9 &&
+    values.slice(0, 4).every(v => v > 0) &&
+    values.slice(4).every(v => Number.isFinite(v));
+}
+
+function parseArgs(argv) {
+  const options = { inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    const poseOutput = () => (options.poseOutput = options.poseOutput || {});
+    switch (arg) {
+      case '--fps': options.fps = parseFloat(next()); break;
+      case '--downscale': options.downscale = parseFloat(next()); break;
+      case '--sensitivity': options.sensitivity = next(); break;
+      case '--max-tags': options.maxTags = parseInt(next(), 10); break;
+      case '--site-map': options.siteMap = next(); break;
+      case '--constellation': options.constellation = next(); break;
+      case '--intrinsics': options.intrinsics = next().split(',').map(Number); break;
+      case '--raw-size': options.rawSize = next(); break;
+      case '--no-refine': options.refine = false; break;
+      case '--imu': options.imu = next(); break;
+      case '--pose-frame': poseOutput().frame = next(); break;
+      case '--pose-axes': poseOutput().axes = next(); break;
+      case '--handedness': poseOutput().handedness = next(); break;
+      case '--units': poseOutput().units = next(); break;
+      case '--euler-order': poseOutput().eulerOrder = next().toUpperCase(); break;
+      case '--angle-units': poseOutput().angleUnits = next(); break;
+      case '--out': options.out = next(); break;
+      case '-h':
+      case '--help': options.help = true; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        options.inputs.push(arg);
+    }
+  }
+  if (options.intrinsics && !validIntrinsics(options.intrinsics)) {
+    throw new Error('--intrinsics expects fx,fy,cx,cy[,k1,k2,p1,p2,k3]');
+  }
+  return options;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  if (options.help || options.inputs.length === 0) {
+    console.error('Usage: node tools/replay.js [--fps n] [--downscale n] [--sensitivity level] ' +
+      '[--max-tags n] [--site-map file] [--constellation file] [--intrinsics fx,fy,cx,cy[,k1,k2,p1,p2,k3]] [--raw-size WxH] [--no-refine] [--imu log] ' +
+      '[--pose-frame frame] [--pose-axes axes] [--handedness h] [--units u] [--euler-order order] [--angle-units u] ' +
+      '[--out file] <frames...>');
+    process.exit(options.help ? 0 : 2);
+  }
+
+  const files = listFrameFiles(options.inputs);
+  const out = options.out ? fs.createWriteStream(options.out) : process.stdout;
+  const replay = createReplay(options);
+
+  for (const file of files) {
+    const image = readFrame(file, options);
+    out.write(JSON.stringify(replay.step(image, { file })) + '\n');
+  }
+
+  if (options.out) out.end();
+}
+
+if (require.main === module) main();
+
+module.exports = { createReplay, parseArgs, validIntrinsics, loadMotionLog };
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+// ===================================================================
+// Synthetic dataset generator
+// Writes PNG frames of the LightTag at known poses plus labels.json
+// (ground-truth pose, intrinsics and LED image points per frame).
+// Each distance is one continuous clip: the view pans smoothly between
+// two random poses so tracking and dropout streaks can be measured
+//
+// Usage:
+//   node tools/synth.js --out <dir> [options]
+//
+// Options:
+//   --distances <list>     Distances in meters (default 1,3,5,8,10)
+//   --frames <n>           Frames per distance (default 10; 90+ covers the 3 s gate)
+//   --fps <n>              Clip frame rate for timestamps (default 30)
+//   --size <WxH>           Frame size (default 1920x1080)
+//   --angle <deg>          Max random yaw/pitch (default 20)
+//   --roll <deg>           Max random roll (default 10)
+//   --noise <sigma>        Sensor noise in 8-bit levels (default 2)
+//   --distractors <n>      Random distractor lights per frame (default 3)
+//   --led-diameter <mm>    LED diameter (default 5)
+//   --seed <n>             PRNG seed (default 1)
+//   --imu                  Also write imu.ndjson: gyro samples consistent with the
+//                          clips' relative rotation (as if the camera turned) plus
+//                          frame entries, on one clock across clips
+//   --imu-rate <hz>        Gyro sample rate (default 200)
+//   --gyro-noise <deg/s>   Gyro noise 1-sigma (default 0.3)
+// ===================================================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { encodePNG } = require('./png');
+const { renderFrame, poseFromView, createRng, gaussian } = require('./synthetic');
+
+const DEG = Math.PI / 180;
+
+function parseArgs(argv) {
+  const options = {
+    distances: [1, 3, 5, 8, 10],
+    frames: 10,
+    fps: 30,
+    width: 1920,
+    height: 1080,
+    angle: 20,
+    roll: 10,
+    noise: 2,
+    distractors: 3,
+    ledDiameter: 5,
+    seed: 1,
+    imu: false,
+    imuRate: 200,
+    gyroNoise: 0.3
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--out': options.out = next(); break;
+      case '--distances': options.distances = next().split(',').map(Number); break;
+      case '--frames': options.frames = parseInt(next(), 10); break;
+      case '--fps': options.fps = parseFloat(next()); break;
+      case '--size': {
+        const m = /^(\d+)x(\d+)$/i.exec(next());
+        if (!m) throw new Error('--size expects WxH');
+        options.width = +m[1];
+        options.height = +m[2];
+        break;
+      }
+      case '--angle': options.angle = parseFloat(next()); break;
+      case '--roll': options.roll = parseFloat(next()); break;
+      case '--noise': options.noise = parseFloat(next()); break;
+      case '--distractors': options.distractors = parseInt(next(), 10); break;
+      case '--led-diameter': options.ledDiameter = parseFloat(next()); break;
+      case '--seed': options.seed = parseInt(next(), 10); break;
+      case '--imu': options.imu = true; break;
+      case '--imu-rate': options.imuRate = parseFloat(next()); break;
+      case '--gyro-noise': options.gyroNoise = parseFloat(next()); break;
+      case '-h':
+      case '--help': options.help = true; break;
+      default: throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Generate a labelled dataset.
+ * @param {Object} options - Parsed options (see usage above)
+ * @returns {Object} labels.json contents
+ */
+function generateDataset(options) {
+  fs.mkdirSync(options.out, { recursive: true });
+  const rng = createRng(options.seed);
+  const spread = range => (rng() * 2 - 1) * range;
+
+  const labels = { generator: 'tools/synth.js', seed: options.seed, fps: options.fps, frames: [] };
+  const imuLog = [];
+  // Separate stream so --imu doesn't change the views or frames
+  const imuRng = createRng(options.seed * 7919 + 1);
+  let clipStart = 0;
+  let index = 0;
+
+  options.distances.forEach((distance, sequence) => {
+    // Keep the tag inside the middle half of the frame
+    const f = 0.9 * Math.max(options.width, options.height);
+    const randomView = () => ({
+      yaw: spread(options.angle),
+      pitch: spread(options.angle),
+      roll: spread(options.roll),
+      offsetX: spread(0.25 * distance * 1000 * options.width / f),
+      offsetY: spread(0.25 * distance * 1000 * options.height / f)
+    });
+    const from = randomView();
+    const to = randomView();
+    const viewAt = s => {
+      const view = { distance };
+      for (const key of Object.keys(from)) view[key] = from[key] + (to[key] - from[key]) * s;
+      return view;
+    };
+    const duration = options.frames > 1 ? ((options.frames - 1) / options.fps) * 1000 : 0;
+
+    if (options.imu) {
+      const step = 1000 / options.imuRate;
+      for (let t = 0; t <= duration; t += step) {
+        const rate = cameraRate(viewAt, t, duration, step);
+        const noise = () => gaussian(imuRng) * options.gyroNoise;
+        // Camera (x right, y down, z forward) → rotationRate (beta x, gamma y, alpha z; device y up, z back)
+        imuLog.push({
+          type: 'motion',
+          t: clipStart + t,
+          alpha: -rate[2] / DEG + noise(),
+          beta: rate[0] / DEG + noise(),
+          gamma: -rate[1] / DEG + noise()
+        });
+      }
+    }
+
+    for (let k = 0; k < options.frames; k++) {
+      const s = options.frames > 1 ? k / (options.frames - 1) : 0;
+      const pose = poseFromView(viewAt(s));
+
+      const { image, truth } = renderFrame({
+        width: options.width,
+        height: options.height,
+        pose,
+        ledDiameter: options.ledDiameter,
+        noise: options.noise,
+        distractors: options.distractors,
+        seed: options.seed * 100003 + index
+      });
+
+      const file = `frame_${String(index).padStart(4, '0')}.png`;
+      fs.writeFileSync(path.join(options.out, file), encodePNG(image));
+      if (options.imu) imuLog.push({ type: 'frame', t: clipStart + (k / options.fps) * 1000, file });
+      labels.intrinsics = truth.intrinsics;
+      labels.frames.push({
+        file,
+        sequence,
+        timestamp: (k / options.fps) * 1000,
+        distance: truth.distance,
+        R: truth.R,
+        tvec: truth.tvec,
+        imagePoints: truth.imagePoints
+      });
+      index++;
+    }
+
+    // Clips are a second apart on the IMU clock
+    clipStart += duration + 1000;
+  });
+
+  fs.writeFileSync(path.join(options.out, 'labels.json'), JSON.stringify(labels, null, 2));
+  if (options.imu) {
+    imuLog.sort((a, b) => a.t - b.t);
+    fs.writeFileSync(path.join(options.out, 'imu.ndjson'), imuLog.map(e => JSON.stringify(e)).join('\n') + '\n');
+  }
+  return labels;
+}
+
+/**
+ * Camera angular velocity (rad/s, camera frame) that explains the tag's
+ * rotation at clip time t: R(t + h) R(t)^T = exp(-[w]x h).
+ */
+function cameraRate(viewAt, t, duration, h) {
+  if (duration <= 0) return [0, 0, 0];
+  const a = poseFromView(viewAt(Math.min(t, duration - h) / duration)).R;
+  const b = poseFromView(viewAt(Math.min(t + h, duration) / duration)).R;
+  const d = [0, 1, 2].map(i => [0, 1, 2].map(j => b[i][0] * a[j][0] + b[i][1] * a[j][1] + b[i][2] * a[j][2]));
+  const angle = Math.acos(Math.max(-1, Math.min(1, (d[0][0] + d[1][1] + d[2][2] - 1) / 2)));
+  const k = angle < 1e-12 ? 0.5 : angle / (2 * Math.sin(angle));
+  const r = [(d[2][1] - d[1][2]) * k, (d[0][2] - d[2][0]) * k, (d[1][0] - d[0][1]) * k];
+  return r.map(v => -v / (h / 1000));
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  if (options.help || !options.out) {
+    console.error('Usage: node tools/synth.js --out <dir> [--distances 1,3,5,8,10] [--frames n] ' +
+      '[--fps n] [--size WxH] [--angle deg] [--roll deg] [--noise sigma] [--distractors n] ' +
+      '[--led-diameter mm] [--seed n] [--imu] [--imu-rate hz] [--gyro-noise deg/s]');
+    process.exit(options.help ? 0 : 2);
+  }
+
+  const labels = generateDataset(options);
+  console.error(`Wrote ${labels.frames.length} frames to ${options.out}`);
+}
+
+if (require.main === module) main();
+
+module.exports = { generateDataset, parseArgs };
@@ -0,0 +1,309 @@
+// ===================================================================
+// Synthetic LightTag frame renderer
+// Renders the LED_GEOMETRY constellation (plus data bars and distractor
+// lights) at a known pose for deterministic, ground-truthed tests
+// ===================================================================
+
+'use strict';
+
+const { loadModules } = require('./load-modules');
+
+// Linear RGB of the locating LEDs / data bars at radiance 1.0
+const LED_COLOR = [0.2, 0.4, 1.0];
+const DEG = Math.PI / 180;
+
+/**
+ * Seeded PRNG (mulberry32) so frames are reproducible.
+ * @param {number} seed
+ * @returns {Function} () → [0, 1)
+ */
+function createRng(seed = 1) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(rng) {
+  const u = Math.max(1e-12, rng());
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+function matMul(A, B) {
+  const C = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let i = 0; i < 3; i++)
+    for (let j = 0; j < 3; j++)
+      for (let k = 0; k < 3; k++)
+        C[i][j] += A[i][k] * B[k][j];
+  return C;
+}
+
+/**
+ * Build a tag-in-camera pose (PnPSolver convention) from viewing parameters.
+ * At zero angles the tag faces the camera upright; yaw/pitch/roll rotate the tag
+ * about its own Y/X/Z axes.
+ * @param {Object} params
+ * @param {number} params.distance - Distance along the optical axis (m)
+ * @param {number} [params.yaw] - Degrees
+ * @param {number} [params.pitch] - Degrees
+ * @param {number} [params.roll] - Degrees
+ * @param {number} [params.offsetX] - Lateral offset (mm)
+ * @param {number} [params.offsetY] - Vertical offset (mm, image-down positive)
+ * @returns {{ R: Array<Array<number>>, tvec: Array<number> }}
+ */
+function poseFromView({ distance, yaw = 0, pitch = 0, roll = 0, offsetX = 0, offsetY = 0 }) {
+  // Tag +Y up / +Z toward camera → camera +Y down / +Z forward
+  const facing = [[1, 0, 0], [0, -1, 0], [0, 0, -1]];
+  const cy = Math.cos(yaw * DEG), sy = Math.sin(yaw * DEG);
+  const cp = Math.cos(pitch * DEG), sp = Math.sin(pitch * DEG);
+  const cr = Math.cos(roll * DEG), sr = Math.sin(roll * DEG);
+  const Ry = [[cy, 0, sy], [0, 1, 0], [-sy, 0, cy]];
+  const Rx = [[1, 0, 0], [0, cp, -sp], [0, sp, cp]];
+  const Rz = [[cr, -sr, 0], [sr, cr, 0], [0, 0, 1]];
+  const R = matMul(facing, matMul(Rz, matMul(Rx, Ry)));
+  return { R, tvec: [offsetX, offsetY, distance * 1000] };
+}
+
+/**
+ * Render one synthetic frame.
+ * @param {Object} options
+ * @param {number} [options.width] - Frame width (default 1920)
+ * @param {number} [options.height] - Frame height (default 1080)
+ * @param {Object} [options.intrinsics] - { fx, fy, cx, cy, distortion? } (default:
+ *   PnPSolver.estimateIntrinsics); distortion is { k1, k2, p1, p2, k3 }
+ * @param {Object} options.pose - { R, tvec } tag in camera frame (mm)
+ * @param {number} [options.ledDiameter] - LED diameter (mm, default 5)
+ * @param {number} [options.ledRadiance] - LED peak radiance; > 1 saturates the core (default 1.8)
+ * @param {number} [options.psfSigma] - Optics blur (pixels, default 0.8)
+ * @param {number} [options.glare] - LED glare halo strength relative to the core (default 0.6)
+ * @param {number} [options.glareSigma] - LED glare halo radius (pixels, default 4)
+ * @param {Object} [options.dataBars] - Data bar layout to draw, as Constellation.dataBars
+ *   (default: the default constellation's)
+ * @param {Array<number>} [options.barStates] - On/off per data bar, LED0 first (default all on)
+ * @param {number} [options.barRadiance] - Data bar radiance (default 0.15, 0 disables); the
+ *   bars are much dimmer than the LEDs, as in the reference photos
+ * @param {number} [options.bloom] - Data bar bloom strength relative to the bar (default 0.35)
+ * @param {number} [options.background] - Background level 0-1 (default 0.04)
+ * @param {number} [options.noise] - Sensor noise sigma in 8-bit levels (default 2)
+ * @param {number|Array<Object>} [options.distractors] - Count of random lights, or explicit
+ *   [{ x, y, radius, color, length?, angle? }] in pixels
+ * @param {number} [options.seed] - PRNG seed (default 1)
+ * @returns {{ image: { data, width, height }, truth: Object }}
+ */
+function renderFrame(options) {
+  const { LED_GEOMETRY, PnPSolver } = loadModules();
+
+  const width = options.width || 1920;
+  const height = options.height || 1080;
+  const solver = new PnPSolver();
+  if (options.intrinsics) {
+    const k = options.intrinsics;
+    solver.setIntrinsics(k.fx, k.fy, k.cx, k.cy, k.distortion);
+  } else {
+    solver.estimateIntrinsics(width, height);
+  }
+
+  const { R, tvec } = options.pose;
+  const rng = createRng(options.seed || 1);
+  const ledDiameter = options.ledDiameter || 5;
+  const ledRadiance = options.ledRadiance !== undefined ? options.ledRadiance : 1.8;
+  const psfSigma = options.psfSigma || 0.8;
+  const glare = options.glare !== undefined ? options.glare : 0.6;
+  const glareSigma = options.glareSigma || 4;
+  const dataBars = options.dataBars || LED_GEOMETRY.dataBars;
+  const barRadiance = options.barRadiance !== undefined ? options.barRadiance : 0.15;
+  const barStates = options.barStates || [1, 1, 1];
+  const bloom = options.bloom !== undefined ? options.bloom : 0.35;
+  const background = options.background !== undefined ? options.background : 0.04;
+  const noise = options.noise !== undefined ? options.noise : 2;
+
+  // Linear float RGB accumulation buffer
+  const buf = new Float32Array(width * height * 3);
+
+  // Background with a mild vertical gradient
+  for (let y = 0; y < height; y++) {
+    const level = background * (0.7 + 0.6 * (y / height));
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      buf[i] = level;
+      buf[i + 1] = level;
+      buf[i + 2] = level * 1.1;
+    }
+  }
+
+  // Data bars (drawn first; the LEDs sit on top of their ends)
+  if (dataBars && barRadiance > 0) {
+    const g = dataBars;
+    for (const bar of g.bars) {
+      if (!barStates[bar.index]) continue;
+      const pts = solver.projectPoints([
+        { x: -g.length / 2, y: bar.y, z: bar.z },
+        { x: g.length / 2, y: bar.y, z: bar.z }
+      ], R, tvec);
+      if (pts.some(p => p === null)) continue;
+      const halfPx = (g.thickness / 2) * solver.fx / pts[0].z;
+      const sigma = Math.sqrt(psfSigma * psfSigma + halfPx * halfPx);
+      drawSegment(buf, width, height, pts[0], pts[1], sigma, LED_COLOR, barRadiance);
+      if (bloom > 0) {
+        drawSegment(buf, width, height, pts[0], pts[1], sigma * 4, LED_COLOR, barRadiance * bloom);
+      }
+    }
+  }
+
+  // Locating LEDs: Gaussian spots whose peak falls off once the disk is unresolved
+  const projected = solver.projectPoints(LED_GEOMETRY.points3D, R, tvec);
+  const imagePoints = [];
+  LED_GEOMETRY.points3D.forEach((led, i) => {
+    const p = projected[i];
+    if (!p) return;
+    const radiusPx = (ledDiameter / 2) * solver.fx / p.z;
+    const sigma = Math.sqrt(psfSigma * psfSigma + (radiusPx / 2) * (radiusPx / 2));
+    const peak = ledRadiance * Math.min(1, (radiusPx * radiusPx) / (2 * sigma * sigma));
+    drawSpot(buf, width, height, p.x, p.y, sigma, LED_COLOR, peak);
+    // Lens/sensor glare around the bright core, fixed in pixel units
+    if (glare > 0) drawSpot(buf, width, height, p.x, p.y, glareSigma, LED_COLOR, peak * glare);
+    imagePoints.push({ id: led.id, x: p.x, y: p.y, diameterPx: radiusPx * 2 });
+  });
+
+  // Distractor lights
+  let distractors = options.distractors || [];
+  if (typeof distractors === 'number') {
+    const count = distractors;
+    const palette = [[1, 1, 1], [1, 0.6, 0.2], [0.3, 0.5, 1.0], [0.9, 0.9, 1.0]];
+    distractors = [];
+    for (let i = 0; i < count; i++) {
+      distractors.push({
+        x: rng() * width,
+        y: rng() * height,
+        radius: 1 + rng() * 6,
+        color: palette[Math.floor(rng() * palette.length)],
+        radiance: 0.6 + rng() * 2,
+        length: rng() < 0.3 ? 20 + rng() * 120 : 0,
+        angle: rng() * Math.PI
+      });
+    }
+  }
+  for (const d of distractors) {
+    const sigma = Math.max(psfSigma, d.radius || 2);
+    const color = d.color || [1, 1, 1];
+    const radiance = d.radiance !== undefined ? d.radiance : 1.5;
+    if (d.length) {
+      const dx = Math.cos(d.angle || 0) * d.length / 2;
+      const dy = Math.sin(d.angle || 0) * d.length / 2;
+      drawSegment(buf, width, height, { x: d.x - dx, y: d.y - dy }, { x: d.x + dx, y: d.y + dy }, sigma, color, radiance);
+    } else {
+      drawSpot(buf, width, height, d.x, d.y, sigma, color, radiance);
+    }
+  }
+
+  // Sensor noise + clipping to 8 bits
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, o = 0; i < buf.length; i += 3, o += 4) {
+    for (let c = 0; c < 3; c++) {
+      const n = noise > 0 ? gaussian(rng) * noise : 0;
+      data[o + c] = Math.round(Math.min(1, buf[i + c]) * 255 + n);
+    }
+    data[o + 3] = 255;
+  }
+
+  const distance = Math.hypot(tvec[0], tvec[1], tvec[2]) / 1000;
+  return {
+    image: { data, width, height },
+    truth: {
+      R,
+      tvec,
+      distance,
+      intrinsics: {
+        fx: solver.fx,
+        fy: solver.fy,
+        cx: solver.cx,
+        cy: solver.cy,
+        distortion: { ...solver.distortion }
+      },
+      imagePoints,
+      barStates: barStates.slice()
+    }
+  };
+}
+
+/**
+ * Encode an optical ID packet as the data bars' per-frame symbols
+ * (see ID_PACKET in id-decoder.js): preamble, ID, payload, then the CRC16
+ * over the first 80 bits.
+ * @param {number} id - 16-bit tag ID
+ * @param {string} [payload] - 52-bit payload as 13 hex digits (default zeros)
+ * @returns {Array<number>} 32 symbols (0-7, LED0 = MSB); bars on for frame k are
+ *   [(s >> 2) & 1, (s >> 1) & 1, s & 1]
+ */
+function encodeIdPacket(id, payload = '0000000000000') {
+  const { crc16Ibm } = loadModules();
+  const bits = [];
+  const pushBits = (value, count) => {
+    for (let i = count - 1; i >= 0; i--) bits.push(Math.floor(value / 2 ** i) % 2);
+  };
+  for (const symbol of [7, 0, 7, 0]) pushBits(symbol, 3);
+  pushBits(id, 16);
+  for (const digit of payload.padStart(13, '0').slice(-13)) pushBits(parseInt(digit, 16), 4);
+
+  const bytes = new Uint8Array(10);
+  for (let i = 0; i < 80; i++) bytes[i >> 3] = (bytes[i >> 3] << 1) | bits[i];
+  pushBits(crc16Ibm(bytes), 16);
+
+  const symbols = [];
+  for (let i = 0; i < bits.length; i += 3) symbols.push((bits[i] << 2) | (bits[i + 1] << 1) | bits[i + 2]);
+  return symbols;
+}
+
+/**
+ * Add an isotropic Gaussian spot.
+ */
+function drawSpot(buf, width, height, cx, cy, sigma, color, peak) {
+  const r = Math.ceil(sigma * 4);
+  const inv = 1 / (2 * sigma * sigma);
+  const x0 = Math.max(0, Math.floor(cx - r)), x1 = Math.min(width - 1, Math.ceil(cx + r));
+  const y0 = Math.max(0, Math.floor(cy - r)), y1 = Math.min(height - 1, Math.ceil(cy + r));
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const dx = x - cx, dy = y - cy;
+      const v = peak * Math.exp(-(dx * dx + dy * dy) * inv);
+      const i = (y * width + x) * 3;
+      buf[i] += v * color[0];
+      buf[i + 1] += v * color[1];
+      buf[i + 2] += v * color[2];
+    }
+  }
+}
+
+/**
+ * Add a line segment with a Gaussian cross-section.
+ */
+function drawSegment(buf, width, height, p0, p1, sigma, color, peak) {
+  const r = Math.ceil(sigma * 4);
+  const inv = 1 / (2 * sigma * sigma);
+  const dx = p1.x - p0.x, dy = p1.y - p0.y;
+  const len2 = Math.max(1e-9, dx * dx + dy * dy);
+  const x0 = Math.max(0, Math.floor(Math.min(p0.x, p1.x) - r));
+  const x1 = Math.min(width - 1, Math.ceil(Math.max(p0.x, p1.x) + r));
+  const y0 = Math.max(0, Math.floor(Math.min(p0.y, p1.y) - r));
+  const y1 = Math.min(height - 1, Math.ceil(Math.max(p0.y, p1.y) + r));
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      // Distance to the segment
+      const t = Math.max(0, Math.min(1, ((x - p0.x) * dx + (y - p0.y) * dy) / len2));
+      const ex = x - (p0.x + t * dx), ey = y - (p0.y + t * dy);
+      const d2 = ex * ex + ey * ey;
+      if (d2 > r * r) continue;
+      const v = peak * Math.exp(-d2 * inv);
+      const i = (y * width + x) * 3;
+      buf[i] += v * color[0];
+      buf[i + 1] += v * color[1];
+      buf[i + 2] += v * color[2];
+    }
+  }
+}
+
+module.exports = { renderFrame, poseFromView, encodeIdPacket, createRng, gaussian };